@@ -1,4 +1,4 @@
-import React, { useState, useRef, useCallback } from 'react';
+import React, { useMemo, useRef, useState } from 'react';
 import {
   Calculator,
   Upload,
@@ -10,404 +10,115 @@ import {
   ShieldCheck,
   Info,
   CalendarDays,
-  CalendarRange
+  CalendarRange,
+  ChevronDown,
+  ClipboardPaste,
+  History,
+  X
 } from 'lucide-react';
-import * as XLSX from 'xlsx';
-import { clsx } from 'clsx';
-import { twMerge } from 'tailwind-merge';
 import { CustomCalendar } from './components/CustomCalendar';
-
-// Utility for Tailwind classes
-function cn(...inputs) {
-  return twMerge(clsx(inputs));
-}
-
-// --- Business Logic ---
-
-const FACTORS = {
-  HED: 1.25,
-  HEN: 1.75,
-  HEFD: 2.00,
-  HEFN: 2.55,
-  RN: 0.35,
-  RDDFH: 1.80,
-  RNDF: 1.15
-};
-
-const getDaysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
-
-/**
- * Returns an array of closed periods between two dates based on payroll type.
- * Supports YYYY-MM-DD and DD/MM/YYYY input formats.
- * @param {string} startStr 
- * @param {string} endStr 
- * @param {'mensual'|'quincenal'} type 
- * @returns {Array<{start: string, end: string}>} Array of period objects
- */
-const getPeriods = (startStr, endStr, type) => {
-  if (!startStr || !endStr) return [];
-
-  // Helper to parse date strings
-  const parseDate = (str) => {
-    if (typeof str !== 'string') return [0, 0, 0];
-
-    // Try YYYY-MM-DD
-    if (str.includes('-')) {
-      const parts = str.split('-').map(Number);
-      if (parts[0] > 1000) return parts; // YYYY-MM-DD
-      return [parts[2], parts[1], parts[0]]; // DD-MM-YYYY fallback
-    }
-    // Try DD/MM/YYYY
-    if (str.includes('/')) {
-      const parts = str.split('/').map(Number);
-      return [parts[2], parts[1], parts[0]]; // DD/MM/YYYY
-    }
-    return [0, 0, 0];
-  };
-
-  const [sY, sM, sD] = parseDate(startStr);
-  const [eY, eM, eD] = parseDate(endStr);
-
-  // Validate parsing
-  if (!sY || !eY || isNaN(sY) || isNaN(eY)) return [];
-
-  // Normalize months to 0-indexed
-  const startMonthIndex = sM - 1;
-  const endMonthIndex = eM - 1;
-
-  const periods = [];
-  let currentY = sY;
-  let currentM = startMonthIndex;
-
-  // Iterate through each month involved
-  while (currentY < eY || (currentY === eY && currentM <= endMonthIndex)) {
-    const daysInMonth = getDaysInMonth(currentY, currentM);
-
-    // Format helper (Internal format is always YYYY-MM-DD)
-    const fmt = (d) => `${currentY}-${String(currentM + 1).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
-
-    if (type === 'mensual') {
-      // Rule: Must cover FULL month (1st to Last Day)
-      let isFull = true;
-      if (currentY === sY && currentM === startMonthIndex && sD > 1) isFull = false;
-      if (currentY === eY && currentM === endMonthIndex && eD < daysInMonth) isFull = false;
-
-      if (isFull) {
-        periods.push({
-          start: fmt(1),
-          end: fmt(daysInMonth)
-        });
-      }
-
-    } else { // quincenal
-      // Q1: 1st to 15th
-      let q1Valid = true;
-      if (currentY === sY && currentM === startMonthIndex && sD > 1) q1Valid = false;
-      if (currentY === eY && currentM === endMonthIndex && eD < 15) q1Valid = false;
-
-      if (q1Valid) {
-        periods.push({
-          start: fmt(1),
-          end: fmt(15)
-        });
-      }
-
-      // Q2: 16th to Last Day
-      let q2Valid = true;
-      if (currentY === sY && currentM === startMonthIndex && sD > 16) q2Valid = false;
-      if (currentY === eY && currentM === endMonthIndex && eD < daysInMonth) q2Valid = false;
-
-      if (q2Valid) {
-        periods.push({
-          start: fmt(16),
-          end: fmt(daysInMonth)
-        });
-      }
-    }
-
-    // Advance
-    currentM++;
-    if (currentM > 11) {
-      currentM = 0;
-      currentY++;
-    }
-  }
-
-  return periods;
-};
-
-const calculateRetroactive = (data, payrollType) => {
-  const oldSalary = parseFloat(data.SUELDO_ANTERIOR) || 0;
-  const newSalary = parseFloat(data.SUELDO_NUEVO) || 0;
-
-  // Get list of valid periods
-  const periods = getPeriods(data.FECHA_INICIO, data.FECHA_FIN, payrollType);
-
-  if (periods.length === 0) {
-    return { details: [], summaries: [] };
-  }
-
-  const baseDiff = newSalary - oldSalary;
-
-  // Calculate Retro Salary per period
-  // Mensual: Diff * 1
-  // Quincenal: Diff * 0.5
-  const salaryFactor = payrollType === 'mensual' ? 1 : 0.5;
-  const retroSalaryPerPeriod = baseDiff * salaryFactor;
-
-  // Calculate OT Retro (Total for the whole range)
-  const hourlyDiff = baseDiff / 240;
-  const otMapping = [
-    {
-      key: 'HED_CANTIDAD',
-      factor: FACTORS.HED,
-      label: 'Retroactivo HE diurna',
-      reportValKey: 'Devengos Prestacionales - Hora Extra Diurna Ordinaria (1.25)',
-      reportQtyKey: 'Comprobante - Hora Extra Diurna Ordinaria (1.25)'
-    },
-    {
-      key: 'HEN_CANTIDAD',
-      factor: FACTORS.HEN,
-      label: 'Retroactivo HE nocturna',
-      reportValKey: 'Devengos Prestacionales - Hora Extra Nocturna (1.75)',
-      reportQtyKey: 'Comprobante - Hora Extra Nocturna (1.75)'
-    },
-    {
-      key: 'HEFD_CANTIDAD',
-      factor: FACTORS.HEFD,
-      label: 'Retroactivo HE festiva diurna',
-      reportValKey: 'Devengos Prestacionales - Hora Extra Diurna Dominical Y Festivos (2.05)',
-      reportQtyKey: 'Comprobante - Hora Extra Diurna Dominical y Festivos (2.05)'
-    },
-    {
-      key: 'HEFN_CANTIDAD',
-      factor: FACTORS.HEFN,
-      label: 'Retroactivo HE festiva nocturna',
-      reportValKey: 'Devengos Prestacionales - Hora Extra Nocturna Dominical Y Festivos (2.55)',
-      reportQtyKey: 'Comprobante - Hora Extra Nocturna Dominical Y Festivos (2.55)'
-    },
-    {
-      key: 'RN_CANTIDAD',
-      factor: FACTORS.RN,
-      label: 'Retroactivo Recargo nocturno',
-      reportValKey: 'Devengos Prestacionales - Hora Recargo Nocturno (0.35)',
-      reportQtyKey: 'Comprobante - Hora Recargo Nocturno (0.35)'
-    },
-    {
-      key: 'RDDFH_CANTIDAD',
-      factor: FACTORS.RDDFH,
-      label: 'Retroactivo Recargo diurno festivo',
-      reportValKey: 'Devengos Prestacionales - Hora Recargo Diurno Dominical Y Festivos Habitual (1.80)',
-      reportQtyKey: 'Comprobante - Hora Recargo Diurno Dominical y Festivos Habitual (1.80)'
-    },
-    {
-      key: 'RNDF_CANTIDAD',
-      factor: FACTORS.RNDF,
-      label: 'Retroactivo Recargo nocturno festivo',
-      reportValKey: 'Devengos Prestacionales - Hora Recargo Nocturno Dominical Y Festivos (1.15)',
-      reportQtyKey: 'Comprobante - Hora Recargo Nocturno Dominical y Festivos (1.15)'
-    }
-  ];
-
-  const details = [];
-  const summaries = [];
-
-  // Iterate over periods to generate rows
-  periods.forEach((period, index) => {
-    // Format start date for report: DD/MM/YYYY
-    const [pY, pM, pD] = period.start.split('-');
-    const formattedStartDate = `${pD}/${pM}/${pY}`;
-
-    const summary = {
-      'Comprobante - Período': formattedStartDate,
-      'Colaborador - Nombre Completo': data.NOMBRE,
-      'Colaborador - Número de Documento': data.CEDULA,
-      'Colaborador - Código de Ficha': data.CODIGO_FICHA_COLABORADOR || '',
-      'Devengos Prestacionales - Salario': 0,
-      'Devengos Prestacionales - Hora Extra Diurna Dominical Y Festivos (2.00)': 0,
-      'Comprobante - Hora Extra Diurna Dominical y Festivos (2.00)': 0,
-      'Devengos Prestacionales - Hora Extra Diurna Ordinaria (1.25)': 0,
-      'Comprobante - Hora Extra Diurna Ordinaria (1.25)': 0,
-      'Devengos Prestacionales - Hora Extra Nocturna (1.75)': 0,
-      'Comprobante - Hora Extra Nocturna (1.75)': 0,
-      'Devengos Prestacionales - Hora Extra Nocturna Dominical Y Festivos (2.55)': 0,
-      'Comprobante - Hora Extra Nocturna Dominical Y Festivos (2.55)': 0,
-      'Devengos Prestacionales - Hora Recargo Diurno Dominical Y Festivos Habitual (1.80)': 0,
-      'Comprobante - Hora Recargo Diurno Dominical y Festivos Habitual (1.80)': 0,
-      'Devengos Prestacionales - Hora Recargo Nocturno (0.35)': 0,
-      'Comprobante - Hora Recargo Nocturno (0.35)': 0,
-      'Devengos Prestacionales - Hora Recargo Nocturno Dominical Y Festivos (1.15)': 0,
-      'Comprobante - Hora Recargo Nocturno Dominical y Festivos (1.15)': 0,
-    };
-
-    // Add Salary Retro
-    if (retroSalaryPerPeriod > 0) {
-      const val = Math.round(retroSalaryPerPeriod);
-      summary['Devengos Prestacionales - Salario'] = val;
-
-      details.push({
-        CEDULA: data.CEDULA,
-        NOMBRE: data.NOMBRE,
-        CONCEPTO: 'Retroactivo sueldo',
-        DETALLE: `Periodo ${formattedStartDate}`,
-        VALOR_A_PAGAR: val
-      });
-    }
-
-    // Add OT Retro ONLY to the FIRST period
-    if (index === 0) {
-      otMapping.forEach(type => {
-        const qty = parseFloat(data[type.key]) || 0;
-        if (qty > 0) {
-          const value = hourlyDiff * type.factor * qty;
-          if (value > 0) {
-            const roundedVal = Math.round(value);
-
-            if (type.reportValKey) {
-              summary[type.reportValKey] = roundedVal;
-              summary[type.reportQtyKey] = qty;
-            }
-
-            details.push({
-              CEDULA: data.CEDULA,
-              NOMBRE: data.NOMBRE,
-              CONCEPTO: type.label,
-              DETALLE: `${qty} horas`,
-              VALOR_A_PAGAR: roundedVal
-            });
-          }
-        }
-      });
-    }
-
-    summaries.push(summary);
-  });
-
-  return { details, summaries };
-};
-
-// --- UI Components ---
-
-const Card = ({ children, className }) => (
-  <div className={cn("bg-white rounded-xl border border-slate-200 shadow-sm", className)}>
-    {children}
-  </div>
-);
-
-const Button = ({ children, variant = 'primary', className, ...props }) => {
-  const variants = {
-    primary: "bg-brand-primary text-white hover:bg-brand-secondary shadow-sm",
-    secondary: "bg-white text-brand-dark border border-brand-muted hover:bg-brand-light/20",
-    outline: "bg-transparent text-brand-primary border border-brand-muted hover:bg-brand-light/20",
-    ghost: "bg-transparent text-slate-600 hover:bg-slate-100",
-    danger: "bg-red-50 text-red-600 hover:bg-red-100 border border-red-200"
-  };
-
-  return (
-    <button
-      className={cn(
-        "px-4 py-2 rounded-lg font-medium transition-all duration-200 flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed",
-        variants[variant],
-        className
-      )}
-      {...props}
-    >
-      {children}
-    </button>
-  );
-};
-
-const Input = ({ label, error, ...props }) => (
-  <div className="space-y-1.5">
-    <label className="text-sm font-medium text-brand-dark block">
-      {label}
-    </label>
-    <input
-      className={cn(
-        "w-full px-3 py-2 rounded-lg border outline-none transition-all text-brand-dark",
-        error
-          ? "border-red-300 focus:ring-2 focus:ring-red-200 focus:border-red-400 bg-red-50/30"
-          : "border-brand-muted/50 focus:ring-2 focus:ring-brand-primary focus:border-brand-primary"
-      )}
-      {...props}
-    />
-    {error && <span className="text-xs text-red-500 font-normal block">Requerido</span>}
-  </div>
-);
-
-const DateInput = ({ label, error, ...props }) => {
-  const inputRef = useRef(null);
-
-  return (
-    <div className="space-y-1.5">
-      <label className="text-sm font-medium text-brand-dark block">
-        {label}
-      </label>
-      <div
-        className="relative group cursor-pointer"
-        onClick={() => inputRef.current?.showPicker()}
-      >
-        <input
-          ref={inputRef}
-          type="date"
-          className={cn(
-            "w-full px-3 py-2 rounded-lg border outline-none transition-all text-brand-dark cursor-pointer appearance-none",
-            error
-              ? "border-red-300 focus:ring-2 focus:ring-red-200 focus:border-red-400 bg-red-50/30"
-              : "border-brand-muted/50 focus:ring-2 focus:ring-brand-primary focus:border-brand-primary bg-white"
-          )}
-          {...props}
-        />
-      </div>
-      {error && <span className="text-xs text-red-500 font-normal block">Requerido</span>}
-    </div>
-  );
-};
-
-const Badge = ({ children, variant = 'default' }) => {
-  const variants = {
-    default: "bg-brand-light/50 text-brand-dark",
-    success: "bg-green-50 text-green-700 border border-green-200",
-    warning: "bg-amber-50 text-amber-700 border border-amber-200"
-  };
-  return (
-    <span className={cn("px-2.5 py-0.5 rounded-full text-xs font-medium", variants[variant])}>
-      {children}
-    </span>
-  );
-};
-
-const Toggle = ({ options, value, onChange }) => {
-  return (
-    <div className="flex bg-slate-100 p-1 rounded-lg">
-      {options.map((option) => (
-        <button
-          key={option.value}
-          onClick={() => onChange(option.value)}
-          className={cn(
-            "flex-1 py-1.5 px-3 rounded-md text-sm font-medium transition-all",
-            value === option.value
-              ? "bg-white text-brand-primary shadow-sm"
-              : "text-slate-500 hover:text-slate-700"
-          )}
-        >
-          {option.label}
-        </button>
-      ))}
-    </div>
-  );
-};
+import { Card, Button, Input, Badge, Toggle, Checkbox } from './components/ui';
+import { CalculationOptions } from './components/CalculationOptions';
+import { ContributionsPanel } from './components/ContributionsPanel';
+import { WithholdingPanel } from './components/WithholdingPanel';
+import { StatementsMenu } from './components/StatementsMenu';
+import { PeriodGrid } from './components/PeriodGrid';
+import { SalaryTimelineEditor } from './components/SalaryTimelineEditor';
+import { SalaryIncreaseOptions } from './components/SalaryIncreaseOptions';
+import { DerivedSalariesPanel } from './components/DerivedSalariesPanel';
+import { ConceptCatalogEditor } from './components/ConceptCatalogEditor';
+import { ResultsGrid } from './components/ResultsGrid';
+import { EmployeeReviewTable } from './components/EmployeeReviewTable';
+import { SummaryDashboard } from './components/SummaryDashboard';
+import { cn } from './utils/cn';
+import { ColumnMapper } from './components/ColumnMapper';
+import {
+  ABSENCE_TYPES,
+  OT_CONCEPTS,
+  buildEmployeeReview,
+  calculateContributions,
+  calculateRetroactive,
+  describeDeductions,
+  estimateWithholding,
+  finishEmployeeLines,
+  getDefaultAbsenceRates,
+  getLineRounding,
+  getNextPayment,
+  getPeriods,
+  getTaxableRetro,
+  reconcilePayments,
+  settleDeductions,
+  validateIncrease
+} from './engine';
+import { detectColumns, toSavedColumns } from './upload/columns';
+import { loadSavedMappings, saveMapping, deleteMapping } from './upload/savedMappings';
+import { createUploadJob } from './upload/uploadJob';
+import { buildReportSheets, downloadReportWorkbook } from './export/reportWorkbook';
+import { loadConceptCatalog, saveConceptCatalog } from './upload/conceptCatalog';
+import { RejectionsPanel } from './components/RejectionsPanel';
+import { HistoryPanel } from './components/HistoryPanel';
+import { ReconciliationPanel } from './components/ReconciliationPanel';
+import { detectPaidReportLayout, toPaidRecords } from './upload/paidReport';
+import { hashContent, saveRun } from './history/runHistory';
 
 // --- Main Application ---
 
 function App() {
   const [activeTab, setActiveTab] = useState('individual');
   const [payrollType, setPayrollType] = useState('mensual'); // 'mensual' | 'quincenal'
+  // Optional calculation modules
+  const [calcOptions, setCalcOptions] = useState({
+    prestaciones: false,
+    auxilio: false,
+    auxilioPreviousYear: false,
+    prorate: false,
+    absences: false,
+    absenceRates: getDefaultAbsenceRates(),
+    contributions: false,
+    arlClass: 'I',
+    exonerated: true,
+    deductions: false,
+    deductionCap: '', // % of the next payment; empty for no cap
+    rounding: 'peso', // see ROUNDING_MODES
+    distributeResidual: false,
+    withholding: false,
+    withholdingYear: new Date().getFullYear(), // Year the retro is paid
+    uvt: '', // Empty to use UVT_TABLE
+    exemptIncome: true
+  });
+  const roundingPolicy = { mode: calcOptions.rounding, distribute: calcOptions.distributeResidual };
+  const withholdingSettings = calcOptions.withholding && {
+    year: Number(calcOptions.withholdingYear),
+    uvt: parseFloat(calcOptions.uvt) || undefined,
+    exemptIncome: calcOptions.exemptIncome
+  };
+
+  // Mass upload: where the new salary comes from
+  const [salaryIncrease, setSalaryIncrease] = useState({
+    mode: 'column',
+    percent: '',
+    amount: '',
+    bands: [],
+    roundToThousand: false
+  });
+  const deriveSalary = salaryIncrease.mode !== 'column';
 
   const [results, setResults] = useState([]); // Array of detail objects for UI
-  const [reportData, setReportData] = useState([]); // Array of summary objects for Excel
+  const [reviews, setReviews] = useState([]); // Results grouped by employee
+  const [resultsView, setResultsView] = useState('detail'); // 'detail' | 'employee'
+  const [runInfo, setRunInfo] = useState(null); // { source, payrollType, options, fileHash } of the shown results
+  const [historyVersion, setHistoryVersion] = useState(0); // Bumped after saving a run
+  const [unsavedRun, setUnsavedRun] = useState(null); // Run not saved because the history was locked
+  const [simulationRun, setSimulationRun] = useState(null); // Shown individual simulation, saved to the history only on request
+  const [rejections, setRejections] = useState([]); // Upload rows skipped or flagged
+  const [contributions, setContributions] = useState([]); // PILA correction rows per month
+  const [withholding, setWithholding] = useState([]); // Retención en la fuente estimate per employee
+  const [notes, setNotes] = useState([]); // Remarks from the individual calculation
+  const [derivedSalaries, setDerivedSalaries] = useState([]); // New salaries from an across-the-board increase
 
   const [isProcessing, setIsProcessing] = useState(false);
+  const [progress, setProgress] = useState(null); // { processed, total } rows of the running upload
+  const jobRef = useRef(null); // Worker of the upload in progress
   const [error, setError] = useState(null);
   const [fieldErrors, setFieldErrors] = useState({});
 
@@ -415,19 +126,44 @@ function App() {
   const [formData, setFormData] = useState({
     SUELDO_ANTERIOR: '',
     SUELDO_NUEVO: '',
+    CAMBIOS_SALARIO: [], // [{ FECHA, SUELDO }] later salary steps
     FECHA_INICIO: '',
     FECHA_FIN: '',
-    HED_CANTIDAD: '',
-    HEN_CANTIDAD: '',
-    HEFD_CANTIDAD: '',
-    HEFN_CANTIDAD: '',
-    RN_CANTIDAD: '',
-    RDDFH_CANTIDAD: '',
-    RNDF_CANTIDAD: ''
+    HORAS: {}, // { [periodStart]: { [OT_CONCEPTS key]: hours } }
+    AUXILIO_ANTERIOR: '',
+    AUSENCIAS: {}, // { [periodStart]: { [absenceType]: days } }
+    INGRESO_MENSUAL: '', // Regular monthly income for the withholding estimate
+    DEDUCCIONES_RETENCION: ''
+  });
+
+  // Periods covered by the individual form, for the per-period grids
+  const formPeriods = getPeriods(formData.FECHA_INICIO, formData.FECHA_FIN, payrollType, {
+    prorate: calcOptions.prorate
   });
 
-  // No longer needed as data is in Excel row
+  // Mass upload column mapping
+  // Buk item code and centro de costo per concept
+  const [conceptCatalog, setConceptCatalog] = useState(loadConceptCatalog);
+  const [showCatalog, setShowCatalog] = useState(false);
+  const updateConceptCatalog = (entries) => {
+    setConceptCatalog(entries);
+    saveConceptCatalog(entries);
+  };
+
+  const [savedMappings, setSavedMappings] = useState(loadSavedMappings);
+  const [pastedText, setPastedText] = useState('');
+  const [pendingUpload, setPendingUpload] = useState(null); // Upload waiting for manual column mapping
 
+  // "Pagado" report to reconcile the results with: { fileName, rows, layout }
+  const [paidReport, setPaidReport] = useState(null);
+  const paidRecords = useMemo(
+    () => (paidReport ? toPaidRecords(paidReport.rows, paidReport.layout, payrollType) : []),
+    [paidReport, payrollType]
+  );
+  const reconciliation = useMemo(
+    () => (paidRecords.length > 0 && results.length > 0 ? reconcilePayments(results, paidRecords) : null),
+    [paidRecords, results]
+  );
 
   const handleIndividualCalculate = (e) => {
     e.preventDefault();
@@ -445,196 +181,330 @@ function App() {
       return;
     }
 
+    setSimulationRun(null);
     try {
-      const { details, summaries } = calculateRetroactive({
+      const employee = {
         ...formData,
+        AUSENCIAS: calcOptions.absences ? formData.AUSENCIAS : {},
         CEDULA: '-',
         NOMBRE: 'Simulación',
         CODIGO_FICHA_COLABORADOR: '-'
-      }, payrollType);
+      };
+      const calculation = calculateRetroactive(employee, payrollType, {
+        auxilio: calcOptions.auxilio,
+        auxilioPreviousYear: calcOptions.auxilioPreviousYear,
+        prorate: calcOptions.prorate,
+        absenceRates: calcOptions.absenceRates,
+        deductions: calcOptions.deductions,
+        rounding: getLineRounding(roundingPolicy)
+      });
+      const settled = settleDeductions(calculation.details, calculation.periodTotals, payrollType, calcOptions.deductionCap);
+      const { deductions } = settled;
+      const finished = finishEmployeeLines(
+        employee,
+        settled.details,
+        calculation.summaries,
+        calculation.periodTotals,
+        roundingPolicy,
+        { prestaciones: calcOptions.prestaciones }
+      );
+      const { summaries, periodTotals } = finished;
+      const details = [...finished.details, ...finished.prestaciones];
+      const notes = deductions ? [...calculation.notes, describeDeductions(deductions)] : calculation.notes;
+
+      setRejections([]);
+      setDerivedSalaries([]);
+      setNotes(notes);
+      const employeeContributions = calcOptions.contributions
+        ? calculateContributions(employee, periodTotals, calcOptions)
+        : [];
+      setContributions(employeeContributions);
 
       if (details.length === 0) {
-        setError("No se generaron resultados. Verifique que las fechas cubran periodos cerrados completos.");
+        setError("No se generaron resultados. Verifique que las fechas cubran periodos cerrados completos o active el prorrateo.");
         setResults([]);
-        setReportData([]);
+        setReviews([]);
+        setWithholding([]);
       } else {
-        setResults(details);
-        setReportData(summaries);
+        const rows = details.map(det => ({ ...det, CODIGO_FICHA_COLABORADOR: employee.CODIGO_FICHA_COLABORADOR }));
+        const employeeWithholding = withholdingSettings
+          ? [estimateWithholding(employee, getTaxableRetro(rows, periodTotals), {
+            monthlyIncome: parseFloat(formData.INGRESO_MENSUAL) || getNextPayment(periodTotals, 'mensual'),
+            deductions: parseFloat(formData.DEDUCCIONES_RETENCION) || 0
+          }, withholdingSettings)]
+          : [];
+        setResults(rows);
+        setWithholding(employeeWithholding);
+        const review = buildEmployeeReview(employee, summaries, periodTotals, rows, { deductions });
+        const parameters = { source: 'Simulación individual', payrollType, options: calcOptions };
+        setReviews([review]);
+        setRunInfo(parameters);
         setError(null);
+
+        hashContent(JSON.stringify(employee)).then(hash => setSimulationRun({
+          source: parameters.source,
+          hash,
+          parameters: { ...parameters, fileHash: hash },
+          results: {
+            details: rows,
+            reviews: [review],
+            rejections: [],
+            contributions: employeeContributions,
+            derivedSalaries: [],
+            withholding: employeeWithholding,
+            notes
+          }
+        }));
       }
-    } catch (err) {
+    } catch {
       setError("Error en el cálculo. Verifique los datos.");
     }
   };
 
-  const handleFileUpload = async (e) => {
-    e.preventDefault();
-    const file = e.target.files?.[0];
-    if (!file) return;
-
-    // Validation of global inputs removed as data is now per-row in Excel
+  // Streams a parsed upload through the worker; result lines show up in
+  // the grid as each chunk of rows is done
+  const runMassCalculation = async (job, headerRowIndex, columns, { fileName, hash }) => {
+    setIsProcessing(true);
+    try {
+      const { details, rejections, contributions, derivedSalaries, reviews, withholding } = await job.calculate({
+        headerRowIndex,
+        columns,
+        payrollType,
+        options: {
+          prestaciones: calcOptions.prestaciones,
+          auxilio: calcOptions.auxilio,
+          auxilioPreviousYear: calcOptions.auxilioPreviousYear,
+          absences: calcOptions.absences,
+          absenceRates: calcOptions.absenceRates,
+          contributions: calcOptions.contributions && calcOptions,
+          deductions: calcOptions.deductions,
+          deductionCap: calcOptions.deductionCap,
+          rounding: roundingPolicy,
+          withholding: withholdingSettings,
+          increase: salaryIncrease
+        }
+      });
+      // Each row is one whole period, so the proration setting didn't apply
+      const { prorate: _prorate, ...massOptions } = calcOptions;
+      const parameters = { source: fileName, payrollType, options: massOptions, fileHash: hash };
+      setResults(details);
+      setRejections(rejections);
+      setContributions(contributions);
+      setDerivedSalaries(derivedSalaries);
+      setWithholding(withholding);
+      setRunInfo(parameters);
+
+      if (reviews.length === 0) {
+        setError(rejections.length > 0
+          ? `El archivo se procesó pero no se generaron resultados. Revise las ${rejections.length} filas con observaciones.`
+          : "El archivo se procesó pero no se generaron resultados.");
+      } else {
+        setReviews(reviews);
+        recordRun({
+          source: fileName,
+          hash,
+          parameters,
+          results: { details, reviews, rejections, contributions, derivedSalaries, withholding, notes: [] }
+        });
+      }
+    } finally {
+      finishJob(job);
+    }
+  };
 
+  const finishJob = (job) => {
+    job.dispose();
+    if (jobRef.current === job) jobRef.current = null;
+    setIsProcessing(false);
+    setProgress(null);
+  };
 
-    setIsProcessing(true);
+  const resetResults = () => {
+    jobRef.current?.dispose();
+    jobRef.current = null;
     setError(null);
     setResults([]);
-    setReportData([]);
+    setReviews([]);
+    setRejections([]);
+    setContributions([]);
+    setWithholding([]);
+    setNotes([]);
+    setDerivedSalaries([]);
+    setSimulationRun(null);
+    setPendingUpload(null);
+  };
+
+  // Shared by Excel, CSV/TSV files and pasted data: parse in a worker,
+  // detect columns, then calculate or ask the user to map what's missing
+  const startMassUpload = async (source, fileName) => {
+    const job = createUploadJob({
+      onProgress: ({ processed, total, details }) => {
+        setProgress({ processed, total });
+        if (details.length > 0) setResults(prev => [...prev, ...details]);
+      }
+    });
+    jobRef.current = job;
+    setIsProcessing(true);
 
     try {
-      const data = await file.arrayBuffer();
-      const workbook = XLSX.read(data);
-      const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-
-      const allRows = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-
-      let headerRowIndex = -1;
-      // Check A1 (row 0) or A6 (row 5)
-      if (allRows[0]?.[0] === "Comprobante - Período") {
-        headerRowIndex = 0;
-      } else if (allRows[5]?.[0] === "Comprobante - Período") {
-        headerRowIndex = 5;
+      const { rows: allRows, hash } = await job.parse(source);
+      if (allRows.length === 0) {
+        throw new Error("El archivo no contiene datos.");
       }
 
-      if (headerRowIndex === -1) {
-        throw new Error("No se encontró la cabecera 'Comprobante - Período' en la celda A1 ni A6. Verifique el formato del archivo.");
+      // Match columns by header name; ask the user when a required one is
+      // missing or several columns could be the same field
+      const detection = detectColumns(allRows, savedMappings, deriveSalary ? ['SUELDO_NUEVO'] : []);
+      if (detection.missing.length > 0 || detection.ambiguous.length > 0) {
+        setPendingUpload({ fileName, hash, rows: allRows, detection, job });
+        setIsProcessing(false);
+        return;
       }
 
-      const rows = allRows.slice(headerRowIndex);
-
-      // Row 0 is now the header row
-      // Data is Row 1+
-
-      // Headers check (Optional but good practice)
-      const headers = rows[0];
-      // Expected: A='Comprobante - Período', C='Colaborador - Número de Documento', etc.
-      // We'll trust the index positions as per user description:
-      // A(0): Period, B(1): Name, C(2): Doc, D(3): Ficha, E(4): Salary
-      // F(5): HEFD Val, G(6): HEFD Qty
-      // H(7): HED Val, I(8): HED Qty
-      // J(9): HEN Val, K(10): HEN Qty
-      // L(11): HEFN Val, M(12): HEFN Qty
-
-      const allDetails = [];
-      const importItems = [];
-
-      // Iterate data rows
-      for (let i = 1; i < rows.length; i++) {
-        const row = rows[i];
-        if (!row || row.length === 0) continue;
-
-        const cedula = row[2];
-        if (!cedula) continue;
-
-        // 1. Parse Period (Column A)
-        let rowDate = null;
-        if (typeof row[0] === 'number') {
-          // Excel Serial Date
-          const parsed = XLSX.SSF.parse_date_code(row[0]);
-          rowDate = new Date(parsed.y, parsed.m - 1, parsed.d);
-        } else if (typeof row[0] === 'string') {
-          // Try parsing "D/M/YYYY" or "YYYY-MM-DD"
-          const parts = row[0].split(/[/-]/);
-          if (parts.length === 3) {
-            if (parts[0].length === 4) { // YYYY-MM-DD
-              rowDate = new Date(parts[0], parts[1] - 1, parts[2]);
-            } else { // DD/MM/YYYY
-              rowDate = new Date(parts[2], parts[1] - 1, parts[0]);
-            }
-          }
-        }
+      await runMassCalculation(job, detection.headerRowIndex, detection.columns, { fileName, hash });
+    } catch (err) {
+      finishJob(job);
+      if (err.name === 'AbortError') return;
+      console.error(err);
+      // Lines streamed before the failure would be an incomplete run
+      setResults([]);
+      setError(err.message || "Error al procesar el archivo.");
+    }
+  };
 
-        if (!rowDate || isNaN(rowDate.getTime())) continue; // Skip invalid dates
-
-        // 2. Define Calculation Scope for this Row (The specific month or quincena of the row)
-        const rowYear = rowDate.getFullYear();
-        const rowMonth = rowDate.getMonth();
-        const rowDay = rowDate.getDate();
-        const lastDayOfRowMonth = new Date(rowYear, rowMonth + 1, 0).getDate();
-
-        let periodStart, periodEnd;
-        if (payrollType === 'mensual') {
-          periodStart = `${rowYear}-${String(rowMonth + 1).padStart(2, '0')}-01`;
-          periodEnd = `${rowYear}-${String(rowMonth + 1).padStart(2, '0')}-${lastDayOfRowMonth}`;
-        } else {
-          // Quincenal: determine if 1st or 2nd quincena
-          if (rowDay <= 15) {
-            periodStart = `${rowYear}-${String(rowMonth + 1).padStart(2, '0')}-01`;
-            periodEnd = `${rowYear}-${String(rowMonth + 1).padStart(2, '0')}-15`;
-          } else {
-            periodStart = `${rowYear}-${String(rowMonth + 1).padStart(2, '0')}-16`;
-            periodEnd = `${rowYear}-${String(rowMonth + 1).padStart(2, '0')}-${lastDayOfRowMonth}`;
-          }
-        }
+  const cancelMassUpload = () => {
+    jobRef.current?.cancel();
+    resetResults();
+  };
 
-        // Map row to calculation input
-        const rowData = {
-          CEDULA: row[2],
-          NOMBRE: row[1],
-          CODIGO_FICHA_COLABORADOR: row[3],
-          SUELDO_ANTERIOR: row[4], // Column E
-          // OT Quantities (Updated indices to match A6:T6 template)
-          HEFD_CANTIDAD: row[7],  // H
-          HED_CANTIDAD: row[9],   // J
-          HEN_CANTIDAD: row[11],  // L
-          HEFN_CANTIDAD: row[13], // N
-          RDDFH_CANTIDAD: row[15], // P
-          RN_CANTIDAD: row[17],   // R
-          RNDF_CANTIDAD: row[19], // T
-          // Global Inputs removed - now using Per-Row Data
-          SUELDO_NUEVO: row[5],      // Column F
-          FECHA_INICIO: periodStart,
-          FECHA_FIN: periodEnd
-        };
-
-        const { details } = calculateRetroactive(rowData, payrollType);
-
-        if (details.length > 0) {
-          allDetails.push(...details);
-
-          // Map details to Importador Items format
-          // ['Código*', 'Número de Documento*', 'Código de Ficha Colaborador', 'Día de pago anticipo', 'Valor*', 'Detalle', 'Centro Costo']
-          details.forEach(det => {
-            importItems.push({
-              'Código*': '',
-              'Número de Documento*': det.CEDULA,
-              'Código de Ficha Colaborador': rowData.CODIGO_FICHA_COLABORADOR,
-              'Día de pago anticipo': '',
-              'Valor*': det.VALOR_A_PAGAR,
-              'Detalle': `${det.CONCEPTO} (${det.DETALLE})`,
-              'Centro Costo': ''
-            });
-          });
-        }
-      }
+  const handleFileUpload = async (e) => {
+    e.preventDefault();
+    const file = e.target.files?.[0];
+    if (!file) return;
 
-      if (allDetails.length === 0) {
-        setError("El archivo se procesó pero no se generaron resultados.");
-      } else {
-        setResults(allDetails);
-        setReportData(importItems);
-      }
+    resetResults();
+    // Reset file input
+    e.target.value = '';
+
+    const increaseError = validateIncrease(salaryIncrease);
+    if (increaseError) {
+      setError(increaseError);
+      return;
+    }
+
+    await startMassUpload({ file }, file.name);
+  };
+
+  const handlePasteSubmit = async () => {
+    resetResults();
+
+    const increaseError = validateIncrease(salaryIncrease);
+    if (increaseError) {
+      setError(increaseError);
+      return;
+    }
 
+    const text = pastedText;
+    setPastedText('');
+    await startMassUpload({ text }, 'Datos pegados');
+  };
+
+  const handleMappingConfirm = async ({ headerRowIndex, columns, saveName }) => {
+    const { rows, fileName, hash, job } = pendingUpload;
+    if (saveName) {
+      setSavedMappings(saveMapping(saveName, toSavedColumns(rows[headerRowIndex], columns)));
+    }
+    setPendingUpload(null);
+
+    try {
+      await runMassCalculation(job, headerRowIndex, columns, { fileName, hash });
     } catch (err) {
+      if (err.name === 'AbortError') return;
       console.error(err);
+      setResults([]);
       setError(err.message || "Error al procesar el archivo.");
+    }
+  };
+
+  const handlePaidReportUpload = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    e.target.value = '';
+
+    const job = createUploadJob({ onProgress: () => {} });
+    try {
+      const { rows } = await job.parse({ file });
+      const layout = detectPaidReportLayout(rows);
+      if (toPaidRecords(rows, layout, payrollType).length === 0) {
+        throw new Error("El reporte pagado no tiene valores pagados.");
+      }
+      setPaidReport({ fileName: file.name, rows, layout });
+      setError(null);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Error al leer el reporte pagado.");
     } finally {
-      setIsProcessing(false);
-      // Reset file input
-      e.target.value = '';
+      job.dispose();
     }
   };
 
-  const downloadTemplate = () => {
-    // Deprecated
+  const handleMappingCancel = () => {
+    pendingUpload.job.dispose();
+    jobRef.current = null;
+    setPendingUpload(null);
   };
 
   const downloadReport = () => {
-    if (reportData.length === 0) return;
-    const ws = XLSX.utils.json_to_sheet(reportData);
-    // Adjust column widths if needed? For now just dump data
-    const wb = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(wb, ws, "Items");
-    XLSX.writeFile(wb, "importador_items.xlsx");
+    if (results.length === 0 && rejections.length === 0) return;
+    const sheets = buildReportSheets({
+      details: results,
+      catalog: conceptCatalog,
+      parameters: { ...(runInfo || { source: '', payrollType, options: calcOptions }), paidReport: paidReport?.fileName },
+      contributions,
+      derivedSalaries,
+      withholding,
+      reviews,
+      rejections,
+      payments: reconciliation ? paidRecords : []
+    });
+    downloadReportWorkbook(sheets, "importador_items.xlsx");
+  };
+
+  // Saves a finished run to the local history; while the history is
+  // locked, or when saving fails, it's kept so the user can save it later
+  const recordRun = async (run) => {
+    try {
+      const id = await saveRun(run);
+      setUnsavedRun(id === null ? run : null);
+    } catch (err) {
+      setError(`No se pudo guardar la ejecución en el historial: ${err.message}`);
+      setUnsavedRun(run);
+    }
+    setHistoryVersion(version => version + 1);
+  };
+
+  // Shows a saved run as if it had just been calculated
+  const openSavedRun = (run) => {
+    resetResults();
+    const { details, reviews, rejections, contributions, derivedSalaries, withholding = [], notes } = run.results;
+    setResults(details);
+    setReviews(reviews);
+    setRejections(rejections);
+    setContributions(contributions);
+    setDerivedSalaries(derivedSalaries);
+    setWithholding(withholding);
+    setNotes(notes);
+    setRunInfo({ ...run.parameters, runDate: new Date(run.createdAt) });
+  };
+
+  const exportSavedRun = (run) => {
+    const sheets = buildReportSheets({
+      ...run.results,
+      catalog: conceptCatalog,
+      parameters: { ...run.parameters, runDate: new Date(run.createdAt) }
+    });
+    const baseName = run.name.replace(/\.[^.]+$/, '').replace(/[\\/:*?"<>|]/g, '_');
+    downloadReportWorkbook(sheets, `importador_${baseName}.xlsx`);
   };
 
   return (
@@ -741,6 +611,11 @@ function App() {
                       />
                     </div>
 
+                    <SalaryTimelineEditor
+                      changes={formData.CAMBIOS_SALARIO}
+                      onChange={CAMBIOS_SALARIO => setFormData({ ...formData, CAMBIOS_SALARIO })}
+                    />
+
                     {/* Payroll Type Toggle */}
                     <div className="space-y-2 pt-2">
                       <label className="text-sm font-medium text-brand-dark">Tipo de nómina</label>
@@ -753,10 +628,18 @@ function App() {
                         onChange={setPayrollType}
                       />
                       <p className="text-xs text-slate-500">
-                        {payrollType === 'mensual'
-                          ? 'Se calcularán meses completos (1 al 30/31).'
-                          : 'Se calcularán periodos cerrados (1-15 y 16-Fin).'}
+                        {calcOptions.prorate
+                          ? 'Los periodos incompletos se prorratean por días (mes comercial de 30 días).'
+                          : payrollType === 'mensual'
+                            ? 'Se calcularán meses completos (1 al 30/31).'
+                            : 'Se calcularán periodos cerrados (1-15 y 16-Fin).'}
                       </p>
+                      <Checkbox
+                        label="Prorratear periodos parciales"
+                        description="Permite cualquier día de inicio y fin."
+                        checked={calcOptions.prorate}
+                        onChange={value => setCalcOptions({ ...calcOptions, prorate: value })}
+                      />
                     </div>
 
                     <div className="grid grid-cols-2 gap-3">
@@ -771,6 +654,7 @@ function App() {
                         }}
                         error={fieldErrors.FECHA_INICIO}
                         payrollType={payrollType}
+                        allowPartialPeriods={calcOptions.prorate}
                         dateType="start"
                       />
                       <CustomCalendar
@@ -784,49 +668,82 @@ function App() {
                         }}
                         error={fieldErrors.FECHA_FIN}
                         payrollType={payrollType}
+                        allowPartialPeriods={calcOptions.prorate}
                         dateType="end"
                         align="right"
                       />
                     </div>
 
                     <div className="pt-2 border-t border-slate-100">
-                      <p className="text-xs font-semibold text-slate-500 uppercase mb-3">Horas Extras (Cantidad)</p>
-                      <div className="grid grid-cols-2 gap-3">
-                        <Input
-                          label="Diurna (1.25)"
-                          type="number"
-                          placeholder="0"
-                          value={formData.HED_CANTIDAD}
-                          onChange={e => setFormData({ ...formData, HED_CANTIDAD: e.target.value })}
-                        />
-                        <Input
-                          label="Nocturna (1.75)"
-                          type="number"
-                          placeholder="0"
-                          value={formData.HEN_CANTIDAD}
-                          onChange={e => setFormData({ ...formData, HEN_CANTIDAD: e.target.value })}
+                      {formPeriods.length > 0 ? (
+                        <PeriodGrid
+                          title="Horas extras y recargos por período"
+                          periods={formPeriods}
+                          columns={OT_CONCEPTS.map(concept => ({ key: concept.key, label: concept.type, title: concept.label }))}
+                          values={formData.HORAS}
+                          onChange={HORAS => setFormData({ ...formData, HORAS })}
                         />
+                      ) : (
+                        <p className="text-xs text-slate-400">Seleccione el rango de fechas para registrar las horas extras de cada período.</p>
+                      )}
+                    </div>
+
+                    <CalculationOptions options={calcOptions} onChange={setCalcOptions} />
+
+                    {calcOptions.absences && (
+                      <PeriodGrid
+                        title="Días de ausencia por período"
+                        periods={formPeriods}
+                        columns={ABSENCE_TYPES.map(type => ({ key: type.key, label: type.key, title: type.label }))}
+                        values={formData.AUSENCIAS}
+                        onChange={AUSENCIAS => setFormData({ ...formData, AUSENCIAS })}
+                      />
+                    )}
+
+                    {calcOptions.auxilio && (
+                      <Input
+                        label="Auxilio de transporte pagado (opcional)"
+                        type="number"
+                        placeholder="Según tabla anual"
+                        value={formData.AUXILIO_ANTERIOR}
+                        onChange={e => setFormData({ ...formData, AUXILIO_ANTERIOR: e.target.value })}
+                      />
+                    )}
+
+                    {calcOptions.withholding && (
+                      <div className="grid grid-cols-2 gap-4">
                         <Input
-                          label="Fest. Diurna (2.00)"
+                          label="Ingreso mensual habitual"
                           type="number"
-                          placeholder="0"
-                          value={formData.HEFD_CANTIDAD}
-                          onChange={e => setFormData({ ...formData, HEFD_CANTIDAD: e.target.value })}
+                          placeholder="Salario nuevo"
+                          value={formData.INGRESO_MENSUAL}
+                          onChange={e => setFormData({ ...formData, INGRESO_MENSUAL: e.target.value })}
                         />
                         <Input
-                          label="Fest. Noct. (2.55)"
+                          label="Deducciones mensuales"
                           type="number"
                           placeholder="0"
-                          value={formData.HEFN_CANTIDAD}
-                          onChange={e => setFormData({ ...formData, HEFN_CANTIDAD: e.target.value })}
+                          value={formData.DEDUCCIONES_RETENCION}
+                          onChange={e => setFormData({ ...formData, DEDUCCIONES_RETENCION: e.target.value })}
                         />
                       </div>
-                    </div>
+                    )}
 
                     <Button type="submit" className="w-full mt-4">
                       Calcular
                     </Button>
                   </form>
+                ) : pendingUpload ? (
+                  <ColumnMapper
+                    fileName={pendingUpload.fileName}
+                    rows={pendingUpload.rows}
+                    detection={pendingUpload.detection}
+                    savedMappings={savedMappings}
+                    optionalFields={deriveSalary ? ['SUELDO_NUEVO'] : []}
+                    onConfirm={handleMappingConfirm}
+                    onCancel={handleMappingCancel}
+                    onDeleteMapping={(name) => setSavedMappings(deleteMapping(name))}
+                  />
                 ) : (
                   <div className="space-y-6 text-center">
                     {/* Mass Upload Section */}
@@ -841,12 +758,49 @@ function App() {
                           value={payrollType}
                           onChange={setPayrollType}
                         />
+                        <SalaryIncreaseOptions increase={salaryIncrease} onChange={setSalaryIncrease} />
+                        <CalculationOptions options={calcOptions} onChange={setCalcOptions} />
+                        <div className="pt-2 border-t border-slate-100 space-y-2">
+                          <button
+                            type="button"
+                            onClick={() => setShowCatalog(!showCatalog)}
+                            className="w-full flex items-center justify-between text-sm font-medium text-brand-dark"
+                          >
+                            Códigos de conceptos (Buk)
+                            <ChevronDown className={cn("w-4 h-4 text-slate-400 transition-transform", showCatalog && "rotate-180")} />
+                          </button>
+                          {showCatalog && (
+                            <ConceptCatalogEditor catalog={conceptCatalog} onChange={updateConceptCatalog} />
+                          )}
+                        </div>
                       </div>
 
+                      {isProcessing && (
+                        <div className="text-left space-y-2 p-4 rounded-xl border border-brand-muted/40 bg-brand-light/10">
+                          <div className="flex items-center justify-between gap-2">
+                            <p className="text-sm font-medium text-brand-dark">
+                              {progress
+                                ? `Procesando ${progress.processed.toLocaleString()} de ${progress.total.toLocaleString()} filas`
+                                : 'Leyendo archivo...'}
+                            </p>
+                            <Button variant="ghost" onClick={cancelMassUpload} className="px-2 py-1 text-sm text-red-600 hover:bg-red-50">
+                              <X className="w-4 h-4" />
+                              Cancelar
+                            </Button>
+                          </div>
+                          <div className="h-2 rounded-full bg-slate-100 overflow-hidden">
+                            <div
+                              className={cn("h-full rounded-full bg-brand-primary transition-all", !progress && "w-1/3 animate-pulse")}
+                              style={progress ? { width: `${progress.total > 0 ? progress.processed / progress.total * 100 : 0}%` } : undefined}
+                            />
+                          </div>
+                        </div>
+                      )}
+
                       <div className="border-2 border-dashed border-slate-300 rounded-xl p-10 hover:bg-slate-50 transition-colors relative">
                         <input
                           type="file"
-                          accept=".xlsx, .xls"
+                          accept=".xlsx, .xls, .csv, .tsv, .txt"
                           onChange={handleFileUpload}
                           className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
                           disabled={isProcessing}
@@ -859,10 +813,56 @@ function App() {
                             <p className="font-semibold text-slate-900 text-lg">Sube tu reporte aquí</p>
                             <p className="text-sm text-slate-500">Arrastra o haz clic para seleccionar su archivo</p>
                           </div>
-                          <p className="text-xs text-slate-400">Detección automática de cabeceras (Fila 1 o 6)</p>
+                          <p className="text-xs text-slate-400">Excel, CSV o TSV · Detección automática de columnas por nombre de cabecera</p>
                         </div>
                       </div>
 
+                      <div className="text-left space-y-2">
+                        <label className="text-sm font-medium text-brand-dark block">O pegue los datos copiados</label>
+                        <textarea
+                          rows={4}
+                          value={pastedText}
+                          onChange={e => setPastedText(e.target.value)}
+                          placeholder="Copie las celdas desde Excel o Google Sheets, incluida la fila de cabecera, y péguelas aquí."
+                          className="w-full px-3 py-2 rounded-lg border border-brand-muted/50 text-xs font-mono text-brand-dark outline-none focus:ring-2 focus:ring-brand-primary resize-y"
+                        />
+                        <Button
+                          variant="secondary"
+                          className="w-full"
+                          disabled={isProcessing || pastedText.trim() === ''}
+                          onClick={handlePasteSubmit}
+                        >
+                          <ClipboardPaste className="w-4 h-4" />
+                          Procesar datos pegados
+                        </Button>
+                      </div>
+
+                      <div className="text-left space-y-1">
+                        <label className="text-sm font-medium text-brand-dark block">Reporte pagado (opcional)</label>
+                        <p className="text-xs text-slate-500">
+                          Reporte de pagos de Buk con lo ya pagado. Se cruza por cédula, período y concepto, y el importador solo lleva lo pendiente.
+                        </p>
+                        {paidReport ? (
+                          <div className="flex items-center justify-between gap-2 px-3 py-2 rounded-lg bg-brand-light/20 text-sm">
+                            <span className="truncate text-brand-dark" title={paidReport.fileName}>{paidReport.fileName}</span>
+                            <button
+                              type="button"
+                              onClick={() => setPaidReport(null)}
+                              className="p-1 rounded text-slate-400 hover:bg-red-50 hover:text-red-600"
+                              title="Quitar reporte pagado"
+                            >
+                              <X className="w-4 h-4" />
+                            </button>
+                          </div>
+                        ) : (
+                          <label className="flex items-center justify-center gap-2 px-4 py-2 rounded-lg border border-brand-muted text-sm font-medium text-brand-dark hover:bg-brand-light/20 cursor-pointer transition-all">
+                            <Upload className="w-4 h-4" />
+                            Cargar reporte pagado
+                            <input type="file" accept=".xlsx, .xls, .csv, .tsv, .txt" onChange={handlePaidReportUpload} className="hidden" />
+                          </label>
+                        )}
+                      </div>
+
                       <div className="pt-2">
                         <a
                           href="/templates/template_reporte_pagos.xlsx"
@@ -891,6 +891,17 @@ function App() {
               </div>
             )}
 
+            {notes.length > 0 && (
+              <div className="bg-amber-50 text-amber-800 p-4 rounded-xl flex items-start gap-3 border border-amber-200">
+                <Info className="w-5 h-5 shrink-0" />
+                <ul className="text-sm space-y-1">
+                  {notes.map(note => <li key={note}>{note}</li>)}
+                </ul>
+              </div>
+            )}
+
+            <SummaryDashboard results={results} />
+
             <Card className="h-full flex flex-col min-h-[500px]">
               <div className="p-4 border-b border-slate-200 flex items-center justify-between bg-slate-50/50">
                 <div className="flex items-center gap-2">
@@ -899,11 +910,24 @@ function App() {
                     <Badge variant="success">{results.length} registros</Badge>
                   )}
                 </div>
-                {results.length > 0 && (
+                {(results.length > 0 || rejections.length > 0) && (
                   <div className="flex gap-2">
-                    <Button variant="ghost" size="sm" onClick={() => setResults([])} className="text-red-600 hover:bg-red-50">
+                    <Button variant="ghost" size="sm" onClick={() => { setResults([]); setReviews([]); setRejections([]); setContributions([]); setWithholding([]); setNotes([]); setDerivedSalaries([]); setSimulationRun(null); }} className="text-red-600 hover:bg-red-50">
                       <Trash2 className="w-4 h-4" />
                     </Button>
+                    {simulationRun && (
+                      <Button variant="secondary" size="sm" onClick={() => { recordRun(simulationRun); setSimulationRun(null); }}>
+                        <History className="w-4 h-4" />
+                        Guardar en historial
+                      </Button>
+                    )}
+                    <StatementsMenu
+                      reviews={reviews}
+                      details={results}
+                      withholding={withholding}
+                      source={runInfo?.source}
+                      onError={setError}
+                    />
                     <Button size="sm" onClick={downloadReport}>
                       <Download className="w-4 h-4" />
                       Exportar reporte
@@ -922,43 +946,47 @@ function App() {
                     <p className="text-sm">Realiza un cálculo individual o carga un archivo para ver los detalles.</p>
                   </div>
                 ) : (
-                  <table className="w-full text-sm text-left">
-                    <thead className="bg-slate-50 text-slate-500 font-medium border-b border-slate-200 sticky top-0">
-                      <tr>
-                        <th className="px-4 py-3">Cédula</th>
-                        <th className="px-4 py-3">Nombre</th>
-                        <th className="px-4 py-3">Concepto</th>
-                        <th className="px-4 py-3">Detalle</th>
-                        <th className="px-4 py-3 text-right">Valor a pagar</th>
-                      </tr>
-                    </thead>
-                    <tbody className="divide-y divide-slate-100">
-                      {results.slice(0, 10).map((row, idx) => (
-                        <tr key={idx} className="hover:bg-slate-50/50 transition-colors">
-                          <td className="px-4 py-3 font-mono text-slate-600">{row.CEDULA}</td>
-                          <td className="px-4 py-3 font-medium text-slate-900">{row.NOMBRE}</td>
-                          <td className="px-4 py-3 text-slate-600">
-                            <Badge variant="default">{row.CONCEPTO}</Badge>
-                          </td>
-                          <td className="px-4 py-3 text-slate-500 text-xs">
-                            {row.DETALLE}
-                          </td>
-                          <td className="px-4 py-3 text-right font-mono font-medium text-brand-primary">
-                            $ {row.VALOR_A_PAGAR.toLocaleString()}
-                          </td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
+                  <>
+                    <div className="px-3 pt-3">
+                      <Toggle
+                        options={[
+                          { label: 'Detalle', value: 'detail' },
+                          { label: 'Por colaborador', value: 'employee' }
+                        ]}
+                        value={resultsView}
+                        onChange={setResultsView}
+                      />
+                    </div>
+                    {resultsView === 'employee'
+                      ? <EmployeeReviewTable reviews={reviews} />
+                      : <ResultsGrid results={results} onError={setError} />}
+                  </>
                 )}
               </div>
-
-              {results.length > 10 && (
-                <div className="p-3 border-t border-slate-200 bg-slate-50 text-center text-xs text-slate-500">
-                  Mostrando los primeros 10 resultados de {results.length}. Descarga el reporte para ver todo.
-                </div>
-              )}
             </Card>
+
+            {reconciliation && (
+              <ReconciliationPanel
+                fileName={paidReport.fileName}
+                reconciliation={reconciliation}
+                onRemove={() => setPaidReport(null)}
+              />
+            )}
+
+            <DerivedSalariesPanel derivedSalaries={derivedSalaries} />
+
+            <ContributionsPanel contributions={contributions} />
+            <WithholdingPanel withholding={withholding} />
+
+            <RejectionsPanel rejections={rejections} />
+
+            <HistoryPanel
+              version={historyVersion}
+              unsavedRun={unsavedRun}
+              onSaveUnsaved={() => recordRun(unsavedRun)}
+              onOpen={openSavedRun}
+              onExport={exportSavedRun}
+            />
           </div>
         </div>
       </div>
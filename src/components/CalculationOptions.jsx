@@ -0,0 +1,176 @@
+import React from 'react';
+import { Checkbox, Select } from './ui';
+import { ABSENCE_TYPES, ROUNDING_MODES, getUvt } from '../engine';
+
+const numberInputClass = "w-28 px-2 py-1 rounded border border-brand-muted/50 text-xs text-right text-brand-dark outline-none focus:ring-1 focus:ring-brand-primary";
+
+const ARL_CLASS_OPTIONS = [
+  { label: 'Clase I (0,522%)', value: 'I' },
+  { label: 'Clase II (1,044%)', value: 'II' },
+  { label: 'Clase III (2,436%)', value: 'III' },
+  { label: 'Clase IV (4,350%)', value: 'IV' },
+  { label: 'Clase V (6,960%)', value: 'V' }
+];
+
+/**
+ * Optional calculation modules shared by the individual and mass tabs.
+ */
+export function CalculationOptions({ options, onChange }) {
+  const set = (key, value) => onChange({ ...options, [key]: value });
+
+  return (
+    <div className="space-y-3 text-left">
+      <Checkbox
+        label="Incluir prestaciones sociales"
+        description="Prima, cesantías, intereses y vacaciones sobre la diferencia."
+        checked={options.prestaciones}
+        onChange={value => set('prestaciones', value)}
+      />
+      <Checkbox
+        label="Incluir auxilio de transporte"
+        description="Diferencia por período según la tabla anual de SMMLV y auxilio."
+        checked={options.auxilio}
+        onChange={value => set('auxilio', value)}
+      />
+      {options.auxilio && (
+        <div className="pl-6">
+          <Checkbox
+            label="Auxilio pagado con el decreto del año anterior"
+            description="Para retroactivos por el aumento anual del salario mínimo."
+            checked={options.auxilioPreviousYear}
+            onChange={value => set('auxilioPreviousYear', value)}
+          />
+        </div>
+      )}
+      <Checkbox
+        label="Descontar ausencias e incapacidades"
+        description="Días por tipo y período; cada tipo con su porcentaje de pago."
+        checked={options.absences}
+        onChange={value => set('absences', value)}
+      />
+      {options.absences && (
+        <div className="pl-6 space-y-1.5">
+          {ABSENCE_TYPES.map(type => (
+            <div key={type.key} className="flex items-center justify-between gap-2">
+              <span className="text-xs text-slate-600">{type.label}</span>
+              <div className="flex items-center gap-1">
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="0.01"
+                  value={Math.round(options.absenceRates[type.key] * 10000) / 100}
+                  onChange={e => set('absenceRates', {
+                    ...options.absenceRates,
+                    [type.key]: (parseFloat(e.target.value) || 0) / 100
+                  })}
+                  className="w-20 px-2 py-1 rounded border border-brand-muted/50 text-xs text-right text-brand-dark outline-none focus:ring-1 focus:ring-brand-primary"
+                />
+                <span className="text-xs text-slate-500">% pagado</span>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      <Checkbox
+        label="Registrar diferencias negativas como reintegro"
+        description="Lo pagado de más se descuenta como reintegro por mayor valor pagado."
+        checked={options.deductions}
+        onChange={value => set('deductions', value)}
+      />
+      {options.deductions && (
+        <div className="pl-6 flex items-center justify-between gap-2">
+          <span className="text-xs text-slate-600">Tope de descuento por colaborador</span>
+          <div className="flex items-center gap-1">
+            <input
+              type="number"
+              min="0"
+              max="100"
+              step="0.01"
+              placeholder="Sin tope"
+              value={options.deductionCap}
+              onChange={e => set('deductionCap', e.target.value)}
+              className="w-20 px-2 py-1 rounded border border-brand-muted/50 text-xs text-right text-brand-dark outline-none focus:ring-1 focus:ring-brand-primary"
+            />
+            <span className="text-xs text-slate-500">% del próximo pago</span>
+          </div>
+        </div>
+      )}
+      <Checkbox
+        label="Calcular corrección de aportes (PILA N)"
+        description="Salud, pensión, ARL, caja, ICBF y SENA por período."
+        checked={options.contributions}
+        onChange={value => set('contributions', value)}
+      />
+      {options.contributions && (
+        <div className="pl-6 space-y-3">
+          <Select
+            label="Clase de riesgo ARL"
+            options={ARL_CLASS_OPTIONS}
+            value={options.arlClass}
+            onChange={e => set('arlClass', e.target.value)}
+          />
+          <Checkbox
+            label="Exonerado Art. 114-1 ET"
+            description="Sin salud empleador, ICBF ni SENA para salarios menores a 10 SMMLV."
+            checked={options.exonerated}
+            onChange={value => set('exonerated', value)}
+          />
+        </div>
+      )}
+      <Checkbox
+        label="Estimar retención en la fuente"
+        description="Procedimiento 1 sobre el mes de pago, con el ingreso mensual habitual."
+        checked={options.withholding}
+        onChange={value => set('withholding', value)}
+      />
+      {options.withholding && (
+        <div className="pl-6 space-y-1.5">
+          <div className="flex items-center justify-between gap-2">
+            <span className="text-xs text-slate-600">Año de pago</span>
+            <input
+              type="number"
+              min="2000"
+              step="1"
+              value={options.withholdingYear}
+              onChange={e => set('withholdingYear', e.target.value)}
+              className={numberInputClass}
+            />
+          </div>
+          <div className="flex items-center justify-between gap-2">
+            <span className="text-xs text-slate-600">Valor UVT</span>
+            <input
+              type="number"
+              min="0"
+              step="1"
+              placeholder={getUvt(Number(options.withholdingYear)).toLocaleString()}
+              value={options.uvt}
+              onChange={e => set('uvt', e.target.value)}
+              className={numberInputClass}
+            />
+          </div>
+          <Checkbox
+            label="Renta exenta del 25%"
+            description="Art. 206 num. 10 ET, hasta 790 UVT al año."
+            checked={options.exemptIncome}
+            onChange={value => set('exemptIncome', value)}
+          />
+        </div>
+      )}
+      <Select
+        label="Redondeo"
+        options={ROUNDING_MODES}
+        value={options.rounding}
+        onChange={e => set('rounding', e.target.value)}
+      />
+      {options.rounding !== 'total' && (
+        <Checkbox
+          label="Cuadrar las líneas con el total"
+          description="Reparte la diferencia de redondeo para que las líneas sumen el total redondeado de cada colaborador."
+          checked={options.distributeResidual}
+          onChange={value => set('distributeResidual', value)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import { AlertCircle, Trash2 } from 'lucide-react';
+import { Button } from './ui';
+import { cn } from '../utils/cn';
+import { UPLOAD_COLUMNS, resolveColumns } from '../upload/columns';
+
+// Spreadsheet-style column letter (0 → A, 26 → AA)
+const columnLetter = (index) => {
+  let letter = '';
+  let n = index + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letter = String.fromCharCode(65 + rem) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+};
+
+/**
+ * Interactive mapping screen shown when a required column can't be found
+ * automatically, or when several columns match a field (the same header
+ * with different factors). Lets the user pick the header row and the
+ * column for each field, and optionally save the mapping for later uploads.
+ */
+export function ColumnMapper({ fileName, rows, detection, savedMappings, optionalFields = [], onConfirm, onCancel, onDeleteMapping }) {
+  const [headerRowIndex, setHeaderRowIndex] = useState(Math.max(detection.headerRowIndex, 0));
+  const [columns, setColumns] = useState(detection.columns);
+  const [ambiguous, setAmbiguous] = useState(detection.ambiguous || []);
+  const [saveName, setSaveName] = useState('');
+
+  const headers = rows[headerRowIndex] || [];
+  const sampleRow = rows[headerRowIndex + 1] || [];
+  const isRequired = (column) => column.required && !optionalFields.includes(column.field);
+  const missing = UPLOAD_COLUMNS.filter(c => isRequired(c) && columns[c.field] === undefined);
+
+  const changeHeaderRow = (index) => {
+    setHeaderRowIndex(index);
+    const resolved = resolveColumns(rows[index], savedMappings, optionalFields);
+    setColumns(resolved.columns);
+    setAmbiguous(resolved.ambiguous);
+  };
+
+  const applySavedMapping = (name) => {
+    const mapping = savedMappings.find(m => m.name === name);
+    if (!mapping) return;
+    setColumns({ ...columns, ...resolveColumns(headers, [mapping]).columns });
+  };
+
+  const setColumn = (field, value) => {
+    const next = { ...columns };
+    if (value === '') delete next[field];
+    else next[field] = Number(value);
+    setColumns(next);
+  };
+
+  return (
+    <div className="space-y-4 text-left">
+      <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 flex gap-2 items-start">
+        <AlertCircle className="w-4 h-4 text-amber-600 shrink-0 mt-0.5" />
+        <p className="text-xs text-amber-800">
+          {detection.missing.length > 0
+            ? <>No se encontraron todas las columnas requeridas en <span className="font-semibold">{fileName}</span>.</>
+            : <>Varias columnas de <span className="font-semibold">{fileName}</span> coinciden con el mismo campo.</>}
+          {' '}Seleccione la columna correspondiente a cada campo.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <div className="space-y-1.5">
+          <label className="text-xs font-medium text-brand-dark block">Fila de cabecera</label>
+          <input
+            type="number"
+            min={1}
+            max={rows.length}
+            value={headerRowIndex + 1}
+            onChange={e => {
+              const index = Number(e.target.value) - 1;
+              if (index >= 0 && index < rows.length) changeHeaderRow(index);
+            }}
+            className="w-full px-3 py-1.5 rounded-lg border border-brand-muted/50 text-sm text-brand-dark outline-none focus:ring-2 focus:ring-brand-primary"
+          />
+        </div>
+        {savedMappings.length > 0 && (
+          <div className="space-y-1.5">
+            <label className="text-xs font-medium text-brand-dark block">Mapeo guardado</label>
+            <select
+              value=""
+              onChange={e => applySavedMapping(e.target.value)}
+              className="w-full px-2 py-1.5 rounded-lg border border-brand-muted/50 text-sm text-brand-dark bg-white outline-none"
+            >
+              <option value="">Aplicar...</option>
+              {savedMappings.map(m => (
+                <option key={m.name} value={m.name}>{m.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      <div className="space-y-2 max-h-80 overflow-auto pr-1">
+        {UPLOAD_COLUMNS.map((column) => {
+          const { field, label } = column;
+          const required = isRequired(column);
+          const selected = columns[field];
+          const unresolved = selected === undefined && ambiguous.includes(field);
+          return (
+            <div key={field} className="space-y-1">
+              <label className={cn(
+                "text-xs font-medium block",
+                required && selected === undefined ? "text-red-600" : unresolved ? "text-amber-700" : "text-brand-dark"
+              )}>
+                {label}{required && ' *'}
+              </label>
+              <select
+                value={selected === undefined ? '' : selected}
+                onChange={e => setColumn(field, e.target.value)}
+                className={cn(
+                  "w-full px-2 py-1.5 rounded-lg border text-sm bg-white outline-none",
+                  required && selected === undefined ? "border-red-300" : "border-brand-muted/50"
+                )}
+              >
+                <option value="">{required ? 'Seleccione una columna' : 'No aplica'}</option>
+                {headers.map((header, index) => (
+                  <option key={index} value={index}>
+                    {columnLetter(index)}: {header === undefined || header === '' ? '(vacía)' : String(header)}
+                  </option>
+                ))}
+              </select>
+              {unresolved && (
+                <p className="text-[11px] text-amber-700">Varias columnas coinciden con factores distintos; elija la que corresponde.</p>
+              )}
+              {selected !== undefined && sampleRow[selected] !== undefined && (
+                <p className="text-[11px] text-slate-400 truncate">Ejemplo: {String(sampleRow[selected])}</p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="space-y-1.5 pt-2 border-t border-slate-100">
+        <label className="text-xs font-medium text-brand-dark block">Guardar mapeo como (opcional)</label>
+        <input
+          type="text"
+          placeholder="Ej: Reporte pagos cliente X"
+          value={saveName}
+          onChange={e => setSaveName(e.target.value)}
+          className="w-full px-3 py-1.5 rounded-lg border border-brand-muted/50 text-sm text-brand-dark outline-none focus:ring-2 focus:ring-brand-primary"
+        />
+        {savedMappings.length > 0 && (
+          <div className="flex flex-wrap gap-1.5 pt-1">
+            {savedMappings.map(m => (
+              <span key={m.name} className="inline-flex items-center gap-1 text-[11px] bg-slate-100 text-slate-600 rounded-full pl-2 pr-1 py-0.5">
+                {m.name}
+                <button
+                  type="button"
+                  onClick={() => onDeleteMapping(m.name)}
+                  className="p-0.5 rounded-full hover:bg-red-100 hover:text-red-600"
+                  title="Eliminar mapeo"
+                >
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="flex gap-2">
+        <Button variant="secondary" className="flex-1" onClick={onCancel}>
+          Cancelar
+        </Button>
+        <Button
+          className="flex-1"
+          disabled={missing.length > 0}
+          onClick={() => onConfirm({ headerRowIndex, columns, saveName: saveName.trim() })}
+        >
+          Continuar
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { Download, Plus, Trash2, Upload } from 'lucide-react';
+import { exportConceptCatalog, parseConceptCatalog } from '../upload/conceptCatalog';
+import { downloadBlob } from '../utils/downloadBlob';
+
+const cellInputClass = "w-full px-2 py-1 rounded border border-brand-muted/40 text-xs text-brand-dark outline-none focus:ring-1 focus:ring-brand-primary";
+
+/**
+ * Editor for the Buk item code and centro de costo of each concept. The
+ * catalog fills "Código*" and "Centro Costo" in the exported importer.
+ */
+export function ConceptCatalogEditor({ catalog, onChange }) {
+  const [importError, setImportError] = useState(null);
+
+  const update = (index, key, value) => {
+    onChange(catalog.map((entry, i) => (i === index ? { ...entry, [key]: value } : entry)));
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([exportConceptCatalog(catalog)], { type: 'application/json' });
+    downloadBlob(blob, 'catalogo_conceptos.json');
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      onChange(parseConceptCatalog(await file.text()));
+      setImportError(null);
+    } catch (err) {
+      setImportError(err.message);
+    } finally {
+      e.target.value = '';
+    }
+  };
+
+  const missingCodes = catalog.filter(entry => !entry.code).length;
+
+  return (
+    <div className="space-y-2 text-left">
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-xs text-slate-500">
+          {missingCodes > 0 ? `${missingCodes} conceptos sin código` : 'Todos los conceptos tienen código'}
+        </p>
+        <div className="flex items-center gap-3">
+          <label className="inline-flex items-center gap-1 text-xs font-medium text-brand-primary hover:underline cursor-pointer">
+            <Upload className="w-3 h-3" /> Importar
+            <input type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+          </label>
+          <button
+            type="button"
+            onClick={handleExport}
+            className="inline-flex items-center gap-1 text-xs font-medium text-brand-primary hover:underline"
+          >
+            <Download className="w-3 h-3" /> Exportar
+          </button>
+        </div>
+      </div>
+
+      {importError && <p className="text-xs text-red-600">{importError}</p>}
+
+      <div className="max-h-72 overflow-auto border border-slate-200 rounded-lg">
+        <table className="w-full text-xs">
+          <thead className="bg-slate-50 text-slate-500 sticky top-0">
+            <tr>
+              <th className="px-2 py-1.5 text-left font-medium">Concepto</th>
+              <th className="px-1 py-1.5 text-left font-medium w-24">Código Buk</th>
+              <th className="px-1 py-1.5 text-left font-medium w-24">Centro costo</th>
+              <th className="w-6" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {catalog.map((entry, index) => (
+              <tr key={entry.custom ? `custom-${index}` : entry.concept}>
+                <td className="px-2 py-1 text-slate-600">
+                  {entry.custom ? (
+                    <input
+                      type="text"
+                      placeholder="Nombre del concepto"
+                      value={entry.concept}
+                      onChange={e => update(index, 'concept', e.target.value)}
+                      className={cellInputClass}
+                    />
+                  ) : entry.concept}
+                </td>
+                <td className="px-1 py-1">
+                  <input
+                    type="text"
+                    value={entry.code}
+                    onChange={e => update(index, 'code', e.target.value)}
+                    className={cellInputClass}
+                  />
+                </td>
+                <td className="px-1 py-1">
+                  <input
+                    type="text"
+                    value={entry.costCenter}
+                    onChange={e => update(index, 'costCenter', e.target.value)}
+                    className={cellInputClass}
+                  />
+                </td>
+                <td className="py-1">
+                  {entry.custom && (
+                    <button
+                      type="button"
+                      onClick={() => onChange(catalog.filter((_, i) => i !== index))}
+                      className="p-1 rounded text-slate-400 hover:bg-red-50 hover:text-red-600"
+                      title="Eliminar concepto"
+                    >
+                      <Trash2 className="w-3.5 h-3.5" />
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <button
+        type="button"
+        onClick={() => onChange([...catalog, { concept: '', code: '', costCenter: '', custom: true }])}
+        className="inline-flex items-center gap-1 text-xs font-medium text-brand-primary hover:underline"
+      >
+        <Plus className="w-3 h-3" /> Agregar concepto
+      </button>
+    </div>
+  );
+}
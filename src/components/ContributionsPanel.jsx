@@ -0,0 +1,65 @@
+import React from 'react';
+import { Landmark } from 'lucide-react';
+import { Card, Badge } from './ui';
+
+const formatMoney = (value) => `$ ${value.toLocaleString()}`;
+
+/**
+ * Per-month social security corrections for PILA type N. The full
+ * breakdown by subsystem goes to the "Aportes PILA" export sheet.
+ */
+export function ContributionsPanel({ contributions }) {
+  if (contributions.length === 0) return null;
+
+  const total = (key) => contributions.reduce((sum, row) => sum + row[key], 0);
+
+  return (
+    <Card className="flex flex-col">
+      <div className="p-4 border-b border-slate-200 flex items-center justify-between bg-slate-50/50">
+        <div className="flex items-center gap-2">
+          <Landmark className="w-4 h-4 text-brand-primary" />
+          <h2 className="font-semibold text-brand-dark">Corrección de aportes (PILA N)</h2>
+          <Badge>{contributions.length} períodos</Badge>
+        </div>
+      </div>
+
+      <div className="max-h-72 overflow-auto">
+        <table className="w-full text-sm text-left">
+          <thead className="bg-slate-50 text-slate-500 font-medium border-b border-slate-200 sticky top-0">
+            <tr>
+              <th className="px-4 py-2">Período</th>
+              <th className="px-4 py-2">Cédula</th>
+              <th className="px-4 py-2 text-right">IBC adicional</th>
+              <th className="px-4 py-2 text-right">Empleador</th>
+              <th className="px-4 py-2 text-right">Trabajador</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {contributions.map((row) => (
+              <tr key={`${row['Número de Documento']}-${row['Período PILA']}`} className="hover:bg-slate-50/50">
+                <td className="px-4 py-2 font-mono text-slate-600">
+                  {row['Período PILA']}
+                  {row['Exonerado Art. 114-1'] === 'Sí' && (
+                    <span className="ml-2 text-[10px] text-green-700">114-1</span>
+                  )}
+                </td>
+                <td className="px-4 py-2 font-mono text-slate-600">{row['Número de Documento']}</td>
+                <td className="px-4 py-2 text-right font-mono">{formatMoney(row['IBC adicional'])}</td>
+                <td className="px-4 py-2 text-right font-mono">{formatMoney(row['Total empleador'])}</td>
+                <td className="px-4 py-2 text-right font-mono">{formatMoney(row['Total trabajador'])}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot className="bg-slate-50 border-t border-slate-200 font-semibold text-brand-dark sticky bottom-0">
+            <tr>
+              <td className="px-4 py-2" colSpan={2}>Total</td>
+              <td className="px-4 py-2 text-right font-mono">{formatMoney(total('IBC adicional'))}</td>
+              <td className="px-4 py-2 text-right font-mono">{formatMoney(total('Total empleador'))}</td>
+              <td className="px-4 py-2 text-right font-mono">{formatMoney(total('Total trabajador'))}</td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    </Card>
+  );
+}
@@ -13,7 +13,7 @@ const MONTHS = [
     'Julio', 'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre'
 ];
 
-export function CustomCalendar({ value, onChange, isDateValid, label, payrollType, dateType, error, align = 'left', placeholder }) {
+export function CustomCalendar({ value, onChange, isDateValid, label, payrollType, dateType, allowPartialPeriods = false, error, align = 'left', placeholder }) {
     // Use value or today as the initial view
     const initialDate = value ? new Date(value) : new Date();
     const [viewDate, setViewDate] = useState(new Date(initialDate.getFullYear(), initialDate.getMonth(), 1));
@@ -152,7 +152,8 @@ export function CustomCalendar({ value, onChange, isDateValid, label, payrollTyp
                             const checkDate = new Date(day.date.getFullYear(), day.date.getMonth(), day.date.getDate());
                             const isSelected = value && checkDate.getTime() === new Date(value.getFullYear(), value.getMonth(), value.getDate()).getTime();
                             const checkPayrollValidation = (date) => {
-                                if (!payrollType || !dateType) return true;
+                                // Prorated mode accepts any day as start or end
+                                if (!payrollType || !dateType || allowPartialPeriods) return true;
 
                                 const day = date.getDate();
                                 const year = date.getFullYear();
@@ -0,0 +1,50 @@
+import React from 'react';
+import { TrendingUp } from 'lucide-react';
+import { Card, Badge } from './ui';
+
+const formatMoney = (value) => `$ ${value.toLocaleString()}`;
+
+/**
+ * New salaries derived from an across-the-board increase, so they can be
+ * reviewed before importing. Exported to the "Salarios calculados" sheet.
+ */
+export function DerivedSalariesPanel({ derivedSalaries }) {
+  if (derivedSalaries.length === 0) return null;
+
+  return (
+    <Card className="flex flex-col">
+      <div className="p-4 border-b border-slate-200 flex items-center justify-between bg-slate-50/50">
+        <div className="flex items-center gap-2">
+          <TrendingUp className="w-4 h-4 text-brand-primary" />
+          <h2 className="font-semibold text-brand-dark">Salarios calculados</h2>
+          <Badge>{derivedSalaries.length}</Badge>
+        </div>
+      </div>
+
+      <div className="max-h-72 overflow-auto">
+        <table className="w-full text-sm text-left">
+          <thead className="bg-slate-50 text-slate-500 font-medium border-b border-slate-200 sticky top-0">
+            <tr>
+              <th className="px-4 py-2">Cédula</th>
+              <th className="px-4 py-2">Nombre</th>
+              <th className="px-4 py-2 text-right">Salario anterior</th>
+              <th className="px-4 py-2 text-right">Salario nuevo</th>
+              <th className="px-4 py-2">Aumento</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {derivedSalaries.map((row) => (
+              <tr key={`${row.CEDULA}-${row.SUELDO_ANTERIOR}`} className="hover:bg-slate-50/50">
+                <td className="px-4 py-2 font-mono text-slate-600">{row.CEDULA}</td>
+                <td className="px-4 py-2 text-slate-700">{row.NOMBRE}</td>
+                <td className="px-4 py-2 text-right font-mono">{formatMoney(row.SUELDO_ANTERIOR)}</td>
+                <td className="px-4 py-2 text-right font-mono font-medium text-brand-dark">{formatMoney(row.SUELDO_NUEVO)}</td>
+                <td className="px-4 py-2 text-slate-500 text-xs">{row.AUMENTO}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,216 @@
+import React, { useMemo, useState } from 'react';
+import { AlertTriangle, ChevronRight, Search } from 'lucide-react';
+import { describeDeductions, getPendingDeductions } from '../engine';
+import { cn } from '../utils/cn';
+import { fold } from '../utils/fold';
+
+const formatMoney = (value) => `$ ${value.toLocaleString()}`;
+const formatOptional = (value, format = formatMoney) => (value === null ? '—' : format(value));
+const formatHourly = (value) => `$ ${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Matrix headers drop the common "Retroactivo" prefix and shorten reintegros
+const shortConcept = (concept) => concept
+  .replace(/^Retroactivo\s+/i, '')
+  .replace(/^Reintegro por mayor valor pagado - /i, 'Reintegro ');
+
+/**
+ * Period × concept matrix of one employee, with the salaries each payroll
+ * period was calculated on.
+ */
+function EmployeeMatrix({ review }) {
+  const conceptTotals = review.concepts.map(concept =>
+    review.periods.reduce((sum, row) => sum + (row.values[concept] || 0), 0)
+  );
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-xs text-left">
+        <thead className="text-slate-500 border-b border-slate-200">
+          <tr>
+            <th className="px-3 py-2 font-medium">Período</th>
+            <th className="px-3 py-2 font-medium text-right">Sueldo anterior</th>
+            <th className="px-3 py-2 font-medium text-right">Sueldo nuevo</th>
+            <th className="px-3 py-2 font-medium text-right">Diferencia</th>
+            <th className="px-3 py-2 font-medium text-right">Dif. valor hora</th>
+            {review.concepts.map(concept => (
+              <th key={concept} className="px-3 py-2 font-medium text-right capitalize" title={concept}>
+                {shortConcept(concept)}
+              </th>
+            ))}
+            <th className="px-3 py-2 font-medium text-right">Total</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-slate-100">
+          {review.periods.map(row => (
+            <tr key={row.PERIODO} className="hover:bg-white">
+              <td className="px-3 py-1.5 text-slate-600 whitespace-nowrap" title={row.rule ? `Norma ${row.rule}` : undefined}>
+                {row.PERIODO}
+              </td>
+              <td className="px-3 py-1.5 text-right font-mono text-slate-500">{formatOptional(row.oldSalary)}</td>
+              <td className="px-3 py-1.5 text-right font-mono text-slate-500">{formatOptional(row.newSalary)}</td>
+              <td className="px-3 py-1.5 text-right font-mono text-slate-700">{formatOptional(row.difference)}</td>
+              <td className="px-3 py-1.5 text-right font-mono text-slate-700">{formatOptional(row.hourlyDifference, formatHourly)}</td>
+              {review.concepts.map(concept => (
+                <td key={concept} className="px-3 py-1.5 text-right font-mono">
+                  {row.values[concept] ? formatMoney(row.values[concept]) : <span className="text-slate-300">—</span>}
+                </td>
+              ))}
+              <td className="px-3 py-1.5 text-right font-mono font-medium text-brand-dark">{formatMoney(row.total)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot className="border-t border-slate-200 font-medium text-brand-dark">
+          <tr>
+            <td className="px-3 py-2" colSpan={5}>Total</td>
+            {conceptTotals.map((total, i) => (
+              <td key={review.concepts[i]} className="px-3 py-2 text-right font-mono">{formatMoney(total)}</td>
+            ))}
+            <td className="px-3 py-2 text-right font-mono text-brand-primary">{formatMoney(review.total)}</td>
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * Reintegro lines the deduction cap left for later payments.
+ */
+function PendingDeductions({ review }) {
+  const pending = getPendingDeductions([review]);
+  if (pending.length === 0) return null;
+
+  return (
+    <table className="mb-3 text-xs text-left">
+      <thead className="text-amber-800">
+        <tr>
+          <th className="pr-4 py-1 font-medium">Pendiente por descontar</th>
+          <th className="pr-4 py-1 font-medium">Período</th>
+          <th className="py-1 font-medium text-right">Valor</th>
+        </tr>
+      </thead>
+      <tbody className="text-slate-700">
+        {pending.map(line => (
+          <tr key={`${line.PERIODO}|${line.CONCEPTO}`}>
+            <td className="pr-4 py-0.5">{shortConcept(line.CONCEPTO)}</td>
+            <td className="pr-4 py-0.5">{line.PERIODO || '—'}</td>
+            <td className="py-0.5 text-right font-mono">{formatMoney(line.amount)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * Results grouped by colaborador: one row per employee with the total retro
+ * and how many periods and concepts it covers, expanding to the employee's
+ * period × concept matrix.
+ */
+export function EmployeeReviewTable({ reviews }) {
+  const [search, setSearch] = useState('');
+  const [expanded, setExpanded] = useState(() => new Set());
+
+  const rows = useMemo(() => {
+    const query = fold(search.trim());
+    if (!query) return reviews;
+    return reviews.filter(review => fold(review.CEDULA).includes(query) || fold(review.NOMBRE).includes(query));
+  }, [reviews, search]);
+  const pendingTotal = getPendingDeductions(rows).reduce((sum, line) => sum + line.amount, 0);
+
+  const toggle = (key) => {
+    const next = new Set(expanded);
+    if (next.has(key)) next.delete(key);
+    else next.add(key);
+    setExpanded(next);
+  };
+
+  return (
+    <div className="flex flex-col">
+      <div className="p-3 border-b border-slate-200">
+        <div className="relative">
+          <Search className="w-3.5 h-3.5 text-slate-400 absolute left-2.5 top-1/2 -translate-y-1/2" />
+          <input
+            type="search"
+            placeholder="Buscar por cédula o nombre"
+            value={search}
+            onChange={e => setSearch(e.target.value)}
+            className="w-full pl-8 pr-2 py-1.5 rounded-lg border border-brand-muted/50 text-xs text-brand-dark bg-white outline-none focus:ring-2 focus:ring-brand-primary"
+          />
+        </div>
+      </div>
+
+      <div className="max-h-[520px] overflow-auto">
+        <table className="w-full text-sm text-left">
+          <thead className="bg-slate-50 text-slate-500 font-medium border-b border-slate-200 sticky top-0 z-10">
+            <tr>
+              <th className="w-10" />
+              <th className="px-4 py-3">Cédula</th>
+              <th className="px-4 py-3">Nombre</th>
+              <th className="px-4 py-3 text-right">Períodos</th>
+              <th className="px-4 py-3 text-right">Conceptos</th>
+              <th className="px-4 py-3 text-right">Total retroactivo</th>
+            </tr>
+          </thead>
+          {rows.map(review => {
+            const key = String(review.CEDULA);
+            const isOpen = expanded.has(key);
+            const payrollPeriods = review.periods.filter(row => row.oldSalary !== null).length;
+            return (
+              <tbody key={key} className="border-b border-slate-100">
+                <tr
+                  onClick={() => toggle(key)}
+                  className={cn("cursor-pointer hover:bg-slate-50/50 transition-colors", isOpen && "bg-brand-light/20")}
+                >
+                  <td className="px-3 py-3 text-slate-400">
+                    <ChevronRight className={cn("w-4 h-4 transition-transform", isOpen && "rotate-90")} />
+                  </td>
+                  <td className="px-4 py-3 font-mono text-slate-600">{review.CEDULA}</td>
+                  <td className="px-4 py-3 font-medium text-slate-900">
+                    {review.NOMBRE}
+                    {review.deductions && (
+                      <span title={describeDeductions(review.deductions)}>
+                        <AlertTriangle className="inline w-3.5 h-3.5 ml-1.5 -mt-0.5 text-amber-600" />
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-right text-slate-600">{payrollPeriods}</td>
+                  <td className="px-4 py-3 text-right text-slate-600">{review.concepts.length}</td>
+                  <td className="px-4 py-3 text-right font-mono font-medium text-brand-primary">{formatMoney(review.total)}</td>
+                </tr>
+                {isOpen && (
+                  <tr className="bg-slate-50/70">
+                    <td colSpan={6} className="px-4 py-3">
+                      {review.deductions && (
+                        <p className="mb-2 text-xs text-amber-800">{describeDeductions(review.deductions)}</p>
+                      )}
+                      <PendingDeductions review={review} />
+                      <EmployeeMatrix review={review} />
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            );
+          })}
+        </table>
+        {rows.length === 0 && (
+          <p className="p-6 text-center text-sm text-slate-400">Ningún colaborador coincide con la búsqueda.</p>
+        )}
+      </div>
+
+      <div className="p-3 border-t border-slate-200 bg-slate-50 text-xs text-slate-600">
+        {rows.length === reviews.length
+          ? `${reviews.length} colaboradores`
+          : `${rows.length} de ${reviews.length} colaboradores`}
+        {' · '}Total <span className="font-mono font-semibold text-brand-dark">
+          {formatMoney(rows.reduce((sum, review) => sum + review.total, 0))}
+        </span>
+        {pendingTotal > 0 && (
+          <>
+            {' · '}Reintegros pendientes <span className="font-mono font-semibold text-amber-800">{formatMoney(pendingTotal)}</span>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
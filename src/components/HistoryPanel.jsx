@@ -0,0 +1,254 @@
+import React, { useEffect, useState } from 'react';
+import { Check, Download, FolderOpen, History, Lock, LockOpen, Pencil, Trash2, X } from 'lucide-react';
+import { Card, Badge } from './ui';
+import { cn } from '../utils/cn';
+import {
+  deleteRun,
+  disableProtection,
+  enableProtection,
+  getProtection,
+  listRuns,
+  loadRun,
+  lockHistory,
+  renameRun,
+  unlockHistory
+} from '../history/runHistory';
+
+const loadHistory = () => Promise.all([listRuns(), getProtection()]);
+
+const formatMoney = (value) => `$ ${value.toLocaleString()}`;
+
+// Name and totals of an encrypted entry can't be read while locked
+const LOCKED_NAME = 'Ejecución protegida';
+
+const inputClass = "px-2 py-1.5 rounded-lg border border-brand-muted/50 text-xs text-brand-dark bg-white outline-none focus:ring-2 focus:ring-brand-primary";
+const linkClass = "inline-flex items-center gap-1 text-xs font-medium text-brand-primary hover:underline disabled:text-slate-400 disabled:no-underline";
+const iconButtonClass = "p-1.5 rounded text-slate-400 hover:bg-slate-100 hover:text-brand-dark disabled:opacity-40 disabled:hover:bg-transparent";
+
+/**
+ * Past runs saved in this browser. They can be reopened, renamed, deleted
+ * and exported again, and the whole history can be protected with a
+ * passphrase, which also hides each run's name and totals while locked.
+ * `version` is bumped by the parent after saving a run;
+ * `unsavedRun` is the last run when it couldn't be saved, while locked or
+ * because saving failed.
+ */
+export function HistoryPanel({ version, unsavedRun, onSaveUnsaved, onOpen, onExport }) {
+  const [entries, setEntries] = useState([]);
+  const [protection, setProtection] = useState({ enabled: false, unlocked: true });
+  const [passphrase, setPassphrase] = useState('');
+  const [settingPassphrase, setSettingPassphrase] = useState(false);
+  const [editing, setEditing] = useState(null); // { id, name }
+  const [error, setError] = useState(null);
+
+  const [reloads, setReloads] = useState(0); // Bumped after each action to reload the list
+
+  useEffect(() => {
+    let active = true;
+    loadHistory()
+      .then(([runs, state]) => {
+        if (!active) return;
+        setEntries(runs);
+        setProtection(state);
+      })
+      .catch(err => {
+        console.error(err);
+        if (active) setError('No se pudo leer el historial de este navegador.');
+      });
+    return () => { active = false; };
+  }, [version, reloads]);
+
+  // Wraps an action so its error shows in the panel and the list reloads after it
+  const run = (action) => async (...args) => {
+    try {
+      setError(null);
+      await action(...args);
+    } catch (err) {
+      setError(err.message);
+    }
+    setReloads(count => count + 1);
+  };
+
+  const handleUnlock = run(async (e) => {
+    e.preventDefault();
+    await unlockHistory(passphrase);
+    setPassphrase('');
+  });
+
+  const handleProtect = run(async (e) => {
+    e.preventDefault();
+    if (passphrase.length < 8) throw new Error('La contraseña debe tener al menos 8 caracteres.');
+    await enableProtection(passphrase);
+    setPassphrase('');
+    setSettingPassphrase(false);
+  });
+
+  const handleRename = run(async (e) => {
+    e.preventDefault();
+    if (editing.name.trim() !== '') await renameRun(editing.id, editing.name.trim());
+    setEditing(null);
+  });
+
+  const handleDelete = run(async (entry) => {
+    if (!window.confirm(`¿Eliminar la ejecución "${entry.name ?? LOCKED_NAME}" del historial?`)) return;
+    await deleteRun(entry.id);
+  });
+
+  const locked = protection.enabled && !protection.unlocked;
+
+  return (
+    <Card className="flex flex-col">
+      <div className="p-4 border-b border-slate-200 flex items-center justify-between gap-2 bg-slate-50/50">
+        <div className="flex items-center gap-2">
+          <History className="w-4 h-4 text-brand-primary" />
+          <h2 className="font-semibold text-brand-dark">Historial</h2>
+          <Badge>{entries.length}</Badge>
+          {protection.enabled && (
+            <span title={locked ? 'Bloqueado' : 'Desbloqueado'}>
+              {locked ? <Lock className="w-3.5 h-3.5 text-amber-600" /> : <LockOpen className="w-3.5 h-3.5 text-slate-400" />}
+            </span>
+          )}
+        </div>
+        <div className="flex items-center gap-3">
+          {!protection.enabled && !settingPassphrase && (
+            <button type="button" onClick={() => setSettingPassphrase(true)} className={linkClass}>
+              <Lock className="w-3 h-3" /> Proteger con contraseña
+            </button>
+          )}
+          {protection.enabled && protection.unlocked && (
+            <>
+              <button type="button" onClick={run(lockHistory)} className={linkClass}>
+                <Lock className="w-3 h-3" /> Bloquear
+              </button>
+              <button type="button" onClick={run(disableProtection)} className={linkClass}>
+                Quitar contraseña
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {(locked || settingPassphrase) && (
+        <form onSubmit={locked ? handleUnlock : handleProtect} className="p-3 border-b border-slate-200 flex flex-wrap items-center gap-2">
+          <input
+            type="password"
+            autoComplete={locked ? 'current-password' : 'new-password'}
+            placeholder={locked ? 'Contraseña del historial' : 'Nueva contraseña (mínimo 8 caracteres)'}
+            value={passphrase}
+            onChange={e => setPassphrase(e.target.value)}
+            className={cn(inputClass, "flex-1 min-w-48")}
+          />
+          <button type="submit" disabled={passphrase === ''} className={linkClass}>
+            {locked ? <><LockOpen className="w-3 h-3" /> Desbloquear</> : <><Check className="w-3 h-3" /> Proteger</>}
+          </button>
+          {settingPassphrase && (
+            <button type="button" onClick={() => { setSettingPassphrase(false); setPassphrase(''); }} className={linkClass}>
+              Cancelar
+            </button>
+          )}
+          {!locked && (
+            <p className="w-full text-xs text-slate-500">
+              Los resultados, nombres y totales se cifran en este navegador; solo la fecha de cada ejecución queda a la vista. Si olvida la contraseña no podrá abrirlos.
+            </p>
+          )}
+        </form>
+      )}
+
+      {unsavedRun && (
+        <div className="p-3 border-b border-slate-200 bg-amber-50/50 flex items-center justify-between gap-2 text-xs text-amber-800">
+          <span>
+            {locked
+              ? 'La última ejecución no se guardó porque el historial está bloqueado.'
+              : 'La última ejecución no se guardó en el historial.'}
+          </span>
+          <button type="button" disabled={locked} onClick={onSaveUnsaved} className={linkClass}>
+            Guardar ahora
+          </button>
+        </div>
+      )}
+
+      {error && <p className="px-4 pt-3 text-xs text-red-600">{error}</p>}
+
+      {entries.length === 0 ? (
+        <p className="p-6 text-center text-sm text-slate-400">Los cálculos masivos se guardan aquí automáticamente; las simulaciones individuales, cuando las guarda.</p>
+      ) : (
+        <ul className="max-h-80 overflow-auto divide-y divide-slate-100">
+          {entries.map(entry => (
+            <li key={entry.id} className="px-4 py-2.5 flex items-center gap-3 hover:bg-slate-50/50">
+              <div className="flex-1 min-w-0">
+                {editing?.id === entry.id ? (
+                  <form onSubmit={handleRename} className="flex items-center gap-1">
+                    <input
+                      type="text"
+                      autoFocus
+                      value={editing.name}
+                      onChange={e => setEditing({ ...editing, name: e.target.value })}
+                      className={cn(inputClass, "flex-1")}
+                    />
+                    <button type="submit" className={iconButtonClass} title="Guardar nombre">
+                      <Check className="w-3.5 h-3.5" />
+                    </button>
+                    <button type="button" onClick={() => setEditing(null)} className={iconButtonClass} title="Cancelar">
+                      <X className="w-3.5 h-3.5" />
+                    </button>
+                  </form>
+                ) : (
+                  <p className={cn("text-sm font-medium truncate", entry.name === null ? "text-slate-400" : "text-slate-900")} title={entry.name ?? LOCKED_NAME}>
+                    {entry.name ?? LOCKED_NAME}
+                  </p>
+                )}
+                <p className="text-xs text-slate-500 truncate">
+                  {new Date(entry.createdAt).toLocaleString('es-CO')}
+                  {entry.summary && (
+                    <>
+                      {entry.name !== entry.source && ` · ${entry.source}`}
+                      {` · ${entry.summary.employees} colaboradores · ${formatMoney(entry.summary.total)}`}
+                      {entry.summary.pendingDeductions > 0 && ` · ${formatMoney(entry.summary.pendingDeductions)} por descontar`}
+                    </>
+                  )}
+                </p>
+              </div>
+              <div className="flex items-center shrink-0">
+                <button
+                  type="button"
+                  disabled={entry.encrypted && locked}
+                  onClick={run(async () => onOpen(await loadRun(entry.id)))}
+                  className={iconButtonClass}
+                  title="Abrir"
+                >
+                  <FolderOpen className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  disabled={entry.encrypted && locked}
+                  onClick={run(async () => onExport(await loadRun(entry.id)))}
+                  className={iconButtonClass}
+                  title="Exportar reporte"
+                >
+                  <Download className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  disabled={entry.encrypted && locked}
+                  onClick={() => setEditing({ id: entry.id, name: entry.name })}
+                  className={iconButtonClass}
+                  title="Renombrar"
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(entry)}
+                  className={cn(iconButtonClass, "hover:bg-red-50 hover:text-red-600")}
+                  title="Eliminar"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,59 @@
+import React from 'react';
+import { formatReportDate } from '../engine';
+
+/**
+ * Editable grid with one row per payroll period and one numeric column per
+ * key. Values are stored as { [periodStart]: { [key]: value } }.
+ */
+export function PeriodGrid({ title, periods, columns, values, onChange }) {
+  if (periods.length === 0) return null;
+
+  const setValue = (periodStart, key, value) => {
+    onChange({
+      ...values,
+      [periodStart]: { ...values[periodStart], [key]: value }
+    });
+  };
+
+  return (
+    <div className="space-y-2">
+      <p className="text-xs font-semibold text-slate-500 uppercase">{title}</p>
+      <div className="max-h-64 overflow-auto border border-slate-200 rounded-lg">
+        <table className="w-full text-xs">
+          <thead className="bg-slate-50 text-slate-500 sticky top-0">
+            <tr>
+              <th className="px-2 py-1.5 text-left font-medium">Período</th>
+              {columns.map(col => (
+                <th key={col.key} className="px-1 py-1.5 font-medium text-center" title={col.title || col.label}>
+                  {col.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {periods.map(period => (
+              <tr key={period.periodStart}>
+                <td className="px-2 py-1 text-slate-600 whitespace-nowrap">
+                  {formatReportDate(period.periodStart)}
+                  {period.partial && <span className="text-slate-400"> ({period.days}d)</span>}
+                </td>
+                {columns.map(col => (
+                  <td key={col.key} className="px-1 py-1">
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="0"
+                      value={values[period.periodStart]?.[col.key] ?? ''}
+                      onChange={e => setValue(period.periodStart, col.key, e.target.value)}
+                      className="w-full min-w-10 px-1.5 py-1 rounded border border-brand-muted/40 text-center text-brand-dark outline-none focus:ring-1 focus:ring-brand-primary"
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
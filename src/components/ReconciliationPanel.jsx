@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import { Scale, X } from 'lucide-react';
+import { Card, Badge } from './ui';
+import { RECONCILIATION_STATUSES } from '../engine';
+import { cn } from '../utils/cn';
+
+const MAX_ROWS = 500;
+
+const formatMoney = (value) => `$ ${value.toLocaleString()}`;
+
+const STATUS_VARIANTS = {
+  'Pendiente': 'warning',
+  'Sin pagar': 'warning',
+  'Pagado': 'success',
+  'Sobrepago': 'danger',
+  'Sin cálculo': 'danger'
+};
+
+const filterInputClass = "px-2 py-1.5 rounded-lg border border-brand-muted/50 text-xs text-brand-dark bg-white outline-none focus:ring-2 focus:ring-brand-primary";
+
+/**
+ * Calculated results against a "pagado" report: what is still owed, what
+ * was overpaid and the items found on only one side. Fully paid lines are
+ * hidden unless asked for.
+ */
+export function ReconciliationPanel({ fileName, reconciliation, onRemove }) {
+  const [status, setStatus] = useState('open');
+
+  const { lines, totals } = reconciliation;
+  const counts = Object.fromEntries(RECONCILIATION_STATUSES.map(s => [s, lines.filter(line => line.ESTADO === s).length]));
+  const filtered = lines.filter(line => {
+    if (status === 'open') return line.ESTADO !== 'Pagado';
+    return status === 'all' || line.ESTADO === status;
+  });
+
+  return (
+    <Card className="flex flex-col">
+      <div className="p-4 border-b border-slate-200 flex items-center justify-between gap-2 bg-slate-50/50">
+        <div className="flex items-center gap-2 min-w-0">
+          <Scale className="w-4 h-4 text-brand-primary shrink-0" />
+          <h2 className="font-semibold text-brand-dark">Conciliación con pagado</h2>
+          <span className="text-xs text-slate-500 truncate" title={fileName}>{fileName}</span>
+        </div>
+        <button
+          type="button"
+          onClick={onRemove}
+          className="p-1 rounded text-slate-400 hover:bg-red-50 hover:text-red-600"
+          title="Quitar reporte pagado"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="p-4 grid grid-cols-2 md:grid-cols-4 gap-3 text-xs">
+        <div>
+          <p className="text-slate-500">Calculado</p>
+          <p className="font-mono font-semibold text-brand-dark">{formatMoney(totals.calculated)}</p>
+        </div>
+        <div>
+          <p className="text-slate-500">Pagado</p>
+          <p className="font-mono font-semibold text-brand-dark">{formatMoney(totals.paid)}</p>
+        </div>
+        <div>
+          <p className="text-slate-500">Pendiente por pagar</p>
+          <p className="font-mono font-semibold text-brand-primary">{formatMoney(totals.outstanding)}</p>
+        </div>
+        <div>
+          <p className="text-slate-500">Sobrepagos</p>
+          <p className="font-mono font-semibold text-red-600">{formatMoney(totals.overpaid)}</p>
+        </div>
+      </div>
+
+      <div className="px-4 pb-3 flex flex-wrap items-center gap-2">
+        <select value={status} onChange={e => setStatus(e.target.value)} className={filterInputClass}>
+          <option value="open">Con diferencia</option>
+          <option value="all">Todos ({lines.length})</option>
+          {RECONCILIATION_STATUSES.map(s => (
+            <option key={s} value={s}>{s} ({counts[s]})</option>
+          ))}
+        </select>
+        {RECONCILIATION_STATUSES.filter(s => counts[s] > 0).map(s => (
+          <Badge key={s} variant={STATUS_VARIANTS[s]}>{counts[s]} {s.toLowerCase()}</Badge>
+        ))}
+      </div>
+
+      <div className="max-h-80 overflow-auto border-t border-slate-200">
+        <table className="w-full text-sm text-left">
+          <thead className="bg-slate-50 text-slate-500 font-medium border-b border-slate-200 sticky top-0">
+            <tr>
+              <th className="px-4 py-2">Cédula</th>
+              <th className="px-4 py-2">Período</th>
+              <th className="px-4 py-2">Concepto</th>
+              <th className="px-4 py-2 text-right">Calculado</th>
+              <th className="px-4 py-2 text-right">Pagado</th>
+              <th className="px-4 py-2 text-right">Diferencia</th>
+              <th className="px-4 py-2">Estado</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {filtered.slice(0, MAX_ROWS).map(line => (
+              <tr key={`${line.CEDULA}|${line.PERIODO}|${line.CONCEPTO}`} className="hover:bg-slate-50/50">
+                <td className="px-4 py-2 font-mono text-slate-600" title={line.NOMBRE}>{line.CEDULA}</td>
+                <td className="px-4 py-2 text-slate-500 text-xs">{line.PERIODO}</td>
+                <td className="px-4 py-2 text-slate-600 text-xs">{line.CONCEPTO}</td>
+                <td className="px-4 py-2 text-right font-mono">{formatMoney(line.CALCULADO)}</td>
+                <td className="px-4 py-2 text-right font-mono">{formatMoney(line.PAGADO)}</td>
+                <td className={cn("px-4 py-2 text-right font-mono font-medium", line.DIFERENCIA < 0 ? "text-red-600" : "text-brand-dark")}>
+                  {formatMoney(line.DIFERENCIA)}
+                </td>
+                <td className="px-4 py-2">
+                  <Badge variant={STATUS_VARIANTS[line.ESTADO]}>{line.ESTADO}</Badge>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {filtered.length === 0 && (
+          <p className="p-6 text-center text-sm text-slate-400">No hay líneas con este estado.</p>
+        )}
+      </div>
+
+      <div className="p-3 border-t border-slate-200 bg-slate-50 text-center text-xs text-slate-500">
+        {filtered.length > MAX_ROWS && `Mostrando ${MAX_ROWS} de ${filtered.length} líneas. `}
+        El importador exportado solo incluye lo pendiente por pagar; el detalle completo va en la hoja "Conciliación".
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,59 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { Card, Badge } from './ui';
+
+/**
+ * Lists the upload rows that were skipped or processed with warnings, so
+ * analysts can fix the source file. Raw values go to the "Errores" sheet.
+ */
+export function RejectionsPanel({ rejections }) {
+  if (rejections.length === 0) return null;
+
+  const skipped = rejections.filter(r => r.TIPO === 'Omitida').length;
+
+  return (
+    <Card className="flex flex-col">
+      <div className="p-4 border-b border-slate-200 flex items-center justify-between bg-amber-50/50">
+        <div className="flex items-center gap-2">
+          <AlertTriangle className="w-4 h-4 text-amber-600" />
+          <h2 className="font-semibold text-brand-dark">Filas con observaciones</h2>
+          <Badge variant="warning">{rejections.length}</Badge>
+        </div>
+        <p className="text-xs text-slate-500">
+          {skipped} omitidas · {rejections.length - skipped} con advertencias
+        </p>
+      </div>
+
+      <div className="max-h-72 overflow-auto">
+        <table className="w-full text-sm text-left">
+          <thead className="bg-slate-50 text-slate-500 font-medium border-b border-slate-200 sticky top-0">
+            <tr>
+              <th className="px-4 py-2">Fila</th>
+              <th className="px-4 py-2">Tipo</th>
+              <th className="px-4 py-2">Cédula</th>
+              <th className="px-4 py-2">Período</th>
+              <th className="px-4 py-2">Motivo</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {rejections.map((r) => (
+              <tr key={`${r.FILA}-${r.TIPO}`} className="hover:bg-slate-50/50">
+                <td className="px-4 py-2 font-mono text-slate-600">{r.FILA}</td>
+                <td className="px-4 py-2">
+                  <Badge variant={r.TIPO === 'Omitida' ? 'danger' : 'warning'}>{r.TIPO}</Badge>
+                </td>
+                <td className="px-4 py-2 font-mono text-slate-600">{String(r.VALORES.CEDULA ?? '')}</td>
+                <td className="px-4 py-2 text-slate-500 text-xs">{String(r.VALORES.PERIODO ?? '')}</td>
+                <td className="px-4 py-2 text-slate-600 text-xs">{r.MOTIVO}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="p-3 border-t border-slate-200 bg-slate-50 text-center text-xs text-slate-500">
+        El detalle completo con los valores originales se incluye en la hoja "Errores" del reporte exportado.
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,247 @@
+import React, { useMemo, useState } from 'react';
+import { ArrowDown, ArrowUp, Check, Copy, Search } from 'lucide-react';
+import { Badge } from './ui';
+import { cn } from '../utils/cn';
+import { fold } from '../utils/fold';
+
+const ROW_HEIGHT = 44;
+const VIEWPORT_HEIGHT = 520;
+const OVERSCAN = 8;
+
+const COLUMNS = [
+  { key: 'CEDULA', label: 'Cédula', width: 'w-28', className: 'font-mono text-slate-600' },
+  { key: 'NOMBRE', label: 'Nombre', width: 'w-48', className: 'font-medium text-slate-900' },
+  { key: 'CONCEPTO', label: 'Concepto', width: 'w-56' },
+  { key: 'PERIODO', label: 'Período', width: 'w-32', className: 'text-slate-600 text-xs' },
+  { key: 'DETALLE', label: 'Detalle', className: 'text-slate-500 text-xs' },
+  { key: 'REGLA', label: 'Norma', width: 'w-36', className: 'text-slate-400 text-xs font-mono' },
+  { key: 'VALOR_A_PAGAR', label: 'Valor a pagar', width: 'w-36', className: 'text-right font-mono font-medium text-brand-primary', numeric: true }
+];
+
+const formatMoney = (value) => `$ ${value.toLocaleString()}`;
+
+const compare = (a, b, numeric) => (numeric
+  ? (a ?? 0) - (b ?? 0)
+  : String(a ?? '').localeCompare(String(b ?? ''), 'es', { numeric: true }));
+
+const filterInputClass = "px-2 py-1.5 rounded-lg border border-brand-muted/50 text-xs text-brand-dark bg-white outline-none focus:ring-2 focus:ring-brand-primary";
+
+/**
+ * All result lines in a windowed table: only the rows in view are rendered,
+ * so large uploads stay responsive. Supports sorting, filters, search,
+ * row selection and copying the selection as tab-separated text.
+ * Clipboard failures (permission denied, insecure context) go to onError.
+ */
+export function ResultsGrid({ results, onError }) {
+  const [sort, setSort] = useState({ key: null, dir: 'asc' });
+  const [filters, setFilters] = useState({ concept: '', period: '', min: '', max: '' });
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState(() => new Set());
+  const [scrollTop, setScrollTop] = useState(0);
+  const [copied, setCopied] = useState(false);
+
+  const concepts = useMemo(() => [...new Set(results.map(r => r.CONCEPTO))], [results]);
+  const periods = useMemo(() => [...new Set(results.map(r => r.PERIODO).filter(Boolean))], [results]);
+
+  // Filters left over from a previous run with other concepts don't apply
+  const concept = concepts.includes(filters.concept) ? filters.concept : '';
+  const period = periods.includes(filters.period) ? filters.period : '';
+
+  const rows = useMemo(() => {
+    const query = fold(search.trim());
+    const min = parseFloat(filters.min);
+    const max = parseFloat(filters.max);
+
+    const filtered = results.filter(row => {
+      if (concept && row.CONCEPTO !== concept) return false;
+      if (period && row.PERIODO !== period) return false;
+      if (!isNaN(min) && row.VALOR_A_PAGAR < min) return false;
+      if (!isNaN(max) && row.VALOR_A_PAGAR > max) return false;
+      if (query && !fold(row.CEDULA).includes(query) && !fold(row.NOMBRE).includes(query)) return false;
+      return true;
+    });
+
+    if (!sort.key) return filtered;
+    const column = COLUMNS.find(c => c.key === sort.key);
+    const sign = sort.dir === 'asc' ? 1 : -1;
+    return [...filtered].sort((a, b) => sign * compare(a[sort.key], b[sort.key], column.numeric));
+  }, [results, concept, period, filters.min, filters.max, search, sort]);
+
+  const total = rows.reduce((sum, row) => sum + row.VALOR_A_PAGAR, 0);
+  const selectedRows = rows.filter(row => selected.has(row));
+  const selectedTotal = selectedRows.reduce((sum, row) => sum + row.VALOR_A_PAGAR, 0);
+  const allSelected = rows.length > 0 && selectedRows.length === rows.length;
+
+  // Window of rows to render, clamped when filters shrink the list
+  const maxScroll = Math.max(rows.length * ROW_HEIGHT - VIEWPORT_HEIGHT, 0);
+  const offset = Math.min(scrollTop, maxScroll);
+  const first = Math.max(Math.floor(offset / ROW_HEIGHT) - OVERSCAN, 0);
+  const last = Math.min(first + Math.ceil(VIEWPORT_HEIGHT / ROW_HEIGHT) + OVERSCAN * 2, rows.length);
+  const visible = rows.slice(first, last);
+
+  const setFilter = (key, value) => setFilters({ ...filters, [key]: value });
+
+  const toggleSort = (key) => {
+    if (sort.key !== key) setSort({ key, dir: 'asc' });
+    else if (sort.dir === 'asc') setSort({ key, dir: 'desc' });
+    else setSort({ key: null, dir: 'asc' });
+  };
+
+  const toggleRow = (row) => {
+    const next = new Set(selected);
+    if (next.has(row)) next.delete(row);
+    else next.add(row);
+    setSelected(next);
+  };
+
+  const toggleAll = () => {
+    const next = new Set(selected);
+    rows.forEach(row => (allSelected ? next.delete(row) : next.add(row)));
+    setSelected(next);
+  };
+
+  const copySelection = async () => {
+    const lines = [
+      COLUMNS.map(c => c.label).join('\t'),
+      ...selectedRows.map(row => COLUMNS.map(c => String(row[c.key] ?? '').replace(/[\t\n]/g, ' ')).join('\t'))
+    ];
+    try {
+      await navigator.clipboard.writeText(lines.join('\n'));
+    } catch {
+      onError('No se pudo copiar la selección al portapapeles. Verifique los permisos del navegador.');
+      return;
+    }
+    setCopied(true);
+    setTimeout(() => setCopied(false), 1500);
+  };
+
+  return (
+    <div className="flex flex-col">
+      <div className="p-3 border-b border-slate-200 flex flex-wrap items-center gap-2">
+        <div className="relative flex-1 min-w-48">
+          <Search className="w-3.5 h-3.5 text-slate-400 absolute left-2.5 top-1/2 -translate-y-1/2" />
+          <input
+            type="search"
+            placeholder="Buscar por cédula o nombre"
+            value={search}
+            onChange={e => setSearch(e.target.value)}
+            className={cn(filterInputClass, "w-full pl-8")}
+          />
+        </div>
+        <select value={concept} onChange={e => setFilter('concept', e.target.value)} className={filterInputClass}>
+          <option value="">Todos los conceptos</option>
+          {concepts.map(c => <option key={c} value={c}>{c}</option>)}
+        </select>
+        <select value={period} onChange={e => setFilter('period', e.target.value)} className={filterInputClass}>
+          <option value="">Todos los períodos</option>
+          {periods.map(p => <option key={p} value={p}>{p}</option>)}
+        </select>
+        <input
+          type="number"
+          placeholder="Valor mín."
+          value={filters.min}
+          onChange={e => setFilter('min', e.target.value)}
+          className={cn(filterInputClass, "w-28")}
+        />
+        <input
+          type="number"
+          placeholder="Valor máx."
+          value={filters.max}
+          onChange={e => setFilter('max', e.target.value)}
+          className={cn(filterInputClass, "w-28")}
+        />
+      </div>
+
+      <div
+        className="overflow-auto"
+        style={{ height: Math.min(VIEWPORT_HEIGHT, (Math.max(rows.length, 2) + 1) * ROW_HEIGHT) }}
+        onScroll={e => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <table className="w-full text-sm text-left table-fixed">
+          <thead className="bg-slate-50 text-slate-500 font-medium border-b border-slate-200 sticky top-0 z-10">
+            <tr style={{ height: ROW_HEIGHT }}>
+              <th className="w-10 px-3">
+                <input
+                  type="checkbox"
+                  checked={allSelected}
+                  onChange={toggleAll}
+                  className="w-4 h-4 accent-brand-primary cursor-pointer"
+                  title="Seleccionar todas las filas filtradas"
+                />
+              </th>
+              {COLUMNS.map(column => (
+                <th key={column.key} className={cn("px-4", column.width, column.numeric && "text-right")}>
+                  <button
+                    type="button"
+                    onClick={() => toggleSort(column.key)}
+                    className={cn("inline-flex items-center gap-1 hover:text-brand-dark", column.numeric && "flex-row-reverse")}
+                  >
+                    {column.label}
+                    {sort.key === column.key && (sort.dir === 'asc'
+                      ? <ArrowUp className="w-3 h-3" />
+                      : <ArrowDown className="w-3 h-3" />)}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {first > 0 && <tr style={{ height: first * ROW_HEIGHT }} />}
+            {visible.map((row, i) => (
+              <tr
+                key={first + i}
+                style={{ height: ROW_HEIGHT }}
+                className={cn("hover:bg-slate-50/50 transition-colors", selected.has(row) && "bg-brand-light/30")}
+              >
+                <td className="px-3">
+                  <input
+                    type="checkbox"
+                    checked={selected.has(row)}
+                    onChange={() => toggleRow(row)}
+                    className="w-4 h-4 accent-brand-primary cursor-pointer"
+                  />
+                </td>
+                {COLUMNS.map(column => (
+                  <td key={column.key} className={cn("px-4 truncate", column.className)} title={String(row[column.key] ?? '')}>
+                    {column.key === 'CONCEPTO'
+                      ? <Badge variant="default">{row.CONCEPTO}</Badge>
+                      : column.numeric ? formatMoney(row[column.key]) : row[column.key]}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            {last < rows.length && <tr style={{ height: (rows.length - last) * ROW_HEIGHT }} />}
+          </tbody>
+        </table>
+        {rows.length === 0 && (
+          <p className="p-6 text-center text-sm text-slate-400">Ningún resultado coincide con los filtros.</p>
+        )}
+      </div>
+
+      <div className="p-3 border-t border-slate-200 bg-slate-50 flex flex-wrap items-center justify-between gap-2 text-xs text-slate-600">
+        <span>
+          {rows.length === results.length
+            ? `${rows.length} registros`
+            : `${rows.length} de ${results.length} registros`}
+          {' · '}Total <span className="font-mono font-semibold text-brand-dark">{formatMoney(total)}</span>
+        </span>
+        <div className="flex items-center gap-3">
+          {selectedRows.length > 0 && (
+            <span>
+              {selectedRows.length} seleccionados · <span className="font-mono">{formatMoney(selectedTotal)}</span>
+            </span>
+          )}
+          <button
+            type="button"
+            disabled={selectedRows.length === 0}
+            onClick={copySelection}
+            className="inline-flex items-center gap-1 font-medium text-brand-primary hover:underline disabled:text-slate-400 disabled:no-underline"
+          >
+            {copied ? <Check className="w-3.5 h-3.5" /> : <Copy className="w-3.5 h-3.5" />}
+            {copied ? 'Copiado' : 'Copiar selección'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+import React from 'react';
+import * as XLSX from 'xlsx';
+import { Plus, Trash2, Upload } from 'lucide-react';
+import { Checkbox, Input, Select } from './ui';
+import { INCREASE_MODES, parseBandTable } from '../engine';
+
+const bandInputClass = "w-full px-2 py-1 rounded border border-brand-muted/50 text-xs text-right text-brand-dark outline-none focus:ring-1 focus:ring-brand-primary";
+
+/**
+ * How the mass upload gets the new salary: from its own column or derived
+ * from the old salary (flat %, fixed amount or a band table by SMMLV).
+ */
+export function SalaryIncreaseOptions({ increase, onChange }) {
+  const set = (key, value) => onChange({ ...increase, [key]: value });
+  const bands = increase.bands;
+
+  const setBand = (index, key, value) => {
+    set('bands', bands.map((band, i) => (i === index ? { ...band, [key]: value } : band)));
+  };
+
+  const handleBandFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const workbook = XLSX.read(await file.arrayBuffer());
+    // Formatted text, so a 9% cell reads as "9%" and not as 0.09
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1, raw: false });
+    set('bands', parseBandTable(rows));
+    e.target.value = '';
+  };
+
+  return (
+    <div className="space-y-3 text-left">
+      <Select
+        label="Salario nuevo"
+        options={INCREASE_MODES}
+        value={increase.mode}
+        onChange={e => set('mode', e.target.value)}
+      />
+
+      {increase.mode === 'percent' && (
+        <Input
+          label="Aumento (%)"
+          type="number"
+          step="0.01"
+          placeholder="Ej: 9"
+          value={increase.percent}
+          onChange={e => set('percent', e.target.value)}
+        />
+      )}
+
+      {increase.mode === 'fixed' && (
+        <Input
+          label="Aumento mensual ($)"
+          type="number"
+          placeholder="0"
+          value={increase.amount}
+          onChange={e => set('amount', e.target.value)}
+        />
+      )}
+
+      {increase.mode === 'bands' && (
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <p className="text-xs font-semibold text-slate-500 uppercase">Rangos salariales</p>
+            <label className="inline-flex items-center gap-1 text-xs font-medium text-brand-primary hover:underline cursor-pointer">
+              <Upload className="w-3 h-3" /> Cargar tabla
+              <input type="file" accept=".xlsx, .xls, .csv" onChange={handleBandFile} className="hidden" />
+            </label>
+          </div>
+          <table className="w-full text-xs">
+            <thead className="text-slate-500">
+              <tr>
+                <th className="py-1 text-left font-medium">Hasta (SMMLV)</th>
+                <th className="py-1 text-left font-medium">Aumento (%)</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {bands.map((band, index) => (
+                <tr key={index}>
+                  <td className="pr-2 py-1">
+                    <input
+                      type="number"
+                      placeholder="Sin tope"
+                      value={band.limit}
+                      onChange={e => setBand(index, 'limit', e.target.value)}
+                      className={bandInputClass}
+                    />
+                  </td>
+                  <td className="pr-2 py-1">
+                    <input
+                      type="number"
+                      step="0.01"
+                      value={band.percent}
+                      onChange={e => setBand(index, 'percent', e.target.value)}
+                      className={bandInputClass}
+                    />
+                  </td>
+                  <td className="py-1 w-6">
+                    <button
+                      type="button"
+                      onClick={() => set('bands', bands.filter((_, i) => i !== index))}
+                      className="p-1 rounded text-slate-400 hover:bg-red-50 hover:text-red-600"
+                      title="Eliminar rango"
+                    >
+                      <Trash2 className="w-3.5 h-3.5" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button
+            type="button"
+            onClick={() => set('bands', [...bands, { limit: '', percent: '' }])}
+            className="inline-flex items-center gap-1 text-xs font-medium text-brand-primary hover:underline"
+          >
+            <Plus className="w-3 h-3" /> Agregar rango
+          </button>
+          <p className="text-[11px] text-slate-400">
+            El salario anterior se compara con el SMMLV del año de cada período. Deje el tope vacío en el último rango.
+          </p>
+        </div>
+      )}
+
+      {increase.mode !== 'column' && (
+        <Checkbox
+          label="Redondear al mil más cercano"
+          checked={increase.roundToThousand}
+          onChange={value => set('roundToThousand', value)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+
+/**
+ * List of later salary changes (effective date and new monthly salary).
+ * The "Sueldo nuevo" field covers the range until the first change.
+ */
+export function SalaryTimelineEditor({ changes, onChange }) {
+  const update = (index, field, value) => {
+    onChange(changes.map((change, i) => (i === index ? { ...change, [field]: value } : change)));
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <p className="text-xs font-semibold text-slate-500 uppercase">Cambios salariales posteriores</p>
+        <button
+          type="button"
+          onClick={() => onChange([...changes, { FECHA: '', SUELDO: '' }])}
+          className="inline-flex items-center gap-1 text-xs font-medium text-brand-primary hover:underline"
+        >
+          <Plus className="w-3 h-3" /> Agregar cambio
+        </button>
+      </div>
+
+      {changes.length === 0 ? (
+        <p className="text-xs text-slate-400">
+          Agregue un cambio si el salario subió más de una vez en el rango (ej. aumento de convención y luego ascenso).
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {changes.map((change, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <input
+                type="date"
+                value={change.FECHA}
+                onChange={e => update(index, 'FECHA', e.target.value)}
+                className="flex-1 px-2 py-1.5 rounded-lg border border-brand-muted/50 text-sm text-brand-dark outline-none focus:ring-2 focus:ring-brand-primary"
+                title="Vigente desde"
+              />
+              <input
+                type="number"
+                min="0"
+                placeholder="Sueldo"
+                value={change.SUELDO}
+                onChange={e => update(index, 'SUELDO', e.target.value)}
+                className="flex-1 px-2 py-1.5 rounded-lg border border-brand-muted/50 text-sm text-brand-dark outline-none focus:ring-2 focus:ring-brand-primary"
+              />
+              <button
+                type="button"
+                onClick={() => onChange(changes.filter((_, i) => i !== index))}
+                className="p-1.5 rounded-lg text-slate-400 hover:bg-red-50 hover:text-red-600"
+                title="Eliminar cambio"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
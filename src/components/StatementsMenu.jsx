@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { ChevronDown, FileText, Files, Printer } from 'lucide-react';
+import { Button } from './ui';
+import { buildStatements, downloadStatements, printStatements } from '../export/statements';
+
+/**
+ * "Generar soportes": printable retro statement per employee, either as one
+ * document to print or save as PDF, or as one HTML file per employee in a zip.
+ */
+export function StatementsMenu({ reviews, details, withholding, source, onError }) {
+  const [open, setOpen] = useState(false);
+
+  const generate = async (merged) => {
+    setOpen(false);
+    const statements = buildStatements(reviews, details, withholding);
+    try {
+      if (merged) await printStatements(statements, { source });
+      else await downloadStatements(statements, { source });
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  if (reviews.length === 0) return null;
+
+  return (
+    <div className="relative">
+      <Button variant="secondary" size="sm" onClick={() => setOpen(!open)}>
+        <FileText className="w-4 h-4" />
+        Generar soportes
+        <ChevronDown className="w-4 h-4" />
+      </Button>
+      {open && (
+        <div className="absolute right-0 mt-1 w-64 bg-white rounded-lg border border-slate-200 shadow-lg z-10 py-1 text-sm">
+          <button
+            className="w-full px-3 py-2 flex items-start gap-2 text-left hover:bg-slate-50"
+            onClick={() => generate(true)}
+          >
+            <Printer className="w-4 h-4 mt-0.5 text-brand-primary shrink-0" />
+            <span>
+              <span className="block font-medium text-brand-dark">Documento único</span>
+              <span className="block text-xs text-slate-500">Un colaborador por página, para imprimir o guardar como PDF</span>
+            </span>
+          </button>
+          <button
+            className="w-full px-3 py-2 flex items-start gap-2 text-left hover:bg-slate-50"
+            onClick={() => generate(false)}
+          >
+            <Files className="w-4 h-4 mt-0.5 text-brand-primary shrink-0" />
+            <span>
+              <span className="block font-medium text-brand-dark">Un archivo por colaborador</span>
+              <span className="block text-xs text-slate-500">{reviews.length} {reviews.length === 1 ? 'archivo HTML' : 'archivos HTML'} en un .zip, listos para imprimir</span>
+            </span>
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
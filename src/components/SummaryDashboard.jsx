@@ -0,0 +1,85 @@
+import React, { useMemo } from 'react';
+import { BarChart3 } from 'lucide-react';
+import { Card } from './ui';
+import { summarizeRun } from '../engine';
+
+const formatMoney = (value) => `$ ${value.toLocaleString()}`;
+
+function Stat({ label, value, hint }) {
+  return (
+    <div className="p-3 rounded-lg bg-slate-50 border border-slate-100">
+      <p className="text-xs text-slate-500">{label}</p>
+      <p className="text-lg font-semibold text-brand-dark font-mono truncate">{value}</p>
+      {hint && <p className="text-xs text-slate-400 truncate" title={hint}>{hint}</p>}
+    </div>
+  );
+}
+
+// Horizontal bars drawn with plain divs, scaled to the largest value
+function BarList({ title, items }) {
+  const max = Math.max(...items.map(item => item.value), 0);
+
+  return (
+    <div className="space-y-2">
+      <h3 className="text-xs font-semibold text-slate-500 uppercase tracking-wide">{title}</h3>
+      <div className="max-h-64 overflow-auto pr-1 space-y-1.5">
+        {items.map(item => (
+          <div key={item.label} className="text-xs">
+            <div className="flex items-center justify-between gap-2">
+              <span className="text-slate-600 truncate" title={item.label}>{item.label}</span>
+              <span className="font-mono text-brand-dark shrink-0">{formatMoney(item.value)}</span>
+            </div>
+            <div className="h-1.5 mt-0.5 rounded-full bg-slate-100 overflow-hidden">
+              <div
+                className="h-full rounded-full bg-brand-primary"
+                style={{ width: `${max > 0 ? Math.max(item.value / max * 100, 0) : 0}%` }}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Cost overview of the shown results: totals by concept and by payroll
+ * period, headcount, and the average and largest retro per employee.
+ */
+export function SummaryDashboard({ results }) {
+  const summary = useMemo(() => summarizeRun(results), [results]);
+  if (results.length === 0) return null;
+
+  return (
+    <Card className="flex flex-col">
+      <div className="p-4 border-b border-slate-200 flex items-center gap-2 bg-slate-50/50">
+        <BarChart3 className="w-4 h-4 text-brand-primary" />
+        <h2 className="font-semibold text-brand-dark">Resumen</h2>
+      </div>
+
+      <div className="p-4 space-y-5">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          <Stat label="Costo total" value={formatMoney(summary.total)} />
+          <Stat label="Colaboradores" value={summary.headcount.toLocaleString()} />
+          <Stat label="Promedio por colaborador" value={formatMoney(summary.average)} />
+          <Stat
+            label="Máximo por colaborador"
+            value={formatMoney(summary.max.total)}
+            hint={`${summary.max.NOMBRE} (${summary.max.CEDULA})`}
+          />
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-6">
+          <BarList
+            title="Por concepto"
+            items={summary.byConcept.map(row => ({ label: row.concept, value: row.total }))}
+          />
+          <BarList
+            title="Por período"
+            items={summary.byPeriod.map(row => ({ label: row.period || 'Sin período', value: row.total }))}
+          />
+        </div>
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,66 @@
+import React from 'react';
+import { Receipt } from 'lucide-react';
+import { Card, Badge } from './ui';
+
+const formatMoney = (value) => `$ ${value.toLocaleString()}`;
+
+/**
+ * Estimated retención en la fuente on each employee's retro, with the
+ * gross and net amounts. The month breakdown goes to the "Retención en la
+ * fuente" export sheet.
+ */
+export function WithholdingPanel({ withholding }) {
+  if (withholding.length === 0) return null;
+
+  const total = (key) => withholding.reduce((sum, row) => sum + row[key], 0);
+
+  return (
+    <Card className="flex flex-col">
+      <div className="p-4 border-b border-slate-200 flex items-center justify-between bg-slate-50/50">
+        <div className="flex items-center gap-2">
+          <Receipt className="w-4 h-4 text-brand-primary" />
+          <h2 className="font-semibold text-brand-dark">Retención en la fuente estimada</h2>
+          <Badge>{withholding.filter(row => row.withholding > 0).length} con retención</Badge>
+        </div>
+      </div>
+
+      <div className="max-h-72 overflow-auto">
+        <table className="w-full text-sm text-left">
+          <thead className="bg-slate-50 text-slate-500 font-medium border-b border-slate-200 sticky top-0">
+            <tr>
+              <th className="px-4 py-2">Cédula</th>
+              <th className="px-4 py-2">Nombre</th>
+              <th className="px-4 py-2 text-right">Retroactivo bruto</th>
+              <th className="px-4 py-2 text-right">Retención</th>
+              <th className="px-4 py-2 text-right">Neto</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {withholding.map((row) => (
+              <tr key={row.CEDULA} className="hover:bg-slate-50/50">
+                <td className="px-4 py-2 font-mono text-slate-600">{row.CEDULA}</td>
+                <td
+                  className="px-4 py-2 text-slate-600 truncate max-w-48"
+                  title={`Ingreso mensual ${formatMoney(row.monthlyIncome)} · deducciones ${formatMoney(row.deductions)}`}
+                >
+                  {row.NOMBRE}
+                </td>
+                <td className="px-4 py-2 text-right font-mono">{formatMoney(row.gross)}</td>
+                <td className="px-4 py-2 text-right font-mono text-red-600">{formatMoney(row.withholding)}</td>
+                <td className="px-4 py-2 text-right font-mono font-medium text-brand-dark">{formatMoney(row.net)}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot className="bg-slate-50 border-t border-slate-200 font-semibold text-brand-dark sticky bottom-0">
+            <tr>
+              <td className="px-4 py-2" colSpan={2}>Total</td>
+              <td className="px-4 py-2 text-right font-mono">{formatMoney(total('gross'))}</td>
+              <td className="px-4 py-2 text-right font-mono">{formatMoney(total('withholding'))}</td>
+              <td className="px-4 py-2 text-right font-mono">{formatMoney(total('net'))}</td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    </Card>
+  );
+}
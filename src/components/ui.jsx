@@ -0,0 +1,151 @@
+import React, { useRef } from 'react';
+import { cn } from '../utils/cn';
+
+// Shared UI primitives used across the app
+
+export const Card = ({ children, className }) => (
+  <div className={cn("bg-white rounded-xl border border-slate-200 shadow-sm", className)}>
+    {children}
+  </div>
+);
+
+export const Button = ({ children, variant = 'primary', className, ...props }) => {
+  const variants = {
+    primary: "bg-brand-primary text-white hover:bg-brand-secondary shadow-sm",
+    secondary: "bg-white text-brand-dark border border-brand-muted hover:bg-brand-light/20",
+    outline: "bg-transparent text-brand-primary border border-brand-muted hover:bg-brand-light/20",
+    ghost: "bg-transparent text-slate-600 hover:bg-slate-100",
+    danger: "bg-red-50 text-red-600 hover:bg-red-100 border border-red-200"
+  };
+
+  return (
+    <button
+      className={cn(
+        "px-4 py-2 rounded-lg font-medium transition-all duration-200 flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed",
+        variants[variant],
+        className
+      )}
+      {...props}
+    >
+      {children}
+    </button>
+  );
+};
+
+export const Input = ({ label, error, ...props }) => (
+  <div className="space-y-1.5">
+    <label className="text-sm font-medium text-brand-dark block">
+      {label}
+    </label>
+    <input
+      className={cn(
+        "w-full px-3 py-2 rounded-lg border outline-none transition-all text-brand-dark",
+        error
+          ? "border-red-300 focus:ring-2 focus:ring-red-200 focus:border-red-400 bg-red-50/30"
+          : "border-brand-muted/50 focus:ring-2 focus:ring-brand-primary focus:border-brand-primary"
+      )}
+      {...props}
+    />
+    {error && <span className="text-xs text-red-500 font-normal block">Requerido</span>}
+  </div>
+);
+
+export const DateInput = ({ label, error, ...props }) => {
+  const inputRef = useRef(null);
+
+  return (
+    <div className="space-y-1.5">
+      <label className="text-sm font-medium text-brand-dark block">
+        {label}
+      </label>
+      <div
+        className="relative group cursor-pointer"
+        onClick={() => inputRef.current?.showPicker()}
+      >
+        <input
+          ref={inputRef}
+          type="date"
+          className={cn(
+            "w-full px-3 py-2 rounded-lg border outline-none transition-all text-brand-dark cursor-pointer appearance-none",
+            error
+              ? "border-red-300 focus:ring-2 focus:ring-red-200 focus:border-red-400 bg-red-50/30"
+              : "border-brand-muted/50 focus:ring-2 focus:ring-brand-primary focus:border-brand-primary bg-white"
+          )}
+          {...props}
+        />
+      </div>
+      {error && <span className="text-xs text-red-500 font-normal block">Requerido</span>}
+    </div>
+  );
+};
+
+export const Badge = ({ children, variant = 'default' }) => {
+  const variants = {
+    default: "bg-brand-light/50 text-brand-dark",
+    success: "bg-green-50 text-green-700 border border-green-200",
+    warning: "bg-amber-50 text-amber-700 border border-amber-200",
+    danger: "bg-red-50 text-red-700 border border-red-200"
+  };
+  return (
+    <span className={cn("px-2.5 py-0.5 rounded-full text-xs font-medium", variants[variant])}>
+      {children}
+    </span>
+  );
+};
+
+export const Toggle = ({ options, value, onChange }) => {
+  return (
+    <div className="flex bg-slate-100 p-1 rounded-lg">
+      {options.map((option) => (
+        <button
+          key={option.value}
+          onClick={() => onChange(option.value)}
+          className={cn(
+            "flex-1 py-1.5 px-3 rounded-md text-sm font-medium transition-all",
+            value === option.value
+              ? "bg-white text-brand-primary shadow-sm"
+              : "text-slate-500 hover:text-slate-700"
+          )}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export const Checkbox = ({ label, description, checked, onChange }) => (
+  <label className="flex items-start gap-2.5 cursor-pointer text-left">
+    <input
+      type="checkbox"
+      checked={checked}
+      onChange={e => onChange(e.target.checked)}
+      className="mt-0.5 w-4 h-4 accent-brand-primary cursor-pointer"
+    />
+    <span>
+      <span className="text-sm font-medium text-brand-dark block">{label}</span>
+      {description && <span className="text-xs text-slate-500 block">{description}</span>}
+    </span>
+  </label>
+);
+
+export const Select = ({ label, options, className, ...props }) => (
+  <div className="space-y-1.5">
+    {label && (
+      <label className="text-sm font-medium text-brand-dark block">
+        {label}
+      </label>
+    )}
+    <select
+      className={cn(
+        "w-full px-3 py-2 rounded-lg border border-brand-muted/50 bg-white text-brand-dark text-sm outline-none transition-all focus:ring-2 focus:ring-brand-primary focus:border-brand-primary",
+        className
+      )}
+      {...props}
+    >
+      {options.map(option => (
+        <option key={option.value} value={option.value}>{option.label}</option>
+      ))}
+    </select>
+  </div>
+);
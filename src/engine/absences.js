@@ -0,0 +1,45 @@
+/**
+ * Absence types that reduce the days paid at salary. `payRate` is the share
+ * of salary still paid for each absent day (1 = fully paid, 0 = unpaid).
+ */
+export const ABSENCE_TYPES = [
+  { key: 'LNR', label: 'Licencia no remunerada', payRate: 0 },
+  { key: 'SUS', label: 'Suspensión', payRate: 0 },
+  { key: 'AUS', label: 'Ausencia injustificada', payRate: 0 },
+  { key: 'INC', label: 'Incapacidad general', payRate: 0.6667 }
+];
+
+/**
+ * Default pay rates by absence type key.
+ * @returns {Object<string, number>}
+ */
+export const getDefaultAbsenceRates = () =>
+  Object.fromEntries(ABSENCE_TYPES.map(type => [type.key, type.payRate]));
+
+/**
+ * Turns the absence days of one period into salary days lost. Days beyond
+ * the period length are ignored, in the order of ABSENCE_TYPES.
+ * @param {Object<string, string|number>} [absences] Days by absence type key
+ * @param {number} periodDays Commercial days of the period
+ * @param {Object<string, number>} [rates] Pay rate overrides by type key
+ * @returns {{absentDays: number, lostDays: number, breakdown: Array<{key: string, label: string, days: number, payRate: number}>}}
+ *   absentDays are days not worked; lostDays are the salary-equivalent days not paid
+ */
+export const summarizeAbsences = (absences = {}, periodDays, rates = {}) => {
+  let remaining = periodDays;
+  let lostDays = 0;
+  const breakdown = [];
+
+  ABSENCE_TYPES.forEach(({ key, label, payRate }) => {
+    const requested = parseFloat(absences[key]) || 0;
+    const days = Math.min(Math.max(requested, 0), remaining);
+    if (days <= 0) return;
+
+    const rate = rates[key] ?? payRate;
+    remaining -= days;
+    lostDays += days * (1 - rate);
+    breakdown.push({ key, label, days, payRate: rate });
+  });
+
+  return { absentDays: periodDays - remaining, lostDays, breakdown };
+};
@@ -0,0 +1,37 @@
+import { getMinimumWage, isAuxilioEligible } from './minimumWage';
+
+/**
+ * Monthly auxilio de transporte owed versus paid for one year.
+ *
+ * Owed follows the new salary and that year's decree. Paid follows the old
+ * salary and either the amount reported for the employee or, for retros
+ * caused by a late minimum wage decree, the previous year's auxilio.
+ * @param {number} oldSalary
+ * @param {number} newSalary
+ * @param {number} year
+ * @param {Object} [options]
+ * @param {number} [options.paidAmount] Monthly auxilio actually paid, when known
+ * @param {boolean} [options.previousYear] Paid amounts follow the previous year's decree
+ * @returns {{owed: number, paid: number, difference: number, note: string|null}}
+ */
+export const getAuxilioDifference = (oldSalary, newSalary, year, options = {}) => {
+  const { paidAmount, previousYear = false } = options;
+  const paidYear = previousYear ? year - 1 : year;
+
+  const wasEligible = isAuxilioEligible(oldSalary, paidYear);
+  const isEligible = isAuxilioEligible(newSalary, year);
+
+  const owed = isEligible ? getMinimumWage(year).auxilio : 0;
+  let paid = 0;
+  if (paidAmount !== undefined) paid = paidAmount;
+  else if (wasEligible) paid = getMinimumWage(paidYear).auxilio;
+
+  let note = null;
+  if (wasEligible && !isEligible) {
+    note = `${year}: el salario nuevo supera 2 SMMLV, deja de tener derecho al auxilio de transporte.`;
+  } else if (!wasEligible && isEligible) {
+    note = `${year}: con el salario nuevo adquiere derecho al auxilio de transporte.`;
+  }
+
+  return { owed, paid, difference: owed - paid, note };
+};
@@ -0,0 +1,391 @@
+import { formatReportDate } from './dates';
+import { getPeriods } from './periods';
+import { LEGAL_RULES, getRuleSegments } from './rules';
+import { buildPrestacionesDetails } from './prestaciones';
+import { getAuxilioDifference } from './auxilio';
+import { summarizeAbsences } from './absences';
+import { buildSalaryTimeline, describeSalaryStep, getSalarySegments } from './salaryTimeline';
+import { toDeductionConcept } from './deductions';
+import { getLineRounding, roundAmount, roundDetails, roundsPerEmployee } from './rounding';
+
+/** @typedef {import('./types').RetroInput} RetroInput */
+/** @typedef {import('./types').RetroResult} RetroResult */
+/** @typedef {import('./types').PayrollType} PayrollType */
+/** @typedef {import('./types').LegalRule} LegalRule */
+/** @typedef {import('./types').RetroDetail} RetroDetail */
+/** @typedef {import('./types').PeriodTotal} PeriodTotal */
+
+/**
+ * Overtime and recargo types: input quantity key, factor key in the legal
+ * rules, detail label and the report columns they fill in the per-period summary.
+ */
+export const OT_CONCEPTS = [
+  {
+    key: 'HED_CANTIDAD',
+    type: 'HED',
+    label: 'Retroactivo HE diurna',
+    reportValKey: 'Devengos Prestacionales - Hora Extra Diurna Ordinaria (1.25)',
+    reportQtyKey: 'Comprobante - Hora Extra Diurna Ordinaria (1.25)'
+  },
+  {
+    key: 'HEN_CANTIDAD',
+    type: 'HEN',
+    label: 'Retroactivo HE nocturna',
+    reportValKey: 'Devengos Prestacionales - Hora Extra Nocturna (1.75)',
+    reportQtyKey: 'Comprobante - Hora Extra Nocturna (1.75)'
+  },
+  {
+    key: 'HEFD_CANTIDAD',
+    type: 'HEFD',
+    label: 'Retroactivo HE festiva diurna',
+    reportValKey: 'Devengos Prestacionales - Hora Extra Diurna Dominical Y Festivos (2.05)',
+    reportQtyKey: 'Comprobante - Hora Extra Diurna Dominical y Festivos (2.05)'
+  },
+  {
+    key: 'HEFN_CANTIDAD',
+    type: 'HEFN',
+    label: 'Retroactivo HE festiva nocturna',
+    reportValKey: 'Devengos Prestacionales - Hora Extra Nocturna Dominical Y Festivos (2.55)',
+    reportQtyKey: 'Comprobante - Hora Extra Nocturna Dominical Y Festivos (2.55)'
+  },
+  {
+    key: 'RN_CANTIDAD',
+    type: 'RN',
+    label: 'Retroactivo Recargo nocturno',
+    reportValKey: 'Devengos Prestacionales - Hora Recargo Nocturno (0.35)',
+    reportQtyKey: 'Comprobante - Hora Recargo Nocturno (0.35)'
+  },
+  {
+    key: 'RDDFH_CANTIDAD',
+    type: 'RDDFH',
+    label: 'Retroactivo Recargo diurno festivo',
+    reportValKey: 'Devengos Prestacionales - Hora Recargo Diurno Dominical Y Festivos Habitual (1.80)',
+    reportQtyKey: 'Comprobante - Hora Recargo Diurno Dominical y Festivos Habitual (1.80)'
+  },
+  {
+    key: 'RNDF_CANTIDAD',
+    type: 'RNDF',
+    label: 'Retroactivo Recargo nocturno festivo',
+    reportValKey: 'Devengos Prestacionales - Hora Recargo Nocturno Dominical Y Festivos (1.15)',
+    reportQtyKey: 'Comprobante - Hora Recargo Nocturno Dominical y Festivos (1.15)'
+  }
+];
+
+/**
+ * Calculates the salary and overtime retro for one employee over the
+ * periods between FECHA_INICIO and FECHA_FIN. Each period uses the
+ * hourly divisor, surcharge factors and new salary in force on its dates
+ * (see CAMBIOS_SALARIO), and its own overtime hours from HORAS.
+ * @param {RetroInput} data
+ * @param {PayrollType} payrollType
+ * @param {Object} [options]
+ * @param {LegalRule[]} [options.rules] Rule table, defaults to LEGAL_RULES
+ * @param {boolean} [options.prestaciones] Also add prima, cesantías,
+ *   intereses and vacaciones differences for the periods covered
+ * @param {boolean} [options.auxilio] Add the auxilio de transporte difference
+ *   per period, prorated by days
+ * @param {boolean} [options.auxilioPreviousYear] The auxilio paid was the
+ *   previous year's (retro from a late minimum wage decree)
+ * @param {boolean} [options.prorate] Include partial months/quincenas,
+ *   paying only the commercial days inside the range
+ * @param {Object<string, number>} [options.absenceRates] Pay rate overrides
+ *   by absence type key, see ABSENCE_TYPES
+ * @param {boolean} [options.deductions] Record negative differences as
+ *   reintegro lines (see toDeductionConcept) instead of dropping them. They
+ *   stay out of the summaries and period totals, so prestaciones and
+ *   contributions are only figured on what is paid.
+ * @param {import('./rounding').RoundingPolicy['mode']} [options.rounding] How each
+ *   line is rounded, 'peso' by default; see getLineRounding
+ * @returns {RetroResult}
+ */
+export const calculateRetroactive = (data, payrollType, options = {}) => {
+  const {
+    rules = LEGAL_RULES,
+    prestaciones = false,
+    auxilio = false,
+    auxilioPreviousYear = false,
+    prorate = false,
+    absenceRates = {},
+    deductions = false,
+    rounding = 'peso'
+  } = options;
+  const oldSalary = parseFloat(data.SUELDO_ANTERIOR) || 0;
+  const timeline = buildSalaryTimeline(data);
+
+  // Get list of valid periods
+  const periods = getPeriods(data.FECHA_INICIO, data.FECHA_FIN, payrollType, { prorate });
+
+  if (periods.length === 0) {
+    return { details: [], summaries: [], periodTotals: [], notes: [] };
+  }
+
+  const details = [];
+  const summaries = [];
+  const periodTotals = [];
+  const notes = new Set();
+
+  const auxilioPaid = data.AUXILIO_ANTERIOR === undefined || data.AUXILIO_ANTERIOR === ''
+    ? undefined
+    : parseFloat(data.AUXILIO_ANTERIOR) || 0;
+
+  // Iterate over periods to generate rows
+  periods.forEach(period => {
+    // Format payroll period start for report: DD/MM/YYYY
+    const formattedStartDate = formatReportDate(period.periodStart);
+    const daysLabel = `${period.days} días`;
+
+    // A period crossing an effective date is split by rule version and by
+    // salary step; the salary and hourly retro are weighted by the days each
+    // piece covers.
+    const segments = getRuleSegments(period.start, period.end, rules).flatMap(seg =>
+      getSalarySegments(seg.start, seg.end, timeline).map(part => ({ ...part, rule: seg.rule }))
+    );
+    const ruleVersion = [...new Set(segments.map(seg => seg.rule.version))].join(' + ');
+    const steps = [...new Set(segments.map(seg => seg.step))];
+    const periodDays = segments.reduce((sum, seg) => sum + seg.days, 0);
+    const newSalary = segments.reduce((sum, seg) => sum + seg.step.salary * seg.days, 0) / periodDays;
+    const baseDiff = newSalary - oldSalary;
+    const hourlyDifference = segments.reduce(
+      (sum, seg) => sum + ((seg.step.salary - oldSalary) / seg.rule.divisor) * seg.days,
+      0
+    ) / periodDays;
+    const hourlyRetro = (type) => segments.reduce(
+      (sum, seg) => sum + ((seg.step.salary - oldSalary) / seg.rule.divisor) * seg.rule.factors[type] * seg.days,
+      0
+    ) / periodDays;
+
+    // Absences reduce the days paid at salary, each type at its own pay rate
+    const absences = summarizeAbsences(data.AUSENCIAS?.[period.periodStart], period.days, absenceRates);
+    const absenceDeduction = baseDiff * absences.lostDays / 30;
+
+    // Calculate Retro Salary per period on a 30-day commercial month
+    // Mensual: Diff * 30/30
+    // Quincenal: Diff * 15/30
+    // Partial: Diff * days/30
+    const retroSalaryPerPeriod = baseDiff * period.days / 30 - absenceDeduction;
+
+    const summary = {
+      'Comprobante - Período': formattedStartDate,
+      'Colaborador - Nombre Completo': data.NOMBRE,
+      'Colaborador - Número de Documento': data.CEDULA,
+      'Colaborador - Código de Ficha': data.CODIGO_FICHA_COLABORADOR || '',
+      'Devengos Prestacionales - Salario': 0,
+      'Devengos Prestacionales - Hora Extra Diurna Dominical Y Festivos (2.00)': 0,
+      'Comprobante - Hora Extra Diurna Dominical y Festivos (2.00)': 0,
+      'Devengos Prestacionales - Hora Extra Diurna Ordinaria (1.25)': 0,
+      'Comprobante - Hora Extra Diurna Ordinaria (1.25)': 0,
+      'Devengos Prestacionales - Hora Extra Nocturna (1.75)': 0,
+      'Comprobante - Hora Extra Nocturna (1.75)': 0,
+      'Devengos Prestacionales - Hora Extra Nocturna Dominical Y Festivos (2.55)': 0,
+      'Comprobante - Hora Extra Nocturna Dominical Y Festivos (2.55)': 0,
+      'Devengos Prestacionales - Hora Recargo Diurno Dominical Y Festivos Habitual (1.80)': 0,
+      'Comprobante - Hora Recargo Diurno Dominical y Festivos Habitual (1.80)': 0,
+      'Devengos Prestacionales - Hora Recargo Nocturno (0.35)': 0,
+      'Comprobante - Hora Recargo Nocturno (0.35)': 0,
+      'Devengos Prestacionales - Hora Recargo Nocturno Dominical Y Festivos (1.15)': 0,
+      'Comprobante - Hora Recargo Nocturno Dominical y Festivos (1.15)': 0,
+      'Regla legal': ruleVersion,
+      'Sueldo aplicado': steps.map(describeSalaryStep).join(' + '),
+      'Descuento ausencias': 0,
+    };
+    const totals = {
+      start: period.start,
+      end: period.end,
+      days: period.days,
+      oldSalary,
+      newSalary: Math.round(newSalary),
+      hourlyDifference: Math.round(hourlyDifference * 100) / 100,
+      salary: 0,
+      overtime: 0,
+      transport: 0
+    };
+
+    // Excess paid in the period, as a reintegro line with its own concept
+    const pushDeduction = (concept, detail, val) => details.push({
+      CEDULA: data.CEDULA,
+      NOMBRE: data.NOMBRE,
+      PERIODO: formattedStartDate,
+      CONCEPTO: toDeductionConcept(concept),
+      DETALLE: detail,
+      VALOR_A_PAGAR: val,
+      REGLA: ruleVersion
+    });
+
+    // Add Salary Retro
+    const salaryVal = roundAmount(retroSalaryPerPeriod, rounding);
+    if (salaryVal > 0 || (deductions && salaryVal < 0)) {
+      const remarks = [];
+      if (steps.some(step => step.effectiveFrom)) remarks.push(`sueldo ${steps.map(describeSalaryStep).join(' + ')}`);
+      if (period.partial) remarks.push(`parcial, ${daysLabel}`);
+      if (absences.breakdown.length > 0) {
+        const deduction = roundAmount(absenceDeduction, rounding);
+        const items = absences.breakdown.map(a => (a.payRate > 0
+          ? `${a.days} días ${a.label} al ${(a.payRate * 100).toFixed(2)}%`
+          : `${a.days} días ${a.label}`));
+        remarks.push(`descuenta ${items.join(', ')}: -$ ${deduction.toLocaleString()}`);
+        if (salaryVal > 0) summary['Descuento ausencias'] = deduction;
+      }
+      const detail = remarks.length > 0
+        ? `Periodo ${formattedStartDate} (${remarks.join('; ')})`
+        : `Periodo ${formattedStartDate}`;
+
+      if (salaryVal > 0) {
+        summary['Devengos Prestacionales - Salario'] = salaryVal;
+        totals.salary = salaryVal;
+
+        details.push({
+          CEDULA: data.CEDULA,
+          NOMBRE: data.NOMBRE,
+          PERIODO: formattedStartDate,
+          CONCEPTO: 'Retroactivo sueldo',
+          DETALLE: detail,
+          VALOR_A_PAGAR: salaryVal,
+          REGLA: ruleVersion
+        });
+      } else {
+        pushDeduction('Retroactivo sueldo', detail, salaryVal);
+      }
+    }
+
+    // Add Auxilio de Transporte Retro, prorated by the days actually worked
+    if (auxilio) {
+      const workedDays = period.days - absences.absentDays;
+      const year = Number(period.start.slice(0, 4));
+      const aux = getAuxilioDifference(oldSalary, newSalary, year, {
+        paidAmount: auxilioPaid,
+        previousYear: auxilioPreviousYear
+      });
+      if (aux.note) notes.add(aux.note);
+
+      const val = roundAmount(aux.difference * workedDays / 30, rounding);
+      if (val > 0) {
+        summary['Devengos No Salariales - Auxilio de Transporte'] = val;
+        totals.transport = val;
+
+        details.push({
+          CEDULA: data.CEDULA,
+          NOMBRE: data.NOMBRE,
+          PERIODO: formattedStartDate,
+          CONCEPTO: 'Retroactivo auxilio de transporte',
+          DETALLE: `Periodo ${formattedStartDate} (${workedDays} días laborados)`,
+          VALOR_A_PAGAR: val,
+          REGLA: ruleVersion
+        });
+      } else if (deductions && val < 0) {
+        pushDeduction('Retroactivo auxilio de transporte', `Periodo ${formattedStartDate} (${workedDays} días laborados)`, val);
+      }
+    }
+
+    // Add OT Retro for the hours worked in this period
+    const hours = data.HORAS?.[period.periodStart] || {};
+    OT_CONCEPTS.forEach(concept => {
+      const qty = parseFloat(hours[concept.key]) || 0;
+      if (qty <= 0) return;
+
+      // The factor applied, which the report column label may not match;
+      // a period split by rule version lists each version's factor
+      const factors = [...new Set(segments.map(seg => seg.rule.factors[concept.type].toFixed(2)))].join(' / ');
+      const detail = `Periodo ${formattedStartDate} (${qty} horas, factor ${factors})`;
+
+      const roundedVal = roundAmount(hourlyRetro(concept.type) * qty, rounding);
+      if (deductions && roundedVal < 0) {
+        pushDeduction(concept.label, detail, roundedVal);
+        return;
+      }
+      if (roundedVal <= 0) return;
+
+      summary[concept.reportValKey] = roundedVal;
+      summary[concept.reportQtyKey] = qty;
+      totals.overtime += roundedVal;
+
+      details.push({
+        CEDULA: data.CEDULA,
+        NOMBRE: data.NOMBRE,
+        PERIODO: formattedStartDate,
+        CONCEPTO: concept.label,
+        DETALLE: detail,
+        VALOR_A_PAGAR: roundedVal,
+        REGLA: ruleVersion
+      });
+    });
+
+    summaries.push(summary);
+    periodTotals.push(totals);
+  });
+
+  if (prestaciones) {
+    details.push(...buildPrestacionesDetails(data, periodTotals, rounding));
+  }
+
+  return { details, summaries, periodTotals, notes: [...notes] };
+};
+
+// Summary column and period total each paid concept fills
+const PAYMENT_FIELDS = {
+  'Retroactivo sueldo': { key: 'Devengos Prestacionales - Salario', total: 'salary' },
+  'Retroactivo auxilio de transporte': { key: 'Devengos No Salariales - Auxilio de Transporte', total: 'transport' },
+  ...Object.fromEntries(OT_CONCEPTS.map(concept => [concept.label, { key: concept.reportValKey, total: 'overtime' }]))
+};
+
+/**
+ * Rebuilds the per-period summaries and totals from an employee's lines,
+ * matched by period start and concept.
+ * @param {RetroDetail[]} details
+ * @param {Object[]} summaries
+ * @param {PeriodTotal[]} periodTotals
+ * @returns {{summaries: Object[], periodTotals: PeriodTotal[]}}
+ */
+const totalsFromLines = (details, summaries, periodTotals) => {
+  const rows = summaries.map(summary => {
+    const row = { ...summary };
+    Object.values(PAYMENT_FIELDS).forEach(({ key }) => {
+      if (key in row) row[key] = 0;
+    });
+    return row;
+  });
+  const totals = periodTotals.map(total => ({ ...total, salary: 0, overtime: 0, transport: 0 }));
+  const filled = new Set(); // period index | concept, for employees with repeated periods
+
+  details.forEach(det => {
+    const field = PAYMENT_FIELDS[det.CONCEPTO];
+    if (!field) return;
+    const index = rows.findIndex((row, i) =>
+      row['Comprobante - Período'] === det.PERIODO && !filled.has(`${i}|${det.CONCEPTO}`));
+    if (index < 0) return;
+    filled.add(`${index}|${det.CONCEPTO}`);
+    rows[index][field.key] = det.VALOR_A_PAGAR;
+    totals[index][field.total] += det.VALOR_A_PAGAR;
+  });
+
+  return { summaries: rows, periodTotals: totals };
+};
+
+/**
+ * Finishes an employee's lines once all of them are calculated: applies
+ * the rounding policy and adds prestaciones. When the policy rounds per
+ * employee (see roundsPerEmployee), the summaries and period totals are
+ * rebuilt from the rounded lines, so contributions, prestaciones and
+ * withholding are figured on the amounts paid; prestaciones are then
+ * rounded on their own.
+ * @param {{CEDULA: string|number, NOMBRE: string}} employee
+ * @param {RetroDetail[]} details Period and reintegro lines, figured with getLineRounding
+ * @param {Object[]} summaries
+ * @param {PeriodTotal[]} periodTotals
+ * @param {import('./rounding').RoundingPolicy} policy
+ * @param {{prestaciones?: boolean}} [options]
+ * @returns {{details: RetroDetail[], prestaciones: RetroDetail[], summaries: Object[], periodTotals: PeriodTotal[]}}
+ */
+export const finishEmployeeLines = (employee, details, summaries, periodTotals, policy, options = {}) => {
+  const lineRounding = getLineRounding(policy);
+  if (!roundsPerEmployee(policy)) {
+    const prestaciones = options.prestaciones ? buildPrestacionesDetails(employee, periodTotals, lineRounding) : [];
+    return { details, prestaciones, summaries, periodTotals };
+  }
+
+  const rounded = roundDetails(details, policy);
+  const synced = totalsFromLines(rounded, summaries, periodTotals);
+  const prestaciones = options.prestaciones
+    ? roundDetails(buildPrestacionesDetails(employee, synced.periodTotals, lineRounding), policy)
+    : [];
+  return { details: rounded, prestaciones, ...synced };
+};
@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest';
+import { calculateRetroactive, finishEmployeeLines } from './calculate';
+
+const employee = (overrides = {}) => ({
+  CEDULA: 123,
+  NOMBRE: 'Ana Pérez',
+  SUELDO_ANTERIOR: 2000000,
+  SUELDO_NUEVO: 2100000,
+  FECHA_INICIO: '2025-01-01',
+  FECHA_FIN: '2025-02-28',
+  ...overrides
+});
+
+const sum = (details) => details.reduce((total, det) => total + det.VALOR_A_PAGAR, 0);
+const valuesOf = (details, concept) => details.filter(det => det.CONCEPTO === concept).map(det => det.VALOR_A_PAGAR);
+
+describe('calculateRetroactive', () => {
+  it('pays the full difference per mensual period', () => {
+    const { details, summaries, periodTotals } = calculateRetroactive(employee(), 'mensual');
+    expect(valuesOf(details, 'Retroactivo sueldo')).toEqual([100000, 100000]);
+    expect(details.map(det => det.PERIODO)).toEqual(['01/01/2025', '01/02/2025']);
+    expect(summaries).toHaveLength(2);
+    expect(periodTotals[1]).toMatchObject({ days: 30, oldSalary: 2000000, newSalary: 2100000, salary: 100000 });
+  });
+
+  it('pays half the difference per quincena', () => {
+    const { details } = calculateRetroactive(employee({ FECHA_FIN: '2025-01-31' }), 'quincenal');
+    expect(valuesOf(details, 'Retroactivo sueldo')).toEqual([50000, 50000]);
+    expect(details.map(det => det.PERIODO)).toEqual(['01/01/2025', '16/01/2025']);
+  });
+
+  it('pays a leap February like any other month', () => {
+    const { details } = calculateRetroactive(employee({ FECHA_INICIO: '01/02/2024', FECHA_FIN: '29/02/2024' }), 'quincenal');
+    expect(valuesOf(details, 'Retroactivo sueldo')).toEqual([50000, 50000]);
+  });
+
+  it('pays overtime on the hourly difference of the period', () => {
+    const { details } = calculateRetroactive(employee({
+      FECHA_FIN: '2025-01-31',
+      HORAS: { '2025-01-01': { HED_CANTIDAD: 10 } }
+    }), 'mensual');
+    // 100.000 / 230 h × 1,25 × 10 h
+    expect(valuesOf(details, 'Retroactivo HE diurna')).toEqual([5435]);
+  });
+
+  it('prorates partial periods only when asked', () => {
+    const input = employee({ FECHA_INICIO: '2025-01-16', FECHA_FIN: '2025-02-28' });
+    expect(valuesOf(calculateRetroactive(input, 'mensual').details, 'Retroactivo sueldo')).toEqual([100000]);
+    expect(valuesOf(calculateRetroactive(input, 'mensual', { prorate: true }).details, 'Retroactivo sueldo'))
+      .toEqual([50000, 100000]);
+  });
+
+  it('drops lower salaries unless deductions are on', () => {
+    const input = employee({ SUELDO_NUEVO: 1900000, FECHA_FIN: '2025-01-31' });
+    expect(calculateRetroactive(input, 'mensual').details).toEqual([]);
+    expect(valuesOf(calculateRetroactive(input, 'mensual', { deductions: true }).details,
+      'Reintegro por mayor valor pagado - sueldo')).toEqual([-100000]);
+  });
+
+  it('returns nothing when the range holds no closed period', () => {
+    expect(calculateRetroactive(employee({ FECHA_INICIO: '2025-01-10', FECHA_FIN: '2025-01-20' }), 'mensual'))
+      .toEqual({ details: [], summaries: [], periodTotals: [], notes: [] });
+  });
+});
+
+describe('finishEmployeeLines', () => {
+  const policy = { mode: 'peso', distribute: true };
+  const input = employee({
+    FECHA_FIN: '2025-03-31',
+    HORAS: {
+      '2025-01-01': { HED_CANTIDAD: 10 },
+      '2025-02-01': { HED_CANTIDAD: 10 },
+      '2025-03-01': { HED_CANTIDAD: 10 }
+    }
+  });
+  const { details, summaries, periodTotals } = calculateRetroactive(input, 'mensual', { rounding: 'total' });
+  const finished = finishEmployeeLines(input, details, summaries, periodTotals, policy, { prestaciones: true });
+  const hedKey = 'Devengos Prestacionales - Hora Extra Diurna Ordinaria (1.25)';
+
+  it('rebuilds the period totals from the rounded lines', () => {
+    // 3 × 5.434,78 rounds to 16.304, one peso less than 3 × 5.435
+    expect(valuesOf(finished.details, 'Retroactivo HE diurna')).toEqual([5434, 5435, 5435]);
+    expect(sum(finished.details)).toBe(316304);
+    expect(finished.periodTotals.reduce((total, period) => total + period.salary + period.overtime + period.transport, 0))
+      .toBe(sum(finished.details));
+    expect(finished.summaries.map(summary => summary[hedKey])).toEqual([5434, 5435, 5435]);
+  });
+
+  it('figures prestaciones on the rounded totals and rounds them on their own', () => {
+    // Prima and cesantías 316.304 / 12 = 26.358,67, intereses 790,76 and
+    // vacaciones 300.000 / 24 add up to 66.008,09
+    expect(finished.prestaciones.map(det => det.VALOR_A_PAGAR)).toEqual([26358, 26359, 791, 12500]);
+    expect(sum(finished.prestaciones)).toBe(66008);
+  });
+
+  it('leaves the totals alone when lines are rounded on their own', () => {
+    const own = finishEmployeeLines(input, details, summaries, periodTotals, { mode: 'peso' });
+    expect(own.periodTotals).toBe(periodTotals);
+    expect(own.prestaciones).toEqual([]);
+  });
+});
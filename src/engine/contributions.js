@@ -0,0 +1,126 @@
+import { getMinimumWage } from './minimumWage';
+
+/** @typedef {import('./types').PeriodTotal} PeriodTotal */
+
+/**
+ * Social security and parafiscal rates over the IBC, split by who pays.
+ */
+export const CONTRIBUTION_RATES = {
+  SALUD: { employer: 0.085, employee: 0.04 },
+  PENSION: { employer: 0.12, employee: 0.04 },
+  CAJA: { employer: 0.04 },
+  ICBF: { employer: 0.03 },
+  SENA: { employer: 0.02 }
+};
+
+/** ARL rates by risk class (Decreto 1772 de 1994, tarifa mínima de cada clase). */
+export const ARL_RATES = {
+  I: 0.00522,
+  II: 0.01044,
+  III: 0.02436,
+  IV: 0.04350,
+  V: 0.06960
+};
+
+// Art. 114-1 ET exonerates employer salud, ICBF and SENA below 10 SMMLV
+const EXONERATION_LIMIT_SMMLV = 10;
+
+/**
+ * Fondo de Solidaridad Pensional rate paid by the employee, by IBC in SMMLV.
+ * @param {number} ibc Monthly IBC
+ * @param {number} smmlv
+ * @returns {number}
+ */
+export const getSolidarityRate = (ibc, smmlv) => {
+  const times = ibc / smmlv;
+  if (times < 4) return 0;
+  if (times < 16) return 0.01;
+  if (times < 17) return 0.012;
+  if (times < 18) return 0.014;
+  if (times < 19) return 0.016;
+  if (times < 20) return 0.018;
+  return 0.02;
+};
+
+/**
+ * Contribution differences caused by a retro, one row per PILA month so
+ * they can be filed as planilla type N corrections. Quincenal periods of
+ * the same month are added together. The additional IBC is the salary and
+ * overtime retro of the month.
+ * @param {{CEDULA: string|number, NOMBRE: string}} employee
+ * @param {PeriodTotal[]} periodTotals
+ * @param {Object} [options]
+ * @param {'I'|'II'|'III'|'IV'|'V'} [options.arlClass] Defaults to 'I'
+ * @param {boolean} [options.exonerated] Employer applies Art. 114-1 ET
+ * @returns {Object[]} Rows keyed by the correction sheet column names
+ */
+export const calculateContributions = (employee, periodTotals, options = {}) => {
+  const { arlClass = 'I', exonerated = false } = options;
+  const months = new Map();
+
+  periodTotals.forEach(total => {
+    const month = total.start.slice(0, 7);
+    const acc = months.get(month) || { ibc: 0, days: 0, oldSalary: total.oldSalary, newSalary: total.newSalary };
+    acc.ibc += total.salary + total.overtime;
+    acc.days += total.days;
+    acc.oldSalary = total.oldSalary;
+    acc.newSalary = total.newSalary;
+    months.set(month, acc);
+  });
+
+  const rows = [];
+  months.forEach((acc, month) => {
+    if (acc.ibc <= 0) return;
+
+    const { smmlv } = getMinimumWage(Number(month.slice(0, 4)));
+    const isExonerated = exonerated && acc.newSalary < EXONERATION_LIMIT_SMMLV * smmlv;
+    const employerRate = (concept) => (isExonerated && concept !== 'PENSION' && concept !== 'CAJA'
+      ? 0
+      : CONTRIBUTION_RATES[concept].employer);
+
+    // The solidarity rate can step up when the new salary crosses a band,
+    // so the old base is re-rated too, not only the additional IBC
+    const rateOld = getSolidarityRate(acc.oldSalary, smmlv);
+    const rateNew = getSolidarityRate(acc.newSalary, smmlv);
+    const oldBase = acc.oldSalary * acc.days / 30;
+    const solidarity = rateNew * acc.ibc + (rateNew - rateOld) * oldBase;
+
+    const employer = {
+      salud: Math.round(acc.ibc * employerRate('SALUD')),
+      pension: Math.round(acc.ibc * employerRate('PENSION')),
+      arl: Math.round(acc.ibc * ARL_RATES[arlClass]),
+      caja: Math.round(acc.ibc * employerRate('CAJA')),
+      icbf: Math.round(acc.ibc * employerRate('ICBF')),
+      sena: Math.round(acc.ibc * employerRate('SENA'))
+    };
+    const worker = {
+      salud: Math.round(acc.ibc * CONTRIBUTION_RATES.SALUD.employee),
+      pension: Math.round(acc.ibc * CONTRIBUTION_RATES.PENSION.employee),
+      solidaridad: Math.round(solidarity)
+    };
+    const sum = (obj) => Object.values(obj).reduce((a, b) => a + b, 0);
+
+    rows.push({
+      'Período PILA': month,
+      'Tipo de planilla': 'N',
+      'Número de Documento': employee.CEDULA,
+      'Nombre': employee.NOMBRE,
+      'IBC adicional': Math.round(acc.ibc),
+      'Salud empleador': employer.salud,
+      'Salud trabajador': worker.salud,
+      'Pensión empleador': employer.pension,
+      'Pensión trabajador': worker.pension,
+      'Fondo de solidaridad pensional': worker.solidaridad,
+      'ARL': employer.arl,
+      'Caja de compensación': employer.caja,
+      'ICBF': employer.icbf,
+      'SENA': employer.sena,
+      'Total empleador': sum(employer),
+      'Total trabajador': sum(worker),
+      'Clase de riesgo ARL': arlClass,
+      'Exonerado Art. 114-1': isExonerated ? 'Sí' : 'No'
+    });
+  });
+
+  return rows;
+};
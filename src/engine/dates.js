@@ -0,0 +1,113 @@
+/**
+ * Date helpers shared by the period and calculation logic.
+ * Internally every date travels as a YYYY-MM-DD string.
+ */
+
+export const getDaysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+/**
+ * Formats a year, 0-indexed month and day as YYYY-MM-DD.
+ * @param {number} year
+ * @param {number} month 0-indexed
+ * @param {number} day
+ * @returns {string}
+ */
+export const toISODate = (year, month, day) =>
+  `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+/**
+ * Converts an internal YYYY-MM-DD string to DD/MM/YYYY for reports.
+ * @param {string} isoStr
+ * @returns {string}
+ */
+export const formatReportDate = (isoStr) => {
+  const [y, m, d] = isoStr.split('-');
+  return `${d}/${m}/${y}`;
+};
+
+/**
+ * Splits a date string into [year, month, day] with a 1-based month.
+ * Supports YYYY-MM-DD, DD-MM-YYYY and DD/MM/YYYY. Returns [0, 0, 0] when
+ * the string can't be read.
+ * @param {string} str
+ * @returns {number[]}
+ */
+export const parseDateParts = (str) => {
+  if (typeof str !== 'string') return [0, 0, 0];
+
+  // Try YYYY-MM-DD
+  if (str.includes('-')) {
+    const parts = str.split('-').map(Number);
+    if (parts[0] > 1000) return parts; // YYYY-MM-DD
+    return [parts[2], parts[1], parts[0]]; // DD-MM-YYYY fallback
+  }
+  // Try DD/MM/YYYY
+  if (str.includes('/')) {
+    const parts = str.split('/').map(Number);
+    return [parts[2], parts[1], parts[0]]; // DD/MM/YYYY
+  }
+  return [0, 0, 0];
+};
+
+/**
+ * Converts an Excel (1900 date system) serial number to a local Date.
+ * @param {number} serial
+ * @returns {Date}
+ */
+export const excelSerialToDate = (serial) => {
+  const days = Math.floor(serial);
+  // Excel counts a non-existent 29/02/1900, so serials after it are one day ahead
+  const offset = days > 59 ? days - 1 : days;
+  return new Date(1899, 11, 31 + offset);
+};
+
+/**
+ * Reads a spreadsheet cell holding a date. Accepts Excel serials,
+ * "D/M/YYYY" and "YYYY-MM-DD" strings.
+ * @param {unknown} value
+ * @returns {Date|null} null when the cell is not a valid date, including
+ *   impossible calendar days such as 30/02
+ */
+export const parseCellDate = (value) => {
+  let date = null;
+
+  if (typeof value === 'number') {
+    date = excelSerialToDate(value);
+  } else if (typeof value === 'string') {
+    const parts = value.trim().split(/[/-]/);
+    if (parts.length === 3) {
+      const [year, month, day] = (parts[0].length === 4 ? parts : [parts[2], parts[1], parts[0]]).map(Number);
+      date = new Date(year, month - 1, day);
+      // Date rolls 30/02 over to 02/03; only keep days that exist
+      if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    }
+  }
+
+  if (!date || isNaN(date.getTime())) return null;
+  return date;
+};
+
+const isoToUTC = (isoStr) => {
+  const [y, m, d] = isoStr.split('-').map(Number);
+  return Date.UTC(y, m - 1, d);
+};
+
+/**
+ * Counts calendar days between two YYYY-MM-DD dates, both included.
+ * @param {string} startIso
+ * @param {string} endIso
+ * @returns {number}
+ */
+export const countDays = (startIso, endIso) =>
+  Math.round((isoToUTC(endIso) - isoToUTC(startIso)) / 86400000) + 1;
+
+/**
+ * Shifts a YYYY-MM-DD date by a number of days.
+ * @param {string} isoStr
+ * @param {number} days
+ * @returns {string}
+ */
+export const addDays = (isoStr, days) => {
+  const date = new Date(isoToUTC(isoStr) + days * 86400000);
+  return toISODate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+};
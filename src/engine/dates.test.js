@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import { addDays, countDays, excelSerialToDate, formatReportDate, parseCellDate, parseDateParts } from './dates';
+
+const ymd = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+describe('parseDateParts', () => {
+  it('reads YYYY-MM-DD', () => {
+    expect(parseDateParts('2025-03-07')).toEqual([2025, 3, 7]);
+  });
+
+  it('reads DD/MM/YYYY and DD-MM-YYYY', () => {
+    expect(parseDateParts('07/03/2025')).toEqual([2025, 3, 7]);
+    expect(parseDateParts('07-03-2025')).toEqual([2025, 3, 7]);
+  });
+
+  it('returns zeros for anything else', () => {
+    expect(parseDateParts('marzo 2025')).toEqual([0, 0, 0]);
+    expect(parseDateParts(45658)).toEqual([0, 0, 0]);
+  });
+});
+
+describe('excelSerialToDate', () => {
+  it('converts serials after the 1900 leap-year bug', () => {
+    expect(ymd(excelSerialToDate(45658))).toEqual([2025, 1, 1]);
+    expect(ymd(excelSerialToDate(45351))).toEqual([2024, 2, 29]);
+  });
+
+  it('converts serials before 01/03/1900', () => {
+    expect(ymd(excelSerialToDate(1))).toEqual([1900, 1, 1]);
+    expect(ymd(excelSerialToDate(59))).toEqual([1900, 2, 28]);
+    expect(ymd(excelSerialToDate(61))).toEqual([1900, 3, 1]);
+  });
+
+  it('ignores the time part', () => {
+    expect(ymd(excelSerialToDate(45658.75))).toEqual([2025, 1, 1]);
+  });
+});
+
+describe('parseCellDate', () => {
+  it('reads Excel serials', () => {
+    expect(ymd(parseCellDate(45658))).toEqual([2025, 1, 1]);
+  });
+
+  it('reads DD/MM/YYYY and YYYY-MM-DD strings', () => {
+    expect(ymd(parseCellDate('15/02/2025'))).toEqual([2025, 2, 15]);
+    expect(ymd(parseCellDate('1/2/2025'))).toEqual([2025, 2, 1]);
+    expect(ymd(parseCellDate(' 2025-02-15 '))).toEqual([2025, 2, 15]);
+  });
+
+  it('reads 29/02 of a leap year', () => {
+    expect(ymd(parseCellDate('29/02/2024'))).toEqual([2024, 2, 29]);
+  });
+
+  it('accepts 29/02 only in leap years', () => {
+    expect(parseCellDate('29/02/2025')).toBeNull();
+  });
+
+  it('rejects impossible calendar dates instead of rolling them over', () => {
+    expect(parseCellDate('30/02/2025')).toBeNull();
+    expect(parseCellDate('31/04/2025')).toBeNull();
+    expect(parseCellDate('2025-13-01')).toBeNull();
+    expect(parseCellDate('00/01/2025')).toBeNull();
+  });
+
+  it('returns null for text that is not a date', () => {
+    expect(parseCellDate('enero')).toBeNull();
+    expect(parseCellDate('aa/bb/cccc')).toBeNull();
+    expect(parseCellDate(null)).toBeNull();
+  });
+});
+
+describe('date arithmetic', () => {
+  it('formats report dates as DD/MM/YYYY', () => {
+    expect(formatReportDate('2025-03-07')).toBe('07/03/2025');
+  });
+
+  it('counts days with both ends included, across February', () => {
+    expect(countDays('2024-02-01', '2024-02-29')).toBe(29);
+    expect(countDays('2025-02-01', '2025-02-28')).toBe(28);
+  });
+
+  it('shifts dates across month and year ends', () => {
+    expect(addDays('2024-02-28', 1)).toBe('2024-02-29');
+    expect(addDays('2025-01-01', -1)).toBe('2024-12-31');
+  });
+});
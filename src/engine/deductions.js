@@ -0,0 +1,117 @@
+/** @typedef {import('./types').RetroDetail} RetroDetail */
+/** @typedef {import('./types').PeriodTotal} PeriodTotal */
+/** @typedef {import('./types').PayrollType} PayrollType */
+
+/**
+ * Reintegros: when the new salary is lower than the one paid (a downward
+ * correction or an increase applied by mistake), the excess paid comes
+ * back as deduction lines. They carry negative values so run totals are
+ * net, and each has its own concept so it gets its own Buk item code.
+ */
+
+export const DEDUCTION_PREFIX = 'Reintegro por mayor valor pagado';
+
+/**
+ * @param {string} concept Retro concept, e.g. 'Retroactivo sueldo'
+ * @returns {string} e.g. 'Reintegro por mayor valor pagado - sueldo'
+ */
+export const toDeductionConcept = (concept) => `${DEDUCTION_PREFIX} - ${concept.replace(/^Retroactivo\s+/, '')}`;
+
+/**
+ * @param {RetroDetail} det
+ * @returns {boolean}
+ */
+export const isDeduction = (det) => det.VALOR_A_PAGAR < 0;
+
+/**
+ * Part of a reintegro line the cap left for later payments.
+ * @typedef {Object} PendingDeduction
+ * @property {string} PERIODO
+ * @property {string} CONCEPTO Reintegro concept
+ * @property {number} amount Still to deduct, as a positive amount
+ */
+
+/**
+ * Reintegros of one employee and how much of them the cap let through.
+ * @typedef {Object} DeductionSummary
+ * @property {number} total Excess paid, as a positive amount
+ * @property {number} deducted Part deducted in this run
+ * @property {number} deferred Part left for later payments because of the cap
+ * @property {number|null} limit Most that could be deducted, null without a cap
+ * @property {PendingDeduction[]} pending Deferred part by line, adds up to `deferred`
+ */
+
+/**
+ * What the employee is paid in a regular period at the latest new salary.
+ * @param {PeriodTotal[]} periodTotals
+ * @param {PayrollType} payrollType
+ * @returns {number}
+ */
+export const getNextPayment = (periodTotals, payrollType) => {
+  const last = periodTotals.reduce((latest, total) => (!latest || total.start > latest.start ? total : latest), null);
+  if (!last) return 0;
+  return Math.round(last.newSalary * (payrollType === 'quincenal' ? 15 : 30) / 30);
+};
+
+/**
+ * Keeps an employee's reintegros within a percentage of the next payment.
+ * They are deducted in order until the limit is reached; the line that
+ * crosses it is cut and the rest are left out, to be deducted later.
+ * @param {RetroDetail[]} details All lines of one employee
+ * @param {PeriodTotal[]} periodTotals
+ * @param {PayrollType} payrollType
+ * @param {number} [capPercent] Share of the next payment, 0 or empty for no cap
+ * @returns {{details: RetroDetail[], deductions: DeductionSummary|null}} Deductions is
+ *   null when the employee has no reintegros
+ */
+export const settleDeductions = (details, periodTotals, payrollType, capPercent) => {
+  const total = -details.filter(isDeduction).reduce((sum, det) => sum + det.VALOR_A_PAGAR, 0);
+  if (total === 0) return { details, deductions: null };
+
+  const percent = parseFloat(capPercent) || 0;
+  if (percent <= 0) return { details, deductions: { total, deducted: total, deferred: 0, limit: null, pending: [] } };
+
+  const limit = Math.round(getNextPayment(periodTotals, payrollType) * percent / 100);
+  let available = limit;
+  const pending = [];
+  const kept = details.flatMap(det => {
+    if (!isDeduction(det)) return [det];
+    const amount = -det.VALOR_A_PAGAR;
+    const applied = Math.min(amount, available);
+    available -= applied;
+    if (applied < amount) pending.push({ PERIODO: det.PERIODO, CONCEPTO: det.CONCEPTO, amount: amount - applied });
+
+    if (applied === 0) return [];
+    if (applied === amount) return [det];
+    return [{
+      ...det,
+      VALOR_A_PAGAR: -applied,
+      DETALLE: `${det.DETALLE} - limitado al ${percent}% del próximo pago`
+    }];
+  });
+
+  const deducted = Math.min(total, limit);
+  return { details: kept, deductions: { total, deducted, deferred: total - deducted, limit, pending } };
+};
+
+/**
+ * Reintegros left for later payments across a run, one row per line.
+ * @param {Array<{CEDULA: string|number, NOMBRE: string, CODIGO_FICHA_COLABORADOR?: string|number,
+ *   deductions: DeductionSummary|null}>} reviews
+ * @returns {Array<PendingDeduction & {CEDULA: string|number, NOMBRE: string, CODIGO_FICHA_COLABORADOR?: string|number}>}
+ */
+export const getPendingDeductions = (reviews) => reviews.flatMap(({ CEDULA, NOMBRE, CODIGO_FICHA_COLABORADOR, deductions }) =>
+  (deductions ? deductions.pending.map(line => ({ CEDULA, NOMBRE, CODIGO_FICHA_COLABORADOR, ...line })) : [])
+);
+
+/**
+ * Warning for the analyst about an employee's reintegros.
+ * @param {DeductionSummary} deductions
+ * @returns {string}
+ */
+export const describeDeductions = (deductions) => {
+  const text = `Se pagó $ ${deductions.total.toLocaleString()} de más; se registra como reintegro por mayor valor pagado.`;
+  if (deductions.deferred === 0) return text;
+  return `${text} Con el tope de $ ${deductions.limit.toLocaleString()} se descuentan $ ${deductions.deducted.toLocaleString()} `
+    + `y quedan $ ${deductions.deferred.toLocaleString()} por descontar en pagos siguientes.`;
+};
@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import { getNextPayment, getPendingDeductions, isDeduction, settleDeductions, toDeductionConcept } from './deductions';
+
+const periodTotals = [
+  { start: '2025-01-01', newSalary: 1900000 },
+  { start: '2025-02-01', newSalary: 2000000 }
+];
+
+const reintegro = (PERIODO, value) => ({
+  CEDULA: 1,
+  NOMBRE: 'Beto',
+  PERIODO,
+  CONCEPTO: toDeductionConcept('Retroactivo sueldo'),
+  DETALLE: `Periodo ${PERIODO}`,
+  VALOR_A_PAGAR: value
+});
+const payment = { CEDULA: 1, NOMBRE: 'Beto', PERIODO: '01/01/2025', CONCEPTO: 'Retroactivo HE diurna', VALOR_A_PAGAR: 5000 };
+
+describe('deductions', () => {
+  it('names reintegros after the concept they return', () => {
+    expect(toDeductionConcept('Retroactivo sueldo')).toBe('Reintegro por mayor valor pagado - sueldo');
+    expect(isDeduction(reintegro('01/01/2025', -1))).toBe(true);
+    expect(isDeduction(payment)).toBe(false);
+  });
+
+  it('takes the next payment from the latest period', () => {
+    expect(getNextPayment(periodTotals, 'mensual')).toBe(2000000);
+    expect(getNextPayment(periodTotals, 'quincenal')).toBe(1000000);
+    expect(getNextPayment([], 'mensual')).toBe(0);
+  });
+});
+
+describe('settleDeductions', () => {
+  const details = [payment, reintegro('01/01/2025', -150000), reintegro('01/02/2025', -100000)];
+
+  it('returns null deductions when there are no reintegros', () => {
+    expect(settleDeductions([payment], periodTotals, 'mensual', 10)).toEqual({ details: [payment], deductions: null });
+  });
+
+  it('keeps every reintegro without a cap', () => {
+    const settled = settleDeductions(details, periodTotals, 'mensual', '');
+    expect(settled.details).toBe(details);
+    expect(settled.deductions).toEqual({ total: 250000, deducted: 250000, deferred: 0, limit: null, pending: [] });
+  });
+
+  it('cuts reintegros at the cap and keeps what is left as pending lines', () => {
+    // 10% of 2.000.000
+    const settled = settleDeductions(details, periodTotals, 'mensual', 10);
+    expect(settled.details.map(det => det.VALOR_A_PAGAR)).toEqual([5000, -150000, -50000]);
+    expect(settled.details[2].DETALLE).toBe('Periodo 01/02/2025 - limitado al 10% del próximo pago');
+    expect(settled.deductions).toMatchObject({ total: 250000, deducted: 200000, deferred: 50000, limit: 200000 });
+    expect(settled.deductions.pending).toEqual([
+      { PERIODO: '01/02/2025', CONCEPTO: 'Reintegro por mayor valor pagado - sueldo', amount: 50000 }
+    ]);
+  });
+
+  it('leaves whole lines pending once the cap is used up', () => {
+    const settled = settleDeductions(details, periodTotals, 'mensual', 5);
+    expect(settled.details.map(det => det.VALOR_A_PAGAR)).toEqual([5000, -100000]);
+    expect(settled.deductions.pending.map(line => line.amount)).toEqual([50000, 100000]);
+  });
+});
+
+describe('getPendingDeductions', () => {
+  it('lists pending lines with the employee', () => {
+    const { deductions } = settleDeductions([reintegro('01/01/2025', -250000)], periodTotals, 'mensual', 10);
+    expect(getPendingDeductions([{ CEDULA: 1, NOMBRE: 'Beto', deductions }, { CEDULA: 2, NOMBRE: 'Ana', deductions: null }]))
+      .toEqual([{ CEDULA: 1, NOMBRE: 'Beto', CODIGO_FICHA_COLABORADOR: undefined, PERIODO: '01/01/2025', CONCEPTO: 'Reintegro por mayor valor pagado - sueldo', amount: 50000 }]);
+  });
+});
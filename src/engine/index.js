@@ -0,0 +1,59 @@
+/**
+ * Retro calculation engine. Pure functions with no React or DOM
+ * dependencies, so the UI and any other consumer share one implementation.
+ */
+
+export { OT_CONCEPTS, calculateRetroactive, finishEmployeeLines } from './calculate';
+export { REPORT_CONCEPTS, buildEmployeeReview, summarizeRun } from './review';
+export {
+  DEDUCTION_PREFIX,
+  toDeductionConcept,
+  isDeduction,
+  getNextPayment,
+  settleDeductions,
+  getPendingDeductions,
+  describeDeductions
+} from './deductions';
+export {
+  ROUNDING_MODES,
+  DEFAULT_ROUNDING,
+  roundAmount,
+  getLineRounding,
+  roundsPerEmployee,
+  roundDetails
+} from './rounding';
+export { RECONCILIATION_STATUSES, reconcilePayments, applyPayments } from './reconcile';
+export { getAuxilioDifference } from './auxilio';
+export {
+  INCREASE_MODES,
+  parseBandTable,
+  validateIncrease,
+  deriveNewSalary
+} from './salaryIncrease';
+export { buildSalaryTimeline, getSalarySegments, describeSalaryStep } from './salaryTimeline';
+export { ABSENCE_TYPES, getDefaultAbsenceRates, summarizeAbsences } from './absences';
+export { calculatePrestaciones, buildPrestacionesDetails } from './prestaciones';
+export { CONTRIBUTION_RATES, ARL_RATES, calculateContributions, getSolidarityRate } from './contributions';
+export {
+  UVT_TABLE,
+  WITHHOLDING_BRACKETS,
+  EXEMPT_INCOME_RATE,
+  EXEMPT_INCOME_CAP_UVT,
+  getUvt,
+  calculateMonthlyWithholding,
+  getTaxableRetro,
+  estimateWithholding
+} from './withholding';
+export { MINIMUM_WAGE_TABLE, AUXILIO_LIMIT_SMMLV, getMinimumWage, isAuxilioEligible } from './minimumWage';
+export { FACTORS, LEGAL_RULES, getRuleForDate, getRuleSegments } from './rules';
+export { getPeriods, getPeriodForDate } from './periods';
+export {
+  getDaysInMonth,
+  toISODate,
+  formatReportDate,
+  parseDateParts,
+  parseCellDate,
+  excelSerialToDate,
+  countDays,
+  addDays
+} from './dates';
@@ -0,0 +1,39 @@
+/**
+ * Yearly minimum wage (SMMLV) and auxilio de transporte as set by each
+ * year's decrees.
+ */
+export const MINIMUM_WAGE_TABLE = [
+  { year: 2019, smmlv: 828116, auxilio: 97032 },
+  { year: 2020, smmlv: 877803, auxilio: 102854 },
+  { year: 2021, smmlv: 908526, auxilio: 106454 },
+  { year: 2022, smmlv: 1000000, auxilio: 117172 },
+  { year: 2023, smmlv: 1160000, auxilio: 140606 },
+  { year: 2024, smmlv: 1300000, auxilio: 162000 },
+  { year: 2025, smmlv: 1423500, auxilio: 200000 },
+  { year: 2026, smmlv: 1750905, auxilio: 249095 }
+];
+
+// Employees earning up to 2 SMMLV are entitled to the auxilio de transporte
+export const AUXILIO_LIMIT_SMMLV = 2;
+
+/**
+ * Returns the minimum wage entry for a year. Years outside the table use
+ * the closest year available.
+ * @param {number} year
+ * @param {typeof MINIMUM_WAGE_TABLE} [table]
+ */
+export const getMinimumWage = (year, table = MINIMUM_WAGE_TABLE) => {
+  let current = table[0];
+  for (const entry of table) {
+    if (entry.year <= year) current = entry;
+  }
+  return current;
+};
+
+/**
+ * @param {number} salary Monthly salary
+ * @param {number} year
+ * @returns {boolean} Whether the salary is entitled to auxilio that year
+ */
+export const isAuxilioEligible = (salary, year) =>
+  salary <= AUXILIO_LIMIT_SMMLV * getMinimumWage(year).smmlv;
@@ -0,0 +1,103 @@
+import { getDaysInMonth, parseDateParts, toISODate } from './dates';
+
+/** @typedef {import('./types').Period} Period */
+/** @typedef {import('./types').PayrollType} PayrollType */
+
+// Day of the month on a 30-day commercial basis: the last day always counts as 30
+const commercialDay = (day, daysInMonth) => (day === daysInMonth ? 30 : Math.min(day, 30));
+
+/**
+ * Returns an array of closed periods between two dates based on payroll type.
+ * Supports YYYY-MM-DD and DD/MM/YYYY input formats.
+ *
+ * By default months/quincenas not fully covered by the range are skipped.
+ * With `prorate`, they are kept and clipped to the range, and their `days`
+ * count only the commercial days inside it.
+ * @param {string} startStr
+ * @param {string} endStr
+ * @param {PayrollType} type
+ * @param {Object} [options]
+ * @param {boolean} [options.prorate] Keep partial periods
+ * @returns {Period[]} Array of period objects
+ */
+export const getPeriods = (startStr, endStr, type, options = {}) => {
+  const { prorate = false } = options;
+  if (!startStr || !endStr) return [];
+
+  const [sY, sM, sD] = parseDateParts(startStr);
+  const [eY, eM, eD] = parseDateParts(endStr);
+
+  // Validate parsing
+  if (!sY || !eY || isNaN(sY) || isNaN(eY)) return [];
+
+  // Normalize months to 0-indexed
+  const startMonthIndex = sM - 1;
+  const endMonthIndex = eM - 1;
+
+  const periods = [];
+  let currentY = sY;
+  let currentM = startMonthIndex;
+
+  // Iterate through each month involved
+  while (currentY < eY || (currentY === eY && currentM <= endMonthIndex)) {
+    const daysInMonth = getDaysInMonth(currentY, currentM);
+    const fmt = (d) => toISODate(currentY, currentM, d);
+    const isStartMonth = currentY === sY && currentM === startMonthIndex;
+    const isEndMonth = currentY === eY && currentM === endMonthIndex;
+
+    // Adds the payroll period [from, to] of this month, clipped to the range
+    const addPeriod = (from, to) => {
+      const start = isStartMonth ? Math.max(from, sD) : from;
+      const end = isEndMonth ? Math.min(to, eD) : to;
+      if (start > end) return;
+
+      const partial = start !== from || end !== to;
+      if (partial && !prorate) return;
+
+      periods.push({
+        start: fmt(start),
+        end: fmt(end),
+        periodStart: fmt(from),
+        days: commercialDay(end, daysInMonth) - commercialDay(start, daysInMonth) + 1,
+        partial
+      });
+    };
+
+    if (type === 'mensual') {
+      // Rule: Must cover FULL month (1st to Last Day) unless prorating
+      addPeriod(1, daysInMonth);
+    } else { // quincenal
+      // Q1: 1st to 15th
+      addPeriod(1, 15);
+      // Q2: 16th to Last Day
+      addPeriod(16, daysInMonth);
+    }
+
+    // Advance
+    currentM++;
+    if (currentM > 11) {
+      currentM = 0;
+      currentY++;
+    }
+  }
+
+  return periods;
+};
+
+/**
+ * Returns the payroll period (month or quincena) that contains a date.
+ * Used by the mass upload, where each row carries a single period date.
+ * @param {Date} date
+ * @param {PayrollType} type
+ * @returns {Period}
+ */
+export const getPeriodForDate = (date, type) => {
+  const year = date.getFullYear();
+  const month = date.getMonth();
+  const daysInMonth = getDaysInMonth(year, month);
+
+  // Reuse getPeriods over the whole month and keep the one holding the date
+  const periods = getPeriods(toISODate(year, month, 1), toISODate(year, month, daysInMonth), type);
+  const iso = toISODate(year, month, date.getDate());
+  return periods.find(p => p.start <= iso && iso <= p.end);
+};
@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+import { getPeriodForDate, getPeriods } from './periods';
+
+describe('getPeriods', () => {
+  it('returns full months for mensual payroll', () => {
+    const periods = getPeriods('2025-01-01', '2025-03-31', 'mensual');
+    expect(periods.map(p => [p.start, p.end, p.days])).toEqual([
+      ['2025-01-01', '2025-01-31', 30],
+      ['2025-02-01', '2025-02-28', 30],
+      ['2025-03-01', '2025-03-31', 30]
+    ]);
+  });
+
+  it('returns 1–15 and 16–end quincenas for quincenal payroll', () => {
+    const periods = getPeriods('2025-01-01', '2025-01-31', 'quincenal');
+    expect(periods.map(p => [p.start, p.end, p.days])).toEqual([
+      ['2025-01-01', '2025-01-15', 15],
+      ['2025-01-16', '2025-01-31', 15]
+    ]);
+  });
+
+  it('counts February as 30 commercial days, leap year or not', () => {
+    const leap = getPeriods('2024-02-01', '2024-02-29', 'quincenal');
+    expect(leap.map(p => [p.end, p.days])).toEqual([['2024-02-15', 15], ['2024-02-29', 15]]);
+    expect(getPeriods('2025-02-01', '2025-02-28', 'mensual')[0].days).toBe(30);
+  });
+
+  it('does not count the 29th as month end in a leap February', () => {
+    expect(getPeriods('2024-02-01', '2024-02-28', 'mensual')).toEqual([]);
+  });
+
+  it('skips periods the range only partly covers', () => {
+    expect(getPeriods('2025-01-10', '2025-03-20', 'mensual').map(p => p.start)).toEqual(['2025-02-01']);
+    expect(getPeriods('2025-01-10', '2025-01-31', 'quincenal').map(p => p.start)).toEqual(['2025-01-16']);
+  });
+
+  it('clips partial periods to the range when prorating', () => {
+    const periods = getPeriods('2025-01-10', '2025-02-28', 'mensual', { prorate: true });
+    expect(periods[0]).toEqual({ start: '2025-01-10', end: '2025-01-31', periodStart: '2025-01-01', days: 21, partial: true });
+    expect(periods[1].partial).toBe(false);
+  });
+
+  it('accepts DD/MM/YYYY bounds and crosses year ends', () => {
+    const periods = getPeriods('01/12/2024', '31/01/2025', 'mensual');
+    expect(periods.map(p => p.start)).toEqual(['2024-12-01', '2025-01-01']);
+  });
+
+  it('returns nothing for unreadable bounds', () => {
+    expect(getPeriods('', '2025-01-31', 'mensual')).toEqual([]);
+    expect(getPeriods('enero', '2025-01-31', 'mensual')).toEqual([]);
+  });
+});
+
+describe('getPeriodForDate', () => {
+  it('finds the month holding a date', () => {
+    expect(getPeriodForDate(new Date(2025, 1, 14), 'mensual')).toMatchObject({ start: '2025-02-01', end: '2025-02-28' });
+  });
+
+  it('finds the quincena holding a date', () => {
+    expect(getPeriodForDate(new Date(2025, 0, 15), 'quincenal').start).toBe('2025-01-01');
+    expect(getPeriodForDate(new Date(2025, 0, 16), 'quincenal').start).toBe('2025-01-16');
+    expect(getPeriodForDate(new Date(2024, 1, 29), 'quincenal')).toMatchObject({ start: '2024-02-16', end: '2024-02-29' });
+  });
+});
@@ -0,0 +1,83 @@
+import { roundAmount } from './rounding';
+
+/** @typedef {import('./types').PeriodTotal} PeriodTotal */
+/** @typedef {import('./types').RetroDetail} RetroDetail */
+
+// Interest on cesantías: 12% per year, prorated by days
+const INTERESES_CESANTIAS_RATE = 0.12;
+
+/**
+ * Differences in prestaciones sociales caused by a retro, grouped by the
+ * accrual period of each benefit: prima by semester (Jan–Jun, Jul–Dec),
+ * cesantías, intereses and vacaciones by calendar year.
+ *
+ * Over E pesos of extra earnings in D days, the average monthly salary
+ * grows by 30·E/D, so:
+ *   prima      = avg × D / 360 = E / 12
+ *   cesantías  = avg × D / 360 = E / 12
+ *   intereses  = cesantías × 12% × D / 360
+ *   vacaciones = salary × D / 720 = S / 24  (ordinary salary only, no overtime)
+ * The auxilio de transporte counts towards prima and cesantías only.
+ * @param {PeriodTotal[]} periodTotals
+ * @returns {Array<{concept: string, group: string, days: number, base: number, value: number}>}
+ */
+export const calculatePrestaciones = (periodTotals) => {
+  const semesters = new Map();
+  const years = new Map();
+
+  const accumulate = (map, key, total) => {
+    const acc = map.get(key) || { days: 0, earnings: 0, salary: 0 };
+    acc.days += total.days;
+    acc.earnings += total.salary + total.overtime + (total.transport || 0);
+    acc.salary += total.salary;
+    map.set(key, acc);
+  };
+
+  periodTotals.forEach(total => {
+    const [year, month] = total.start.split('-').map(Number);
+    accumulate(semesters, `Semestre ${month <= 6 ? 1 : 2} ${year}`, total);
+    accumulate(years, `Año ${year}`, total);
+  });
+
+  const lines = [];
+
+  semesters.forEach((acc, group) => {
+    lines.push({ concept: 'Retroactivo prima de servicios', group, days: acc.days, base: acc.earnings, value: acc.earnings / 12 });
+  });
+
+  years.forEach((acc, group) => {
+    const cesantias = acc.earnings / 12;
+    lines.push({ concept: 'Retroactivo cesantías', group, days: acc.days, base: acc.earnings, value: cesantias });
+    lines.push({
+      concept: 'Retroactivo intereses sobre cesantías',
+      group,
+      days: acc.days,
+      base: cesantias,
+      value: cesantias * INTERESES_CESANTIAS_RATE * acc.days / 360
+    });
+    lines.push({ concept: 'Retroactivo vacaciones', group, days: acc.days, base: acc.salary, value: acc.salary / 24 });
+  });
+
+  return lines;
+};
+
+/**
+ * Prestaciones differences as detail lines for one employee.
+ * @param {{CEDULA: string|number, NOMBRE: string}} employee
+ * @param {PeriodTotal[]} periodTotals
+ * @param {import('./rounding').RoundingPolicy['mode']} [rounding]
+ * @returns {RetroDetail[]}
+ */
+export const buildPrestacionesDetails = (employee, periodTotals, rounding = 'peso') =>
+  calculatePrestaciones(periodTotals)
+    .map(line => ({ ...line, value: roundAmount(line.value, rounding) }))
+    .filter(line => line.value > 0)
+    .map(line => ({
+      CEDULA: employee.CEDULA,
+      NOMBRE: employee.NOMBRE,
+      PERIODO: line.group,
+      CONCEPTO: line.concept,
+      DETALLE: `${line.group} (${line.days} días)`,
+      VALOR_A_PAGAR: line.value,
+      REGLA: ''
+    }));
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { buildPrestacionesDetails, calculatePrestaciones } from './prestaciones';
+
+const month = (start, salary, overtime = 0, transport = 0) => ({ start, days: 30, salary, overtime, transport });
+
+describe('calculatePrestaciones', () => {
+  it('groups prima by semester and the rest by year', () => {
+    const lines = calculatePrestaciones([
+      month('2024-12-01', 120000),
+      month('2025-06-01', 120000, 24000, 12000),
+      month('2025-07-01', 120000)
+    ]);
+    const value = (concept, group) => lines.find(l => l.concept === concept && l.group === group).value;
+
+    expect(value('Retroactivo prima de servicios', 'Semestre 2 2024')).toBe(10000);
+    expect(value('Retroactivo prima de servicios', 'Semestre 1 2025')).toBe(13000);
+    expect(value('Retroactivo prima de servicios', 'Semestre 2 2025')).toBe(10000);
+    // (120.000 + 24.000 + 12.000 + 120.000) / 12
+    expect(value('Retroactivo cesantías', 'Año 2025')).toBe(23000);
+    expect(value('Retroactivo intereses sobre cesantías', 'Año 2025')).toBeCloseTo(23000 * 0.12 * 60 / 360);
+    // Ordinary salary only: 240.000 / 24
+    expect(value('Retroactivo vacaciones', 'Año 2025')).toBe(10000);
+  });
+});
+
+describe('buildPrestacionesDetails', () => {
+  it('rounds each line and drops the ones that round to zero', () => {
+    const details = buildPrestacionesDetails({ CEDULA: 1, NOMBRE: 'Ana' }, [{ start: '2025-01-01', days: 15, salary: 6, overtime: 0 }]);
+    expect(details.map(det => [det.CONCEPTO, det.PERIODO, det.VALOR_A_PAGAR])).toEqual([
+      ['Retroactivo prima de servicios', 'Semestre 1 2025', 1],
+      ['Retroactivo cesantías', 'Año 2025', 1]
+    ]);
+    expect(details[0].DETALLE).toBe('Semestre 1 2025 (15 días)');
+  });
+});
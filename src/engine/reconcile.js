@@ -0,0 +1,116 @@
+import { isDeduction } from './deductions';
+
+/** @typedef {import('./types').RetroDetail} RetroDetail */
+
+/**
+ * A retro amount already paid, read from a "pagado" report.
+ * @typedef {Object} PaidRecord
+ * @property {string|number} CEDULA
+ * @property {string} PERIODO Payroll period start, DD/MM/YYYY
+ * @property {string} CONCEPTO
+ * @property {number} VALOR
+ */
+
+/**
+ * Calculated against paid for one cédula, period and concept.
+ * @typedef {Object} ReconciliationLine
+ * @property {string|number} CEDULA
+ * @property {string} NOMBRE
+ * @property {string} PERIODO
+ * @property {string} CONCEPTO
+ * @property {number} CALCULADO
+ * @property {number} PAGADO
+ * @property {number} DIFERENCIA Calculated minus paid; negative when overpaid
+ * @property {'Pendiente'|'Sin pagar'|'Pagado'|'Sobrepago'|'Sin cálculo'} ESTADO
+ *   'Sin pagar' has no payment at all; 'Sin cálculo' was paid but not calculated
+ */
+
+export const RECONCILIATION_STATUSES = ['Pendiente', 'Sin pagar', 'Pagado', 'Sobrepago', 'Sin cálculo'];
+
+const keyOf = (item) => `${String(item.CEDULA).trim()}|${item.PERIODO ?? ''}|${item.CONCEPTO}`;
+
+const statusOf = (calculated, paid) => {
+  if (calculated === 0) return 'Sin cálculo';
+  if (paid === 0) return 'Sin pagar';
+  if (paid < calculated) return 'Pendiente';
+  return paid === calculated ? 'Pagado' : 'Sobrepago';
+};
+
+/**
+ * Joins the calculated lines with the amounts already paid by cédula,
+ * period and concept. Reintegros aren't in a "pagado" report and are left
+ * out.
+ * @param {RetroDetail[]} details
+ * @param {PaidRecord[]} paid
+ * @returns {{lines: ReconciliationLine[], totals: {calculated: number, paid: number, outstanding: number, overpaid: number}}}
+ *   `outstanding` adds up what is still owed; `overpaid` what was paid in excess
+ */
+export const reconcilePayments = (details, paid) => {
+  const lines = new Map();
+  const lineFor = (item) => {
+    const key = keyOf(item);
+    if (!lines.has(key)) {
+      lines.set(key, {
+        CEDULA: item.CEDULA,
+        NOMBRE: item.NOMBRE ?? '',
+        PERIODO: item.PERIODO ?? '',
+        CONCEPTO: item.CONCEPTO,
+        CALCULADO: 0,
+        PAGADO: 0
+      });
+    }
+    return lines.get(key);
+  };
+
+  details.filter(det => !isDeduction(det)).forEach(det => { lineFor(det).CALCULADO += det.VALOR_A_PAGAR; });
+  paid.forEach(record => { lineFor(record).PAGADO += record.VALOR; });
+
+  const result = [...lines.values()].map(line => ({
+    ...line,
+    DIFERENCIA: line.CALCULADO - line.PAGADO,
+    ESTADO: statusOf(line.CALCULADO, line.PAGADO)
+  }));
+
+  return {
+    lines: result,
+    totals: {
+      calculated: result.reduce((sum, line) => sum + line.CALCULADO, 0),
+      paid: result.reduce((sum, line) => sum + line.PAGADO, 0),
+      outstanding: result.reduce((sum, line) => sum + Math.max(line.DIFERENCIA, 0), 0),
+      overpaid: result.reduce((sum, line) => sum + Math.max(-line.DIFERENCIA, 0), 0)
+    }
+  };
+};
+
+/**
+ * Discounts the amounts already paid from the detail lines, in order, and
+ * keeps only what is still owed. Overpayments aren't carried to other
+ * lines; reintegros pass through as they are.
+ * @param {RetroDetail[]} details
+ * @param {PaidRecord[]} paid
+ * @returns {RetroDetail[]}
+ */
+export const applyPayments = (details, paid) => {
+  const remaining = new Map();
+  paid.forEach(record => {
+    const key = keyOf(record);
+    remaining.set(key, (remaining.get(key) || 0) + record.VALOR);
+  });
+
+  return details.flatMap(det => {
+    if (isDeduction(det)) return [det];
+    const key = keyOf(det);
+    const available = Math.max(remaining.get(key) || 0, 0);
+    const applied = Math.min(available, det.VALOR_A_PAGAR);
+    remaining.set(key, available - applied);
+
+    const outstanding = det.VALOR_A_PAGAR - applied;
+    if (outstanding <= 0) return [];
+    if (applied === 0) return [det];
+    return [{
+      ...det,
+      VALOR_A_PAGAR: outstanding,
+      DETALLE: `${det.DETALLE} - descontado pago previo $ ${applied.toLocaleString()}`
+    }];
+  });
+};
@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { applyPayments, reconcilePayments } from './reconcile';
+
+const line = (CONCEPTO, PERIODO, VALOR_A_PAGAR) => ({ CEDULA: 1, NOMBRE: 'Ana', CONCEPTO, PERIODO, DETALLE: 'Periodo', VALOR_A_PAGAR });
+const paid = (CONCEPTO, PERIODO, VALOR) => ({ CEDULA: ' 1 ', CONCEPTO, PERIODO, VALOR });
+
+describe('reconcilePayments', () => {
+  it('joins calculated and paid amounts by cédula, period and concept', () => {
+    const { lines, totals } = reconcilePayments(
+      [
+        line('Retroactivo sueldo', '01/01/2025', 100000),
+        line('Retroactivo sueldo', '01/02/2025', 100000),
+        line('Retroactivo HE diurna', '01/01/2025', 5000),
+        line('Reintegro por mayor valor pagado - sueldo', '01/03/2025', -20000)
+      ],
+      [
+        paid('Retroactivo sueldo', '01/01/2025', 100000),
+        paid('Retroactivo sueldo', '01/02/2025', 60000),
+        paid('Retroactivo HE diurna', '01/01/2025', 6000),
+        paid('Retroactivo sueldo', '01/04/2025', 1000)
+      ]
+    );
+    expect(lines.map(l => [l.PERIODO, l.CONCEPTO, l.DIFERENCIA, l.ESTADO])).toEqual([
+      ['01/01/2025', 'Retroactivo sueldo', 0, 'Pagado'],
+      ['01/02/2025', 'Retroactivo sueldo', 40000, 'Pendiente'],
+      ['01/01/2025', 'Retroactivo HE diurna', -1000, 'Sobrepago'],
+      ['01/04/2025', 'Retroactivo sueldo', -1000, 'Sin cálculo']
+    ]);
+    expect(totals).toEqual({ calculated: 205000, paid: 167000, outstanding: 40000, overpaid: 2000 });
+  });
+});
+
+describe('applyPayments', () => {
+  it('keeps only what is still owed and passes reintegros through', () => {
+    const reintegro = line('Reintegro por mayor valor pagado - sueldo', '01/03/2025', -20000);
+    const result = applyPayments(
+      [line('Retroactivo sueldo', '01/01/2025', 100000), line('Retroactivo sueldo', '01/02/2025', 100000), reintegro],
+      [paid('Retroactivo sueldo', '01/01/2025', 150000), paid('Retroactivo sueldo', '01/02/2025', 30000)]
+    );
+    expect(result.map(det => det.VALOR_A_PAGAR)).toEqual([70000, -20000]);
+    expect(result[0].DETALLE).toMatch(/^Periodo - descontado pago previo \$ 30[.,]000$/);
+    expect(result[1]).toBe(reintegro);
+  });
+});
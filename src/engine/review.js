@@ -0,0 +1,167 @@
+import { OT_CONCEPTS } from './calculate';
+import { roundAmount } from './rounding';
+
+/** @typedef {import('./types').RetroDetail} RetroDetail */
+/** @typedef {import('./types').RetroSummary} RetroSummary */
+/** @typedef {import('./types').PeriodTotal} PeriodTotal */
+
+/** Column of the Buk "reporte de pagos" (and of the per-period summary) that holds each concept. */
+export const REPORT_CONCEPTS = [
+  { column: 'Devengos Prestacionales - Salario', concept: 'Retroactivo sueldo' },
+  ...OT_CONCEPTS.map(concept => ({ column: concept.reportValKey, concept: concept.label })),
+  { column: 'Devengos No Salariales - Auxilio de Transporte', concept: 'Retroactivo auxilio de transporte' }
+];
+
+/** @typedef {import('./deductions').DeductionSummary} DeductionSummary */
+
+/**
+ * One row of the employee drill-down. Prestaciones groups ('Semestre 1
+ * 2025', ...) have no salaries of their own and leave them null.
+ * @typedef {Object} ReviewPeriod
+ * @property {string} PERIODO Period start (DD/MM/YYYY) or prestaciones group
+ * @property {number|null} oldSalary
+ * @property {number|null} newSalary
+ * @property {number|null} days Commercial days of the payroll period
+ * @property {number|null} difference Monthly salary difference
+ * @property {number|null} hourlyDifference Hourly difference the overtime was paid on
+ * @property {string} rule Legal rule version(s) of the period
+ * @property {Object<string, number>} values Retro by concept
+ * @property {number} total
+ */
+
+/**
+ * Retro of one employee grouped for review.
+ * @typedef {Object} EmployeeReview
+ * @property {string|number} CEDULA
+ * @property {string} NOMBRE
+ * @property {string|number} [CODIGO_FICHA_COLABORADOR]
+ * @property {string[]} concepts Concepts with some value, matrix column order
+ * @property {ReviewPeriod[]} periods Payroll periods by date, then prestaciones groups
+ * @property {number} total Net of reintegros
+ * @property {DeductionSummary|null} deductions Reintegros por mayor valor pagado, if any
+ */
+
+/**
+ * Builds the period × concept matrix of one employee. Payroll periods and
+ * their salaries come from the per-period summaries and totals of
+ * calculateRetroactive (paired by index); the values come from the detail
+ * lines, so the matrix shows what is exported after rounding and caps.
+ * Lines outside a payroll period (prestaciones) get a row per accrual group.
+ * @param {{CEDULA: string|number, NOMBRE: string, CODIGO_FICHA_COLABORADOR?: string|number}} employee
+ * @param {RetroSummary[]} summaries
+ * @param {PeriodTotal[]} periodTotals
+ * @param {RetroDetail[]} details All detail lines of the employee
+ * @param {Object} [options]
+ * @param {DeductionSummary|null} [options.deductions] From settleDeductions
+ * @returns {EmployeeReview}
+ */
+export const buildEmployeeReview = (employee, summaries, periodTotals, details, options = {}) => {
+  const { deductions = null } = options;
+  const payroll = summaries
+    .map((summary, index) => ({ summary, totals: periodTotals[index] }))
+    .sort((a, b) => a.totals.start.localeCompare(b.totals.start))
+    .map(({ summary, totals }) => ({
+      PERIODO: summary['Comprobante - Período'],
+      oldSalary: totals.oldSalary,
+      newSalary: totals.newSalary,
+      days: totals.days,
+      difference: totals.newSalary - totals.oldSalary,
+      hourlyDifference: totals.hourlyDifference,
+      rule: summary['Regla legal'] || '',
+      values: {}
+    }));
+
+  const rowsByPeriod = new Map(payroll.map(row => [row.PERIODO, row]));
+  const groups = new Map();
+  details.forEach(det => {
+    const row = rowsByPeriod.get(det.PERIODO) || groups.get(det.PERIODO) || {
+      PERIODO: det.PERIODO,
+      oldSalary: null,
+      newSalary: null,
+      days: null,
+      difference: null,
+      hourlyDifference: null,
+      rule: '',
+      values: {}
+    };
+    row.values[det.CONCEPTO] = (row.values[det.CONCEPTO] || 0) + det.VALOR_A_PAGAR;
+    if (!rowsByPeriod.has(det.PERIODO)) groups.set(det.PERIODO, row);
+  });
+
+  const periods = [...payroll, ...groups.values()].map(row => ({
+    ...row,
+    total: roundAmount(Object.values(row.values).reduce((sum, value) => sum + value, 0), 'total')
+  }));
+
+  const used = new Set(periods.flatMap(row => Object.keys(row.values)));
+  const known = REPORT_CONCEPTS.map(({ concept }) => concept);
+  const concepts = [...known.filter(concept => used.has(concept)), ...[...used].filter(concept => !known.includes(concept))];
+  const total = periods.reduce((sum, row) => sum + row.total, 0);
+
+  return {
+    CEDULA: employee.CEDULA,
+    NOMBRE: employee.NOMBRE,
+    CODIGO_FICHA_COLABORADOR: employee.CODIGO_FICHA_COLABORADOR,
+    concepts,
+    periods,
+    total: roundAmount(total, 'total'),
+    deductions
+  };
+};
+
+/**
+ * Totals of a whole run for the summary dashboard.
+ * @typedef {Object} RunSummary
+ * @property {number} total
+ * @property {number} headcount Employees with some retro
+ * @property {number} average Retro per employee
+ * @property {{CEDULA: string|number, NOMBRE: string, total: number}|null} max
+ *   Employee with the largest retro
+ * @property {Array<{concept: string, total: number}>} byConcept Largest first
+ * @property {Array<{period: string, total: number}>} byPeriod Payroll periods by
+ *   date, then prestaciones groups
+ */
+
+// DD/MM/YYYY periods sort by date; accrual groups ('Semestre 1 2025',
+// 'Año 2025') go after them, by year
+const periodSortKey = (period) => {
+  const match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(period);
+  if (match) return `0${match[3]}-${match[2]}-${match[1]}`;
+  const year = /(\d{4})$/.exec(period);
+  return `1${year ? year[1] : ''}${period}`;
+};
+
+/**
+ * Adds up the detail lines of a run by concept, by period and by employee.
+ * @param {RetroDetail[]} details
+ * @returns {RunSummary}
+ */
+export const summarizeRun = (details) => {
+  const byConcept = new Map();
+  const byPeriod = new Map();
+  const byEmployee = new Map();
+
+  details.forEach(det => {
+    byConcept.set(det.CONCEPTO, (byConcept.get(det.CONCEPTO) || 0) + det.VALOR_A_PAGAR);
+    const period = det.PERIODO || '';
+    byPeriod.set(period, (byPeriod.get(period) || 0) + det.VALOR_A_PAGAR);
+    const key = String(det.CEDULA);
+    const employee = byEmployee.get(key) || { CEDULA: det.CEDULA, NOMBRE: det.NOMBRE, total: 0 };
+    employee.total += det.VALOR_A_PAGAR;
+    byEmployee.set(key, employee);
+  });
+
+  const total = details.reduce((sum, det) => sum + det.VALOR_A_PAGAR, 0);
+  const employees = [...byEmployee.values()];
+
+  return {
+    total,
+    headcount: employees.length,
+    average: employees.length > 0 ? Math.round(total / employees.length) : 0,
+    max: employees.reduce((best, employee) => (!best || employee.total > best.total ? employee : best), null),
+    byConcept: [...byConcept].map(([concept, value]) => ({ concept, total: value })).sort((a, b) => b.total - a.total),
+    byPeriod: [...byPeriod]
+      .map(([period, value]) => ({ period, total: value }))
+      .sort((a, b) => periodSortKey(a.period).localeCompare(periodSortKey(b.period)))
+  };
+};
@@ -0,0 +1,95 @@
+/** @typedef {import('./types').RetroDetail} RetroDetail */
+
+/**
+ * How retro values are rounded.
+ *
+ * Rounding each period line on its own can leave the lines a few pesos off
+ * the rounded total of the employee. With `distribute`, lines are figured
+ * to the cent, the employee total is rounded once and the residual is
+ * spread over the lines with the largest rounding remainders, so the
+ * lines add up to that total exactly. In 'total' mode the employee total is
+ * rounded to the peso and its whole residual goes into a single line.
+ * @typedef {Object} RoundingPolicy
+ * @property {'peso'|'hundred'|'truncate'|'total'} mode 'total' figures the lines
+ *   to the cent and rounds only the employee total
+ * @property {boolean} [distribute] Make line-level rounding add up to the total
+ */
+
+export const ROUNDING_MODES = [
+  { value: 'peso', label: 'Al peso más cercano' },
+  { value: 'hundred', label: 'A la centena más cercana' },
+  { value: 'truncate', label: 'Truncar decimales' },
+  { value: 'total', label: 'Redondear solo el total' }
+];
+
+/** @type {RoundingPolicy} */
+export const DEFAULT_ROUNDING = { mode: 'peso', distribute: false };
+
+const stepOf = (mode) => (mode === 'hundred' ? 100 : 1);
+
+/**
+ * Rounds one amount. In 'total' mode lines are kept to the cent.
+ * @param {number} value
+ * @param {RoundingPolicy['mode']} [mode]
+ * @returns {number}
+ */
+export const roundAmount = (value, mode = 'peso') => {
+  if (mode === 'total') return Math.round(value * 100) / 100;
+  if (mode === 'truncate') return Math.trunc(value);
+  const step = stepOf(mode);
+  return Math.round(value / step) * step;
+};
+
+/**
+ * Rounding the calculation should apply to each line: to the cent when the
+ * lines are rounded later per employee (see roundDetails).
+ * @param {RoundingPolicy} [policy]
+ * @returns {RoundingPolicy['mode']}
+ */
+export const getLineRounding = (policy = DEFAULT_ROUNDING) =>
+  (policy.distribute ? 'total' : policy.mode);
+
+/**
+ * Whether the lines of an employee wait for all of them to be calculated.
+ * @param {RoundingPolicy} [policy]
+ * @returns {boolean}
+ */
+export const roundsPerEmployee = (policy = DEFAULT_ROUNDING) =>
+  Boolean(policy.distribute) || policy.mode === 'total';
+
+/**
+ * Rounds all the lines of one employee, figured to the cent, so that they
+ * add up to the employee total rounded the same way ('total' mode rounds
+ * it to the peso). Lines that end up at zero are dropped.
+ * @param {RetroDetail[]} details
+ * @param {RoundingPolicy} policy
+ * @returns {RetroDetail[]}
+ */
+export const roundDetails = (details, policy) => {
+  const lineMode = policy.mode === 'total' ? 'peso' : policy.mode;
+  const step = stepOf(lineMode);
+  const exactTotal = details.reduce((sum, det) => sum + det.VALOR_A_PAGAR, 0);
+  const lines = details.map(det => ({ det, value: roundAmount(det.VALOR_A_PAGAR, lineMode) }));
+
+  if (policy.distribute || policy.mode === 'total') {
+    let residual = Math.round((roundAmount(exactTotal, lineMode) - lines.reduce((sum, line) => sum + line.value, 0)) / step);
+    const direction = Math.sign(residual);
+
+    // Lines that lost the most to rounding take the residual first
+    const order = lines
+      .map((line, index) => ({ index, gap: (line.det.VALOR_A_PAGAR - line.value) * direction }))
+      .sort((a, b) => b.gap - a.gap);
+    if (policy.mode === 'total' && order.length > 0) {
+      lines[order[0].index].value += residual * step;
+      residual = 0;
+    }
+    for (let i = 0; residual !== 0 && order.length > 0; i = (i + 1) % order.length) {
+      lines[order[i].index].value += direction * step;
+      residual -= direction;
+    }
+  }
+
+  return lines
+    .filter(line => line.value !== 0)
+    .map(line => ({ ...line.det, VALOR_A_PAGAR: line.value }));
+};
@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { getLineRounding, roundAmount, roundDetails, roundsPerEmployee } from './rounding';
+
+const lines = (...values) => values.map((value, i) => ({ CONCEPTO: `C${i}`, VALOR_A_PAGAR: value }));
+const sum = (details) => details.reduce((total, det) => total + det.VALOR_A_PAGAR, 0);
+const values = (details) => details.map(det => det.VALOR_A_PAGAR);
+
+describe('roundAmount', () => {
+  it('rounds by mode', () => {
+    expect(roundAmount(1234.5)).toBe(1235);
+    expect(roundAmount(1250, 'hundred')).toBe(1300);
+    expect(roundAmount(1234.99, 'truncate')).toBe(1234);
+    expect(roundAmount(1234.567, 'total')).toBe(1234.57);
+  });
+});
+
+describe('rounding policy', () => {
+  it('figures lines to the cent when they are rounded per employee', () => {
+    expect(getLineRounding({ mode: 'peso', distribute: true })).toBe('total');
+    expect(getLineRounding({ mode: 'hundred' })).toBe('hundred');
+    expect(roundsPerEmployee({ mode: 'peso' })).toBe(false);
+    expect(roundsPerEmployee({ mode: 'peso', distribute: true })).toBe(true);
+    expect(roundsPerEmployee({ mode: 'total' })).toBe(true);
+  });
+});
+
+describe('roundDetails', () => {
+  it('rounds each line on its own without distribute', () => {
+    expect(values(roundDetails(lines(100.4, 100.4, 100.4), { mode: 'peso' }))).toEqual([100, 100, 100]);
+  });
+
+  it('spreads the residual so lines add up to the rounded total', () => {
+    const rounded = roundDetails(lines(100.4, 100.4, 100.45), { mode: 'peso', distribute: true });
+    expect(sum(rounded)).toBe(301);
+    expect(values(rounded)).toEqual([100, 100, 101]);
+  });
+
+  it('spreads the residual in hundreds', () => {
+    const rounded = roundDetails(lines(1040, 1040, 1040), { mode: 'hundred', distribute: true });
+    expect(sum(rounded)).toBe(3100);
+  });
+
+  it('leaves no cents in total mode and puts the residual in one line', () => {
+    const rounded = roundDetails(lines(100.4, 100.4, 100.45, 50.3), { mode: 'total' });
+    expect(values(rounded).every(Number.isInteger)).toBe(true);
+    expect(sum(rounded)).toBe(352);
+    expect(values(rounded)).toEqual([100, 100, 102, 50]);
+  });
+
+  it('drops lines that round to zero', () => {
+    expect(roundDetails(lines(0.3, 10), { mode: 'peso', distribute: true })).toHaveLength(1);
+  });
+});
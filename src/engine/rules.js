@@ -0,0 +1,136 @@
+import { addDays, countDays } from './dates';
+
+/** @typedef {import('./types').LegalRule} LegalRule */
+/** @typedef {import('./types').RuleSegment} RuleSegment */
+
+// Surcharge factors by stage of the Sunday/holiday recargo. HED 25%, HEN 75%
+// and RN 35% come from CST art. 168; the dominical/festivo recargo is 75%
+// (CST art. 179 as set by Ley 789 de 2002) and Ley 2466 de 2025 raises it to
+// 80% from 2025-07-01, 90% from 2026-07-01 and 100% from 2027-07-01.
+// Festive overtime adds both: HEFD = 1.25 + recargo, HEFN = 1.75 + recargo,
+// RNDF = 0.35 + recargo.
+const FACTORS_DOMINICAL_75 = { HED: 1.25, HEN: 1.75, HEFD: 2.00, HEFN: 2.50, RN: 0.35, RDDFH: 1.75, RNDF: 1.10 };
+const FACTORS_DOMINICAL_80 = { HED: 1.25, HEN: 1.75, HEFD: 2.05, HEFN: 2.55, RN: 0.35, RDDFH: 1.80, RNDF: 1.15 };
+const FACTORS_DOMINICAL_90 = { HED: 1.25, HEN: 1.75, HEFD: 2.15, HEFN: 2.65, RN: 0.35, RDDFH: 1.90, RNDF: 1.25 };
+const FACTORS_DOMINICAL_100 = { HED: 1.25, HEN: 1.75, HEFD: 2.25, HEFN: 2.75, RN: 0.35, RDDFH: 2.00, RNDF: 1.35 };
+
+/**
+ * Factors the Buk report columns are labelled with ("(2.05)", "(1.80)"…),
+ * the 80% stage. The labels are column names only: each period is paid with
+ * the factors of the rule in force on its dates (see LEGAL_RULES).
+ * @deprecated Use getRuleForDate(date).factors
+ * @type {import('./types').SurchargeFactors}
+ */
+export const FACTORS = FACTORS_DOMINICAL_80;
+
+/**
+ * Legal rule versions ordered by effective date. Each entry is in force
+ * from `effectiveFrom` until the day before the next entry. The monthly
+ * hour divisor follows the Ley 2101 de 2021 working week reduction
+ * (48h → 47h → 46h → 44h → 42h).
+ * @type {LegalRule[]}
+ */
+export const LEGAL_RULES = [
+  {
+    version: 'v2000-01-01',
+    effectiveFrom: '2000-01-01',
+    description: 'Jornada 48h, recargo dominical 75%',
+    divisor: 240,
+    factors: FACTORS_DOMINICAL_75
+  },
+  {
+    version: 'v2023-07-15',
+    effectiveFrom: '2023-07-15',
+    description: 'Jornada 47h (Ley 2101), recargo dominical 75%',
+    divisor: 235,
+    factors: FACTORS_DOMINICAL_75
+  },
+  {
+    version: 'v2024-07-15',
+    effectiveFrom: '2024-07-15',
+    description: 'Jornada 46h (Ley 2101), recargo dominical 75%',
+    divisor: 230,
+    factors: FACTORS_DOMINICAL_75
+  },
+  {
+    version: 'v2025-07-01',
+    effectiveFrom: '2025-07-01',
+    description: 'Jornada 46h (Ley 2101), recargo dominical 80%',
+    divisor: 230,
+    factors: FACTORS_DOMINICAL_80
+  },
+  {
+    version: 'v2025-07-15',
+    effectiveFrom: '2025-07-15',
+    description: 'Jornada 44h (Ley 2101), recargo dominical 80%',
+    divisor: 220,
+    factors: FACTORS_DOMINICAL_80
+  },
+  {
+    version: 'v2026-07-01',
+    effectiveFrom: '2026-07-01',
+    description: 'Jornada 44h (Ley 2101), recargo dominical 90%',
+    divisor: 220,
+    factors: FACTORS_DOMINICAL_90
+  },
+  {
+    version: 'v2026-07-15',
+    effectiveFrom: '2026-07-15',
+    description: 'Jornada 42h (Ley 2101), recargo dominical 90%',
+    divisor: 210,
+    factors: FACTORS_DOMINICAL_90
+  },
+  {
+    version: 'v2027-07-01',
+    effectiveFrom: '2027-07-01',
+    description: 'Jornada 42h (Ley 2101), recargo dominical 100%',
+    divisor: 210,
+    factors: FACTORS_DOMINICAL_100
+  }
+];
+
+/**
+ * Returns the rule in force on a given date.
+ * @param {string} isoDate YYYY-MM-DD
+ * @param {LegalRule[]} [rules]
+ * @returns {LegalRule}
+ */
+export const getRuleForDate = (isoDate, rules = LEGAL_RULES) => {
+  let current = rules[0];
+  for (const rule of rules) {
+    if (rule.effectiveFrom <= isoDate) current = rule;
+  }
+  return current;
+};
+
+/**
+ * Splits a period into the stretches covered by each rule version.
+ * Most periods return a single segment; a period that crosses an
+ * effective date (e.g. July 15) returns one segment per version.
+ * @param {string} startIso
+ * @param {string} endIso
+ * @param {LegalRule[]} [rules]
+ * @returns {RuleSegment[]}
+ */
+export const getRuleSegments = (startIso, endIso, rules = LEGAL_RULES) => {
+  const segments = [];
+  let segmentStart = startIso;
+
+  while (segmentStart <= endIso) {
+    const rule = getRuleForDate(segmentStart, rules);
+    const next = rules.find(r => r.effectiveFrom > segmentStart);
+    const segmentEnd = next && next.effectiveFrom <= endIso
+      ? addDays(next.effectiveFrom, -1)
+      : endIso;
+
+    segments.push({
+      rule,
+      start: segmentStart,
+      end: segmentEnd,
+      days: countDays(segmentStart, segmentEnd)
+    });
+    segmentStart = addDays(segmentEnd, 1);
+  }
+
+  return segments;
+};
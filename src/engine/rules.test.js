@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { calculateRetroactive } from './calculate';
+import { FACTORS, getRuleForDate, getRuleSegments } from './rules';
+
+describe('getRuleForDate', () => {
+  it('uses the 75% dominical recargo before 2025-07-01', () => {
+    const rule = getRuleForDate('2025-06-30');
+    expect(rule.divisor).toBe(230);
+    expect(rule.factors).toEqual({ HED: 1.25, HEN: 1.75, HEFD: 2.00, HEFN: 2.50, RN: 0.35, RDDFH: 1.75, RNDF: 1.10 });
+  });
+
+  it('uses the 80% dominical recargo from 2025-07-01', () => {
+    const rule = getRuleForDate('2025-07-01');
+    expect(rule.divisor).toBe(230);
+    expect(rule.factors).toEqual({ HED: 1.25, HEN: 1.75, HEFD: 2.05, HEFN: 2.55, RN: 0.35, RDDFH: 1.80, RNDF: 1.15 });
+  });
+
+  it('keeps FACTORS on the 80% stage the report columns are labelled with', () => {
+    expect(FACTORS).toEqual(getRuleForDate('2025-07-01').factors);
+  });
+});
+
+describe('getRuleSegments', () => {
+  it('splits a period that crosses an effective date', () => {
+    const segments = getRuleSegments('2025-07-01', '2025-07-31');
+    expect(segments.map(seg => [seg.rule.version, seg.days])).toEqual([['v2025-07-01', 14], ['v2025-07-15', 17]]);
+  });
+});
+
+describe('overtime factors by period', () => {
+  const employee = {
+    CEDULA: 123,
+    NOMBRE: 'Ana Pérez',
+    SUELDO_ANTERIOR: 2000000,
+    SUELDO_NUEVO: 2300000,
+    FECHA_INICIO: '2025-06-16',
+    FECHA_FIN: '2025-07-31',
+    HORAS: {
+      '2025-06-16': { RDDFH_CANTIDAD: 10 },
+      '2025-07-16': { RDDFH_CANTIDAD: 10 }
+    }
+  };
+  const lines = calculateRetroactive(employee, 'quincenal').details
+    .filter(det => det.CONCEPTO === 'Retroactivo Recargo diurno festivo');
+
+  it('pays each period with the factor in force on its dates', () => {
+    // 300.000 / 230 h × 1,75 × 10 h, then 300.000 / 220 h × 1,80 × 10 h
+    expect(lines.map(det => det.VALOR_A_PAGAR)).toEqual([22826, 24545]);
+  });
+
+  it('shows the factor applied on the line', () => {
+    expect(lines.map(det => det.DETALLE)).toEqual([
+      'Periodo 16/06/2025 (10 horas, factor 1.75)',
+      'Periodo 16/07/2025 (10 horas, factor 1.80)'
+    ]);
+  });
+});
@@ -0,0 +1,109 @@
+import { getMinimumWage } from './minimumWage';
+
+/**
+ * How the new salary of a mass upload is obtained: read from the sheet, or
+ * derived from the old salary for across-the-board increases.
+ */
+export const INCREASE_MODES = [
+  { value: 'column', label: 'Columna del archivo' },
+  { value: 'percent', label: 'Porcentaje general' },
+  { value: 'fixed', label: 'Valor fijo' },
+  { value: 'bands', label: 'Tabla por rangos salariales' }
+];
+
+/**
+ * Salary increase settings.
+ * @typedef {Object} SalaryIncrease
+ * @property {'column'|'percent'|'fixed'|'bands'} mode
+ * @property {string|number} [percent] Flat increase, e.g. 9 for 9%
+ * @property {string|number} [amount] Fixed monthly amount added to every salary
+ * @property {Array<{limit: string|number, percent: string|number}>} [bands] Percent by
+ *   old salary band; limit is the band's upper bound in SMMLV, blank for no limit
+ * @property {boolean} [roundToThousand] Round the new salary to the nearest $1.000
+ */
+
+const sortBands = (bands) => bands
+  .map(band => ({
+    limit: band.limit === '' || band.limit === undefined || band.limit === null ? Infinity : parseFloat(band.limit),
+    percent: parseFloat(band.percent)
+  }))
+  .filter(band => !isNaN(band.limit) && !isNaN(band.percent))
+  .sort((a, b) => a.limit - b.limit);
+
+/**
+ * Reads a band table from sheet rows: the first numeric cell of each row is
+ * the upper limit in SMMLV and the second the percent. Header rows and rows
+ * without a percent are skipped; a row whose limit is text ("en adelante")
+ * or blank is the open top band. Percents are always in points, as the
+ * form takes them: 9 and "9%" are 9%, 0.5 is half a percent. Read the sheet
+ * with sheet_to_json({ raw: false }) so percent-formatted cells arrive as
+ * shown ("9%") rather than as fractions (0.09).
+ * @param {unknown[][]} rows
+ * @returns {Array<{limit: number|string, percent: number}>}
+ */
+export const parseBandTable = (rows) => rows.flatMap(row => {
+  const cells = (row || []).filter(cell => cell !== undefined && cell !== null && String(cell).trim() !== '');
+  const numbers = cells.map(cell => parseFloat(String(cell).replace('%', '').replace(',', '.')));
+  if (numbers.length === 0 || isNaN(numbers[numbers.length - 1])) return [];
+
+  const percent = numbers[numbers.length - 1];
+  const limit = numbers.length > 1 && !isNaN(numbers[0]) ? numbers[0] : '';
+  return [{ limit, percent }];
+});
+
+/**
+ * Checks that the settings can derive a salary.
+ * @param {SalaryIncrease} increase
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateIncrease = (increase) => {
+  switch (increase.mode) {
+    case 'percent':
+      return isNaN(parseFloat(increase.percent)) ? 'Ingrese el porcentaje de aumento.' : null;
+    case 'fixed':
+      return isNaN(parseFloat(increase.amount)) ? 'Ingrese el valor fijo del aumento.' : null;
+    case 'bands':
+      return sortBands(increase.bands || []).length === 0 ? 'Cargue o ingrese al menos un rango salarial.' : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Derives the new salary from the old one. Bands are matched on the old
+ * salary measured in SMMLV of the given year; a salary above every limit
+ * takes the last band.
+ * @param {number} oldSalary
+ * @param {SalaryIncrease} increase
+ * @param {number} year Year whose SMMLV measures the bands
+ * @returns {{salary: number, description: string}}
+ */
+export const deriveNewSalary = (oldSalary, increase, year) => {
+  let salary = oldSalary;
+  let description = '';
+
+  if (increase.mode === 'percent') {
+    const percent = parseFloat(increase.percent) || 0;
+    salary = oldSalary * (1 + percent / 100);
+    description = `${percent}% general`;
+  } else if (increase.mode === 'fixed') {
+    const amount = parseFloat(increase.amount) || 0;
+    salary = oldSalary + amount;
+    description = `+ $ ${amount.toLocaleString()} fijo`;
+  } else if (increase.mode === 'bands') {
+    const bands = sortBands(increase.bands || []);
+    const times = oldSalary / getMinimumWage(year).smmlv;
+    const band = bands.find(b => times <= b.limit) || bands[bands.length - 1];
+    salary = oldSalary * (1 + band.percent / 100);
+    description = band.limit === Infinity
+      ? `${band.percent}% (rango sin tope)`
+      : `${band.percent}% (hasta ${band.limit} SMMLV)`;
+  }
+
+  if (increase.roundToThousand) {
+    salary = Math.round(salary / 1000) * 1000;
+    description += ', redondeado al mil';
+  }
+
+  return { salary: Math.round(salary), description };
+};
@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+import { deriveNewSalary, parseBandTable } from './salaryIncrease';
+
+describe('parseBandTable', () => {
+  it('reads percents in points, with or without the sign', () => {
+    expect(parseBandTable([
+      ['Hasta SMMLV', 'Aumento'],
+      [2, '9%'],
+      [4, '7,5'],
+      ['en adelante', 0.5]
+    ])).toEqual([
+      { limit: 2, percent: 9 },
+      { limit: 4, percent: 7.5 },
+      { limit: '', percent: 0.5 }
+    ]);
+  });
+});
+
+describe('deriveNewSalary', () => {
+  it('reads a percent below one as points, not as a fraction', () => {
+    expect(deriveNewSalary(2000000, { mode: 'percent', percent: '0.5' }, 2025).salary).toBe(2010000);
+  });
+
+  it('takes the band of the old salary in SMMLV', () => {
+    const increase = { mode: 'bands', bands: [{ limit: 2, percent: 9 }, { limit: '', percent: 0.5 }] };
+    expect(deriveNewSalary(2000000, increase, 2025)).toEqual({ salary: 2180000, description: '9% (hasta 2 SMMLV)' });
+    expect(deriveNewSalary(4000000, increase, 2025)).toEqual({ salary: 4020000, description: '0.5% (rango sin tope)' });
+  });
+});
@@ -0,0 +1,50 @@
+import { formatReportDate, parseDateParts, toISODate } from './dates';
+import { getRuleSegments } from './rules';
+
+/** @typedef {import('./types').RetroInput} RetroInput */
+
+/**
+ * A salary in force from a date until the next step.
+ * @typedef {Object} SalaryStep
+ * @property {string} effectiveFrom YYYY-MM-DD; '' for the base step
+ * @property {number} salary Monthly salary
+ */
+
+/**
+ * Builds the salary steps of an employee: SUELDO_NUEVO from the start of the
+ * range, then each later change in CAMBIOS_SALARIO, sorted by date. Changes
+ * with an unreadable date or amount are dropped.
+ * @param {RetroInput} data
+ * @returns {SalaryStep[]}
+ */
+export const buildSalaryTimeline = (data) => {
+  const steps = (data.CAMBIOS_SALARIO || [])
+    .map(change => {
+      const [y, m, d] = parseDateParts(change.FECHA);
+      return { effectiveFrom: y ? toISODate(y, m - 1, d) : '', salary: parseFloat(change.SUELDO) };
+    })
+    .filter(step => step.effectiveFrom && !isNaN(step.salary))
+    .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+
+  return [{ effectiveFrom: '', salary: parseFloat(data.SUELDO_NUEVO) || 0 }, ...steps];
+};
+
+/**
+ * Splits a period into the stretches covered by each salary step, the same
+ * way rule versions are split.
+ * @param {string} startIso
+ * @param {string} endIso
+ * @param {SalaryStep[]} steps
+ * @returns {Array<{step: SalaryStep, start: string, end: string, days: number}>}
+ */
+export const getSalarySegments = (startIso, endIso, steps) =>
+  getRuleSegments(startIso, endIso, steps).map(({ rule, ...segment }) => ({ step: rule, ...segment }));
+
+/**
+ * Short description of a salary step for the detail and summary rows.
+ * @param {SalaryStep} step
+ * @returns {string}
+ */
+export const describeSalaryStep = (step) => (step.effectiveFrom
+  ? `$ ${step.salary.toLocaleString()} desde ${formatReportDate(step.effectiveFrom)}`
+  : `$ ${step.salary.toLocaleString()}`);
@@ -0,0 +1,115 @@
+/**
+ * Shared type definitions for the retro calculation engine.
+ * This module only carries JSDoc typedefs; it has no runtime exports.
+ */
+
+/**
+ * @typedef {'mensual'|'quincenal'} PayrollType
+ */
+
+/**
+ * A payroll period, or the part of it inside the retro range when
+ * prorating. Dates are always internal YYYY-MM-DD strings.
+ * @typedef {Object} Period
+ * @property {string} start First day covered
+ * @property {string} end Last day covered
+ * @property {string} periodStart First day of the payroll month/quincena
+ * @property {number} days Commercial days covered (30-day month basis)
+ * @property {boolean} partial Whether the range covers only part of the period
+ */
+
+/**
+ * Surcharge factors by overtime/recargo type.
+ * @typedef {Object} SurchargeFactors
+ * @property {number} HED
+ * @property {number} HEN
+ * @property {number} HEFD
+ * @property {number} HEFN
+ * @property {number} RN
+ * @property {number} RDDFH
+ * @property {number} RNDF
+ */
+
+/**
+ * A version of the legal parameters, in force from `effectiveFrom`.
+ * @typedef {Object} LegalRule
+ * @property {string} version
+ * @property {string} effectiveFrom YYYY-MM-DD
+ * @property {string} description
+ * @property {number} divisor Monthly hours used to get the hourly value
+ * @property {SurchargeFactors} factors
+ */
+
+/**
+ * The part of a period governed by a single rule version.
+ * @typedef {Object} RuleSegment
+ * @property {LegalRule} rule
+ * @property {string} start
+ * @property {string} end
+ * @property {number} days
+ */
+
+/**
+ * Input for a single employee calculation. Numeric fields accept strings
+ * because they come straight from form inputs or spreadsheet cells.
+ * @typedef {Object} RetroInput
+ * @property {string|number} CEDULA
+ * @property {string} NOMBRE
+ * @property {string|number} [CODIGO_FICHA_COLABORADOR]
+ * @property {string|number} SUELDO_ANTERIOR
+ * @property {string|number} SUELDO_NUEVO Salary in force from FECHA_INICIO
+ * @property {Array<{FECHA: string, SUELDO: string|number}>} [CAMBIOS_SALARIO] Later salary
+ *   changes, each in force from FECHA (YYYY-MM-DD or DD/MM/YYYY) until the next one
+ * @property {string} FECHA_INICIO YYYY-MM-DD or DD/MM/YYYY
+ * @property {string} FECHA_FIN YYYY-MM-DD or DD/MM/YYYY
+ * @property {Object<string, Object<string, string|number>>} [HORAS] Overtime and recargo
+ *   hours by OT_CONCEPTS key (HED_CANTIDAD, ...), keyed by the payroll period start (YYYY-MM-DD)
+ * @property {string|number} [AUXILIO_ANTERIOR] Monthly auxilio de transporte paid before the change
+ * @property {Object<string, Object<string, string|number>>} [AUSENCIAS] Absence days by
+ *   type key (see ABSENCE_TYPES), keyed by the payroll period start (YYYY-MM-DD)
+ */
+
+/**
+ * One line of the detail list shown in the results table.
+ * @typedef {Object} RetroDetail
+ * @property {string|number} CEDULA
+ * @property {string} NOMBRE
+ * @property {string} PERIODO Payroll period start (DD/MM/YYYY), or the accrual
+ *   group for prestaciones ('Semestre 1 2025', 'Año 2025')
+ * @property {string} CONCEPTO
+ * @property {string} DETALLE
+ * @property {number} VALOR_A_PAGAR
+ * @property {string} REGLA Legal rule version(s) applied to the period
+ */
+
+/**
+ * Per-period row keyed by the Buk "reporte de pagos" column names.
+ * @typedef {Object<string, string|number>} RetroSummary
+ */
+
+/**
+ * Retro amounts paid for one period, the base for prestaciones and
+ * social security contributions.
+ * @typedef {Object} PeriodTotal
+ * @property {string} start
+ * @property {string} end
+ * @property {number} days Commercial days (30-day month basis)
+ * @property {number} oldSalary Monthly salary before the change
+ * @property {number} newSalary Monthly salary after the change, weighted by
+ *   days when a salary step starts inside the period
+ * @property {number} hourlyDifference Hourly value difference the overtime retro was
+ *   based on (salary difference over the rule's divisor), weighted by days
+ * @property {number} salary Salary retro paid in the period
+ * @property {number} overtime Overtime and recargo retro paid in the period
+ * @property {number} transport Auxilio de transporte retro paid in the period
+ */
+
+/**
+ * @typedef {Object} RetroResult
+ * @property {RetroDetail[]} details
+ * @property {RetroSummary[]} summaries
+ * @property {PeriodTotal[]} periodTotals
+ * @property {string[]} notes Eligibility changes and other remarks for the analyst
+ */
+
+export {};
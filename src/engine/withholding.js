@@ -0,0 +1,178 @@
+import { CONTRIBUTION_RATES, getSolidarityRate } from './contributions';
+import { getMinimumWage } from './minimumWage';
+
+/** @typedef {import('./types').RetroDetail} RetroDetail */
+/** @typedef {import('./types').PeriodTotal} PeriodTotal */
+
+/**
+ * Estimate of the retención en la fuente on a retro, procedimiento 1
+ * (Art. 383 ET): the retro is taxed in the month it is paid together with
+ * the employee's regular income, and what it adds to that month's
+ * withholding is attributed to it.
+ */
+
+/** UVT value by year, as set by DIAN each December. */
+export const UVT_TABLE = [
+  { year: 2023, uvt: 42412 },
+  { year: 2024, uvt: 47065 },
+  { year: 2025, uvt: 49799 },
+  { year: 2026, uvt: 52374 }
+];
+
+/**
+ * Art. 383 ET table for monthly payments, in UVT: over `from`, the excess
+ * pays `rate` plus `fixed` UVT.
+ */
+export const WITHHOLDING_BRACKETS = [
+  { from: 0, rate: 0, fixed: 0 },
+  { from: 95, rate: 0.19, fixed: 0 },
+  { from: 150, rate: 0.28, fixed: 10 },
+  { from: 360, rate: 0.33, fixed: 69 },
+  { from: 640, rate: 0.35, fixed: 162 },
+  { from: 945, rate: 0.37, fixed: 268 },
+  { from: 2300, rate: 0.39, fixed: 770 }
+];
+
+// Art. 206 num. 10 and Art. 336 ET (Ley 2277 de 2022), annual caps in UVT
+export const EXEMPT_INCOME_RATE = 0.25;
+export const EXEMPT_INCOME_CAP_UVT = 790;
+const RELIEF_LIMIT_RATE = 0.40;
+const RELIEF_LIMIT_CAP_UVT = 1340;
+
+// Cesantías are consigned to the fund and taxed when withdrawn, not when paid
+const NOT_WITHHELD = ['Retroactivo cesantías'];
+
+/**
+ * UVT value for a year; years outside the table use the closest one.
+ * @param {number} year
+ * @param {typeof UVT_TABLE} [table]
+ * @returns {number}
+ */
+export const getUvt = (year, table = UVT_TABLE) => {
+  let current = table[0];
+  for (const entry of table) {
+    if (entry.year <= year) current = entry;
+  }
+  return current.uvt;
+};
+
+/**
+ * Settings of the estimate.
+ * @typedef {Object} WithholdingSettings
+ * @property {number} year Year the retro is paid
+ * @property {number} [uvt] UVT value, from UVT_TABLE for the year by default
+ * @property {boolean} [exemptIncome] Apply the 25% renta exenta, true by default
+ */
+
+/**
+ * Breakdown of one month's withholding.
+ * @typedef {Object} MonthlyWithholding
+ * @property {number} income Labor income of the month
+ * @property {number} contributions Mandatory salud, pensión and solidaridad (ingresos no constitutivos)
+ * @property {number} deductions Deductions as declared
+ * @property {number} exempt 25% renta exenta
+ * @property {number} base Taxable base after the 40% / 1340 UVT limit
+ * @property {number} withholding Rounded to the nearest thousand
+ */
+
+/**
+ * Withholding for one month of labor income.
+ * @param {number} income
+ * @param {number} contributionBase Part of the income that pays social security
+ * @param {number} deductions Monthly deductions (dependientes, intereses de vivienda, medicina prepagada…)
+ * @param {WithholdingSettings} settings
+ * @returns {MonthlyWithholding}
+ */
+export const calculateMonthlyWithholding = (income, contributionBase, deductions, settings) => {
+  const { year, exemptIncome = true } = settings;
+  const uvt = settings.uvt || getUvt(year);
+  const { smmlv } = getMinimumWage(year);
+
+  const rate = CONTRIBUTION_RATES.SALUD.employee + CONTRIBUTION_RATES.PENSION.employee + getSolidarityRate(contributionBase, smmlv);
+  const contributions = Math.max(contributionBase, 0) * rate;
+  const netIncome = Math.max(income - contributions, 0);
+
+  const subtotal = Math.max(netIncome - deductions, 0);
+  const exempt = exemptIncome ? Math.min(subtotal * EXEMPT_INCOME_RATE, EXEMPT_INCOME_CAP_UVT / 12 * uvt) : 0;
+  const relief = Math.min(deductions + exempt, netIncome * RELIEF_LIMIT_RATE, RELIEF_LIMIT_CAP_UVT / 12 * uvt);
+
+  const base = netIncome - relief;
+  const baseUvt = base / uvt;
+  const bracket = [...WITHHOLDING_BRACKETS].reverse().find(b => baseUvt > b.from) || WITHHOLDING_BRACKETS[0];
+  const taxUvt = bracket.rate > 0 ? (baseUvt - bracket.from) * bracket.rate + bracket.fixed : 0;
+
+  return {
+    income,
+    contributions: Math.round(contributions),
+    deductions,
+    exempt: Math.round(exempt),
+    base: Math.round(base),
+    withholding: Math.round(taxUvt * uvt / 1000) * 1000
+  };
+};
+
+/**
+ * Retro of one employee: all of it, the part subject to withholding and
+ * the part that pays social security (salary and overtime).
+ * @param {RetroDetail[]} details
+ * @param {PeriodTotal[]} periodTotals
+ * @returns {{gross: number, retro: number, contributionBase: number}}
+ */
+export const getTaxableRetro = (details, periodTotals) => ({
+  gross: details.reduce((sum, det) => sum + det.VALOR_A_PAGAR, 0),
+  retro: details
+    .filter(det => !NOT_WITHHELD.includes(det.CONCEPTO))
+    .reduce((sum, det) => sum + det.VALOR_A_PAGAR, 0),
+  contributionBase: periodTotals.reduce((sum, total) => sum + total.salary + total.overtime, 0)
+});
+
+/**
+ * Withholding estimate for one employee.
+ * @typedef {Object} WithholdingEstimate
+ * @property {string|number} CEDULA
+ * @property {string} NOMBRE
+ * @property {number} gross Retro paid
+ * @property {number} monthlyIncome Regular monthly income it is paid with
+ * @property {number} deductions
+ * @property {number} regularWithholding Withholding of the month without the retro
+ * @property {number} totalWithholding Withholding of the month with the retro
+ * @property {number} withholding Part attributed to the retro
+ * @property {number} net Retro after withholding
+ */
+
+/**
+ * Estimates how much of an employee's retro is withheld: the month's
+ * withholding with the retro minus the one without it. Regular income is
+ * taken as fully salarial.
+ * @param {{CEDULA: string|number, NOMBRE: string}} employee
+ * @param {{gross: number, retro: number, contributionBase: number}} taxable From getTaxableRetro
+ * @param {{monthlyIncome: number, deductions?: number}} income Regular monthly income and deductions
+ * @param {WithholdingSettings} settings
+ * @returns {WithholdingEstimate}
+ */
+export const estimateWithholding = (employee, taxable, income, settings) => {
+  const monthlyIncome = Math.max(income.monthlyIncome || 0, 0);
+  const deductions = Math.max(income.deductions || 0, 0);
+
+  const regular = calculateMonthlyWithholding(monthlyIncome, monthlyIncome, deductions, settings);
+  const withRetro = calculateMonthlyWithholding(
+    monthlyIncome + taxable.retro,
+    monthlyIncome + taxable.contributionBase,
+    deductions,
+    settings
+  );
+  const withholding = Math.max(withRetro.withholding - regular.withholding, 0);
+  const gross = Math.round(taxable.gross);
+
+  return {
+    CEDULA: employee.CEDULA,
+    NOMBRE: employee.NOMBRE,
+    gross,
+    monthlyIncome,
+    deductions,
+    regularWithholding: regular.withholding,
+    totalWithholding: withRetro.withholding,
+    withholding,
+    net: gross - withholding
+  };
+};
@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { calculateMonthlyWithholding, estimateWithholding, getTaxableRetro, getUvt } from './withholding';
+
+describe('getUvt', () => {
+  it('uses the closest year of the table outside it', () => {
+    expect(getUvt(2025)).toBe(49799);
+    expect(getUvt(2020)).toBe(42412);
+    expect(getUvt(2030)).toBe(52374);
+  });
+});
+
+describe('calculateMonthlyWithholding', () => {
+  it('applies contributions, the 25% renta exenta and the Art. 383 table', () => {
+    // 10.000.000 pays 4% salud, 4% pensión and 1% solidaridad: 9.100.000 net,
+    // 2.275.000 exempt, 6.825.000 base = 137,05 UVT → (137,05 − 95) × 19%
+    expect(calculateMonthlyWithholding(10000000, 10000000, 0, { year: 2025 })).toEqual({
+      income: 10000000,
+      contributions: 900000,
+      deductions: 0,
+      exempt: 2275000,
+      base: 6825000,
+      withholding: 398000
+    });
+  });
+
+  it('skips the renta exenta when asked', () => {
+    expect(calculateMonthlyWithholding(10000000, 10000000, 0, { year: 2025, exemptIncome: false }).exempt).toBe(0);
+  });
+});
+
+describe('estimateWithholding', () => {
+  it('attributes to the retro what it adds to the month, leaving cesantías out', () => {
+    const taxable = getTaxableRetro(
+      [
+        { CONCEPTO: 'Retroactivo sueldo', VALOR_A_PAGAR: 4000000 },
+        { CONCEPTO: 'Retroactivo cesantías', VALOR_A_PAGAR: 1000000 }
+      ],
+      [{ salary: 4000000, overtime: 0 }]
+    );
+    expect(taxable).toEqual({ gross: 5000000, retro: 4000000, contributionBase: 4000000 });
+
+    // 7.000.000 with the retro: 6.370.000 net, 4.777.500 base = 95,94 UVT
+    const estimate = estimateWithholding({ CEDULA: 1, NOMBRE: 'Ana' }, taxable, { monthlyIncome: 3000000 }, { year: 2025 });
+    expect(estimate).toMatchObject({ regularWithholding: 0, totalWithholding: 9000, withholding: 9000, net: 4991000 });
+  });
+});
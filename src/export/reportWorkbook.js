@@ -0,0 +1,315 @@
+/**
+ * Builds the exported workbook. Both tabs produce the same sheets from the
+ * detail lines; optional sheets (PILA, retención, pending reintegros,
+ * derived salaries, errors) are added only when there is something to show.
+ */
+
+import * as XLSX from 'xlsx';
+import { LEGAL_RULES, ROUNDING_MODES, applyPayments, getPendingDeductions, getUvt, reconcilePayments } from '../engine';
+import { toImportItem, toRejectionSheetRows } from '../upload/processRows';
+import { downloadBlob } from '../utils/downloadBlob';
+
+/**
+ * @typedef {import('../engine/types').RetroDetail & {CODIGO_FICHA_COLABORADOR?: string|number}} RetroDetailRow
+ */
+
+const MONEY_FORMAT = '"$" #,##0;[Red]-"$" #,##0';
+const MAX_COLUMN_WIDTH = 60;
+
+/**
+ * One sheet of the workbook.
+ * @typedef {Object} ReportSheet
+ * @property {string} name
+ * @property {Object<string, unknown>[]} rows Objects keyed by column header
+ * @property {string[]} [moneyColumns] Headers formatted as pesos
+ */
+
+const toDetailRows = (details) => details.map(det => ({
+  'Número de Documento': det.CEDULA,
+  'Nombre': det.NOMBRE,
+  'Código de Ficha': det.CODIGO_FICHA_COLABORADOR ?? '',
+  'Concepto': det.CONCEPTO,
+  'Período': det.PERIODO ?? '',
+  'Detalle': det.DETALLE,
+  'Norma': det.REGLA,
+  'Valor': det.VALOR_A_PAGAR
+}));
+
+// One row per employee, one column per concept plus the total
+const toEmployeeRows = (details) => {
+  const concepts = [...new Set(details.map(det => det.CONCEPTO))];
+  const employees = new Map();
+
+  details.forEach(det => {
+    const key = String(det.CEDULA);
+    if (!employees.has(key)) {
+      const row = {
+        'Número de Documento': det.CEDULA,
+        'Nombre': det.NOMBRE,
+        'Código de Ficha': det.CODIGO_FICHA_COLABORADOR ?? ''
+      };
+      concepts.forEach(concept => { row[concept] = 0; });
+      row['Total'] = 0;
+      employees.set(key, row);
+    }
+    const row = employees.get(key);
+    row[det.CONCEPTO] += det.VALOR_A_PAGAR;
+    row['Total'] += det.VALOR_A_PAGAR;
+  });
+
+  return [...employees.values()];
+};
+
+const toConceptPeriodRows = (details) => {
+  const groups = new Map();
+  details.forEach(det => {
+    const key = `${det.CONCEPTO}|${det.PERIODO ?? ''}`;
+    const group = groups.get(key) || { concept: det.CONCEPTO, period: det.PERIODO ?? '', total: 0, lines: 0, cedulas: new Set() };
+    group.total += det.VALOR_A_PAGAR;
+    group.lines += 1;
+    group.cedulas.add(String(det.CEDULA));
+    groups.set(key, group);
+  });
+
+  return [...groups.values()].map(group => ({
+    'Concepto': group.concept,
+    'Período': group.period,
+    'Colaboradores': group.cedulas.size,
+    'Líneas': group.lines,
+    'Valor': group.total
+  }));
+};
+
+const yesNo = (value) => (value ? 'Sí' : 'No');
+
+const describeRounding = ({ rounding = 'peso', distributeResidual }) => {
+  const label = ROUNDING_MODES.find(mode => mode.value === rounding)?.label ?? rounding;
+  return distributeResidual && rounding !== 'total' ? `${label}, residuo repartido por colaborador` : label;
+};
+
+/**
+ * Run settings and the legal rules applied, so a workbook can be traced
+ * back to how it was calculated.
+ * @param {RetroDetailRow[]} details
+ * @param {Object} parameters
+ * @returns {Array<{'Parámetro': string, 'Valor': string|number}>}
+ */
+const toParameterRows = (details, { payrollType, options = {}, source, fileHash, paidReport, runDate = new Date() }) => {
+  const rows = [
+    { 'Parámetro': 'Fecha de generación', 'Valor': runDate.toLocaleString('es-CO') },
+    { 'Parámetro': 'Origen', 'Valor': source },
+    ...(fileHash ? [{ 'Parámetro': 'Huella del archivo (SHA-256)', 'Valor': fileHash }] : []),
+    { 'Parámetro': 'Tipo de nómina', 'Valor': payrollType === 'quincenal' ? 'Quincenal' : 'Mensual' },
+    // Mass runs read one period per row and leave prorate out
+    ...(options.prorate !== undefined ? [{ 'Parámetro': 'Periodos parciales prorrateados', 'Valor': yesNo(options.prorate) }] : []),
+    { 'Parámetro': 'Prestaciones sociales', 'Valor': yesNo(options.prestaciones) },
+    { 'Parámetro': 'Auxilio de transporte', 'Valor': yesNo(options.auxilio) },
+    { 'Parámetro': 'Descuento de ausencias', 'Valor': yesNo(options.absences) },
+    { 'Parámetro': 'Corrección de aportes', 'Valor': options.contributions ? `Sí (ARL clase ${options.arlClass})` : 'No' },
+    { 'Parámetro': 'Redondeo', 'Valor': describeRounding(options) },
+    ...(options.withholding ? [{
+      'Parámetro': 'Retención en la fuente estimada',
+      'Valor': `Pago en ${options.withholdingYear}, UVT $ ${(parseFloat(options.uvt) || getUvt(Number(options.withholdingYear))).toLocaleString()}`
+        + (options.exemptIncome ? ', renta exenta 25%' : ', sin renta exenta')
+    }] : []),
+    ...(paidReport ? [{ 'Parámetro': 'Reporte pagado conciliado', 'Valor': paidReport }] : [])
+  ];
+
+  // Only the rule versions that governed some period of this run
+  const versions = new Set(details.flatMap(det => (det.REGLA ? det.REGLA.split(' + ') : [])));
+  LEGAL_RULES.filter(rule => versions.has(rule.version)).forEach(rule => {
+    const factors = Object.entries(rule.factors).map(([type, factor]) => `${type} ${factor.toFixed(2)}`).join(' · ');
+    rows.push({
+      'Parámetro': `Norma ${rule.version}`,
+      'Valor': `${rule.description}. Divisor ${rule.divisor} h. Factores: ${factors}`
+    });
+  });
+
+  return rows;
+};
+
+/**
+ * Lists the sheets of the report workbook.
+ * @param {Object} report
+ * @param {RetroDetailRow[]} report.details
+ * @param {import('../upload/conceptCatalog').CatalogEntry[]} report.catalog
+ * @param {Object} report.parameters payrollType, options (calculation options), source,
+ *   and optionally fileHash, paidReport (file name) and runDate (defaults to now)
+ * @param {Object[]} [report.contributions]
+ * @param {Object[]} [report.derivedSalaries]
+ * @param {import('../engine/withholding').WithholdingEstimate[]} [report.withholding]
+ * @param {import('../engine/review').EmployeeReview[]} [report.reviews] For the reintegros
+ *   the deduction cap left for later payments ("Reintegros pendientes")
+ * @param {import('../upload/processRows').RowRejection[]} [report.rejections]
+ * @param {import('../engine/reconcile').PaidRecord[]} [report.payments] Amounts already paid;
+ *   when given, the importer only carries what is still owed and a "Conciliación" sheet is added
+ * @returns {ReportSheet[]}
+ */
+export const buildReportSheets = ({
+  details,
+  catalog,
+  parameters,
+  contributions = [],
+  derivedSalaries = [],
+  withholding = [],
+  reviews = [],
+  rejections = [],
+  payments = []
+}) => {
+  const importDetails = payments.length > 0 ? applyPayments(details, payments) : details;
+  const sheets = [
+    {
+      name: 'Importador',
+      rows: importDetails.map(det => toImportItem(det, catalog)),
+      moneyColumns: ['Valor*']
+    },
+    { name: 'Detalle', rows: toDetailRows(details), moneyColumns: ['Valor'] },
+    {
+      name: 'Resumen por colaborador',
+      rows: toEmployeeRows(details),
+      moneyColumns: [...new Set(details.map(det => det.CONCEPTO)), 'Total']
+    },
+    { name: 'Resumen por concepto y período', rows: toConceptPeriodRows(details), moneyColumns: ['Valor'] },
+    { name: 'Parámetros', rows: toParameterRows(details, parameters) }
+  ];
+
+  if (payments.length > 0) {
+    sheets.push({
+      name: 'Conciliación',
+      rows: reconcilePayments(details, payments).lines.map(line => ({
+        'Número de Documento': line.CEDULA,
+        'Nombre': line.NOMBRE,
+        'Período': line.PERIODO,
+        'Concepto': line.CONCEPTO,
+        'Calculado': line.CALCULADO,
+        'Pagado': line.PAGADO,
+        'Diferencia': line.DIFERENCIA,
+        'Estado': line.ESTADO
+      })),
+      moneyColumns: ['Calculado', 'Pagado', 'Diferencia']
+    });
+  }
+  if (contributions.length > 0) {
+    const moneyColumns = Object.keys(contributions[0]).filter(key => typeof contributions[0][key] === 'number');
+    sheets.push({ name: 'Aportes PILA', rows: contributions, moneyColumns });
+  }
+  if (withholding.length > 0) {
+    sheets.push({
+      name: 'Retención en la fuente',
+      rows: withholding.map(row => ({
+        'Número de Documento': row.CEDULA,
+        'Nombre': row.NOMBRE,
+        'Retroactivo bruto': row.gross,
+        'Ingreso mensual habitual': row.monthlyIncome,
+        'Deducciones': row.deductions,
+        'Retención del mes sin retroactivo': row.regularWithholding,
+        'Retención del mes con retroactivo': row.totalWithholding,
+        'Retención estimada': row.withholding,
+        'Neto': row.net
+      })),
+      moneyColumns: [
+        'Retroactivo bruto',
+        'Ingreso mensual habitual',
+        'Deducciones',
+        'Retención del mes sin retroactivo',
+        'Retención del mes con retroactivo',
+        'Retención estimada',
+        'Neto'
+      ]
+    });
+  }
+  const pendingDeductions = getPendingDeductions(reviews);
+  if (pendingDeductions.length > 0) {
+    sheets.push({
+      name: 'Reintegros pendientes',
+      rows: pendingDeductions.map(line => ({
+        'Número de Documento': line.CEDULA,
+        'Nombre': line.NOMBRE,
+        'Código de Ficha': line.CODIGO_FICHA_COLABORADOR ?? '',
+        'Concepto': line.CONCEPTO,
+        'Período': line.PERIODO,
+        'Pendiente por descontar': line.amount
+      })),
+      moneyColumns: ['Pendiente por descontar']
+    });
+  }
+  if (derivedSalaries.length > 0) {
+    sheets.push({
+      name: 'Salarios calculados',
+      rows: derivedSalaries.map(row => ({
+        'Número de Documento': row.CEDULA,
+        'Nombre': row.NOMBRE,
+        'Salario anterior': row.SUELDO_ANTERIOR,
+        'Salario nuevo': row.SUELDO_NUEVO,
+        'Aumento': row.AUMENTO
+      })),
+      moneyColumns: ['Salario anterior', 'Salario nuevo']
+    });
+  }
+  if (rejections.length > 0) {
+    sheets.push({ name: 'Errores', rows: toRejectionSheetRows(rejections) });
+  }
+
+  return sheets;
+};
+
+// Money format and column widths from the longest value of each column
+const toWorksheet = ({ rows, moneyColumns = [] }) => {
+  const ws = XLSX.utils.json_to_sheet(rows);
+  const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+
+  ws['!cols'] = headers.map((header, c) => {
+    const isMoney = moneyColumns.includes(header);
+    let width = String(header).length;
+    rows.forEach((row, r) => {
+      const value = row[header];
+      const cell = ws[XLSX.utils.encode_cell({ r: r + 1, c })];
+      if (isMoney && cell && cell.t === 'n') cell.z = MONEY_FORMAT;
+      const text = isMoney && typeof value === 'number' ? `$ ${value.toLocaleString()}` : String(value ?? '');
+      width = Math.max(width, text.length);
+    });
+    return { wch: Math.min(width + 2, MAX_COLUMN_WIDTH) };
+  });
+
+  return ws;
+};
+
+// SheetJS Community doesn't write frozen panes, so the header row is frozen
+// by patching each sheet's <sheetView> in the generated package.
+const FROZEN_HEADER_VIEW = '<sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView>';
+
+const freezeHeaderRows = (bytes, sheetCount) => {
+  const zip = XLSX.CFB.read(bytes, { type: 'array' });
+  for (let i = 1; i <= sheetCount; i++) {
+    const entry = XLSX.CFB.find(zip, `/xl/worksheets/sheet${i}.xml`);
+    if (!entry) continue;
+    const xml = new TextDecoder().decode(entry.content)
+      .replace(/<sheetView workbookViewId="0"\s*\/>/, FROZEN_HEADER_VIEW);
+    XLSX.CFB.utils.cfb_add(zip, `/xl/worksheets/sheet${i}.xml`, new TextEncoder().encode(xml));
+  }
+  return XLSX.CFB.write(zip, { fileType: 'zip', type: 'array', compression: true });
+};
+
+/**
+ * Writes the sheets to an .xlsx file as bytes.
+ * @param {ReportSheet[]} sheets
+ * @returns {Uint8Array}
+ */
+export const writeReportWorkbook = (sheets) => {
+  const wb = XLSX.utils.book_new();
+  sheets.forEach(sheet => XLSX.utils.book_append_sheet(wb, toWorksheet(sheet), sheet.name.slice(0, 31)));
+  const bytes = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
+  return freezeHeaderRows(new Uint8Array(bytes), sheets.length);
+};
+
+/**
+ * Builds the workbook and hands it to the browser as a download.
+ * @param {ReportSheet[]} sheets
+ * @param {string} fileName
+ */
+export const downloadReportWorkbook = (sheets, fileName) => {
+  const blob = new Blob([writeReportWorkbook(sheets)], {
+    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  });
+  downloadBlob(blob, fileName);
+};
@@ -0,0 +1,18 @@
+import { describe, expect, it } from 'vitest';
+import { buildReportSheets } from './reportWorkbook';
+
+const parameterNames = (options) => buildReportSheets({
+  details: [],
+  catalog: [],
+  parameters: { source: 'carga.xlsx', payrollType: 'mensual', options, runDate: new Date(2025, 0, 1) }
+}).find(sheet => sheet.name === 'Parámetros').rows.map(row => row['Parámetro']);
+
+describe('Parámetros sheet', () => {
+  it('reports proration for runs that had the setting', () => {
+    expect(parameterNames({ prorate: false })).toContain('Periodos parciales prorrateados');
+  });
+
+  it('leaves proration out of mass runs', () => {
+    expect(parameterNames({})).not.toContain('Periodos parciales prorrateados');
+  });
+});
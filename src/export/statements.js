@@ -0,0 +1,319 @@
+/**
+ * Printable retro statement ("soporte") per employee: salaries, periods
+ * covered, each line with the inputs of its formula, totals and, when
+ * estimated, the retención. Statements are self-contained HTML with print
+ * CSS, so they print or save as PDF from the browser without a network
+ * connection. Per-employee files are downloaded together in one zip.
+ */
+
+import * as XLSX from 'xlsx';
+import { LEGAL_RULES, OT_CONCEPTS, getPendingDeductions, isDeduction, toDeductionConcept } from '../engine';
+import { downloadBlob } from '../utils/downloadBlob';
+
+/** @typedef {import('../engine/types').RetroDetail} RetroDetail */
+/** @typedef {import('../engine/review').EmployeeReview} EmployeeReview */
+/** @typedef {import('../engine/review').ReviewPeriod} ReviewPeriod */
+/** @typedef {import('../engine/withholding').WithholdingEstimate} WithholdingEstimate */
+
+export const STATEMENT_LOGO = '/logo_buk_azul.png';
+
+const TITLE = 'Soporte de liquidación de retroactivo';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatMoney = (value) => {
+  const amount = Math.abs(value).toLocaleString('es-CO', { maximumFractionDigits: 2 });
+  return value < 0 ? `-$ ${amount}` : `$ ${amount}`;
+};
+
+// Concept without the reintegro prefix, so a reintegro is explained with
+// the formula of the concept it returns
+const baseConcept = (concept) => [
+  'Retroactivo sueldo',
+  'Retroactivo auxilio de transporte',
+  ...OT_CONCEPTS.map(ot => ot.label)
+].find(label => toDeductionConcept(label) === concept) || concept;
+
+const PRESTACIONES_FORMULAS = {
+  'Retroactivo prima de servicios': 'Devengado adicional del semestre / 12',
+  'Retroactivo cesantías': 'Devengado adicional del año / 12',
+  'Retroactivo intereses sobre cesantías': 'Cesantías × 12% × días / 360',
+  'Retroactivo vacaciones': 'Sueldo adicional del año / 24'
+};
+
+/**
+ * Formula of one detail line with the inputs of its period filled in.
+ * Overtime factors come from the period's rule version, or from the detail
+ * line when the period spans several.
+ * @param {RetroDetail} det
+ * @param {ReviewPeriod|undefined} period
+ * @returns {string}
+ */
+export const describeFormula = (det, period) => {
+  const concept = baseConcept(det.CONCEPTO);
+  if (PRESTACIONES_FORMULAS[concept]) return PRESTACIONES_FORMULAS[concept];
+  if (!period || period.difference === null) return '';
+
+  if (concept === 'Retroactivo sueldo') {
+    return `${formatMoney(period.difference)} × ${period.days} días / 30`;
+  }
+  if (concept === 'Retroactivo auxilio de transporte') {
+    return 'Diferencia de auxilio × días laborados / 30';
+  }
+
+  const ot = OT_CONCEPTS.find(item => item.label === concept);
+  if (!ot) return '';
+  const [, hours, applied] = /\(([\d.]+) horas(?:, factor ([^)]+))?\)/.exec(det.DETALLE) ?? [];
+  const rule = LEGAL_RULES.find(r => r.version === period.rule);
+  const factor = rule
+    ? ` × ${rule.factors[ot.type].toLocaleString('es-CO', { minimumFractionDigits: 2 })}`
+    : ` × ${applied ? `factor ${applied}` : 'factor'}`;
+  return `${formatMoney(period.hourlyDifference)}${factor} × ${hours ?? '?'} horas`;
+};
+
+/**
+ * Data of one employee's statement.
+ * @typedef {Object} RetroStatement
+ * @property {EmployeeReview} review
+ * @property {RetroDetail[]} details Lines of the employee
+ * @property {WithholdingEstimate|null} withholding
+ */
+
+/**
+ * Pairs each employee review with its detail lines and withholding.
+ * @param {EmployeeReview[]} reviews
+ * @param {RetroDetail[]} details
+ * @param {WithholdingEstimate[]} [withholding]
+ * @returns {RetroStatement[]}
+ */
+export const buildStatements = (reviews, details, withholding = []) => reviews.map(review => ({
+  review,
+  details: details.filter(det => String(det.CEDULA) === String(review.CEDULA)),
+  withholding: withholding.find(row => String(row.CEDULA) === String(review.CEDULA)) || null
+}));
+
+const salaryRange = (periods) => {
+  const payroll = periods.filter(period => period.oldSalary !== null);
+  if (payroll.length === 0) return { oldSalary: '—', newSalary: '—', covered: '—' };
+  const unique = (values) => [...new Set(values)].map(formatMoney).join(' / ');
+  const first = payroll[0].PERIODO;
+  const last = payroll[payroll.length - 1].PERIODO;
+  return {
+    oldSalary: unique(payroll.map(period => period.oldSalary)),
+    newSalary: unique(payroll.map(period => period.newSalary)),
+    covered: `${first === last ? first : `${first} a ${last}`} (${payroll.length} ${payroll.length === 1 ? 'periodo' : 'periodos'})`
+  };
+};
+
+const renderPeriodHeader = (period) => {
+  if (period.oldSalary === null) return escapeHtml(period.PERIODO);
+  return [
+    `Periodo ${period.PERIODO}`,
+    `${period.days} días`,
+    `sueldo ${formatMoney(period.oldSalary)} → ${formatMoney(period.newSalary)} (dif. ${formatMoney(period.difference)})`,
+    `dif. valor hora ${formatMoney(period.hourlyDifference)}`,
+    period.rule ? `norma ${period.rule}` : ''
+  ].filter(Boolean).map(escapeHtml).join(' · ');
+};
+
+/**
+ * Markup of one employee's statement.
+ * @param {RetroStatement} statement
+ * @param {{logo?: string, date: string, source?: string}} context
+ * @returns {string}
+ */
+const renderStatement = ({ review, details, withholding }, context) => {
+  const range = salaryRange(review.periods);
+
+  const periodRows = review.periods.map(period => {
+    const lines = details.filter(det => det.PERIODO === period.PERIODO);
+    if (lines.length === 0) return '';
+    return `
+      <tr class="period"><td colspan="4">${renderPeriodHeader(period)}</td></tr>
+      ${lines.map(det => `
+      <tr${isDeduction(det) ? ' class="deduction"' : ''}>
+        <td>${escapeHtml(det.CONCEPTO)}</td>
+        <td>${escapeHtml(det.DETALLE)}</td>
+        <td>${escapeHtml(describeFormula(det, period))}</td>
+        <td class="money">${formatMoney(det.VALOR_A_PAGAR)}</td>
+      </tr>`).join('')}`;
+  }).join('');
+
+  const byConcept = new Map();
+  details.forEach(det => byConcept.set(det.CONCEPTO, (byConcept.get(det.CONCEPTO) || 0) + det.VALOR_A_PAGAR));
+  const totalRows = [...byConcept].map(([concept, value]) => `
+      <tr><td>${escapeHtml(concept)}</td><td class="money">${formatMoney(value)}</td></tr>`).join('');
+
+  const pending = getPendingDeductions([review]);
+  const pendingSection = pending.length > 0 ? `
+    <h2>Reintegros pendientes por descontar en pagos siguientes</h2>
+    <table class="lines">
+      <thead><tr><th>Concepto</th><th>Período</th><th class="money">Pendiente</th></tr></thead>
+      <tbody>${pending.map(line => `
+      <tr><td>${escapeHtml(line.CONCEPTO)}</td><td>${escapeHtml(line.PERIODO)}</td><td class="money">${formatMoney(line.amount)}</td></tr>`).join('')}
+      </tbody>
+    </table>` : '';
+
+  const withholdingRows = withholding ? `
+      <tr><td>Retención en la fuente estimada</td><td class="money">${formatMoney(-withholding.withholding)}</td></tr>
+      <tr class="total"><td>Neto a pagar</td><td class="money">${formatMoney(withholding.net)}</td></tr>` : '';
+
+  return `
+  <section class="statement">
+    <header>
+      ${context.logo ? `<img src="${escapeHtml(context.logo)}" alt="Buk">` : ''}
+      <div>
+        <h1>${TITLE}</h1>
+        <p>Generado el ${escapeHtml(context.date)}${context.source ? ` · ${escapeHtml(context.source)}` : ''}</p>
+      </div>
+    </header>
+
+    <table class="facts">
+      <tr><th>Nombre</th><td>${escapeHtml(review.NOMBRE)}</td><th>Cédula</th><td>${escapeHtml(review.CEDULA)}</td></tr>
+      <tr><th>Sueldo anterior</th><td>${escapeHtml(range.oldSalary)}</td><th>Código de ficha</th><td>${escapeHtml(review.CODIGO_FICHA_COLABORADOR ?? '—')}</td></tr>
+      <tr><th>Sueldo nuevo</th><td>${escapeHtml(range.newSalary)}</td><th>Periodos</th><td>${escapeHtml(range.covered)}</td></tr>
+    </table>
+
+    <h2>Detalle por periodo</h2>
+    <table class="lines">
+      <thead><tr><th>Concepto</th><th>Detalle</th><th>Cálculo</th><th class="money">Valor</th></tr></thead>
+      <tbody>${periodRows}</tbody>
+    </table>
+
+    <h2>Totales</h2>
+    <table class="totals">
+      <tbody>${totalRows}
+      <tr class="total"><td>Total retroactivo</td><td class="money">${formatMoney(review.total)}</td></tr>${withholdingRows}
+      </tbody>
+    </table>${pendingSection}
+  </section>`;
+};
+
+const STYLES = `
+  @page { size: A4; margin: 16mm; }
+  * { box-sizing: border-box; }
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 10pt; color: #1e293b; margin: 0; }
+  .statement { padding: 8mm 0; page-break-after: always; break-after: page; }
+  .statement:last-of-type { page-break-after: auto; break-after: auto; }
+  header { display: flex; align-items: center; gap: 16px; border-bottom: 2px solid #2f4dd3; padding-bottom: 8px; margin-bottom: 12px; }
+  header img { height: 32px; }
+  h1 { font-size: 15pt; margin: 0; color: #1b2a6b; }
+  h2 { font-size: 11pt; margin: 16px 0 6px; color: #1b2a6b; }
+  header p { margin: 2px 0 0; color: #64748b; font-size: 9pt; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 4px 6px; text-align: left; vertical-align: top; }
+  .facts th { color: #64748b; font-weight: normal; width: 18%; }
+  .lines th { border-bottom: 1px solid #cbd5e1; color: #64748b; font-weight: normal; }
+  .lines td { border-bottom: 1px solid #f1f5f9; }
+  .lines tr { page-break-inside: avoid; break-inside: avoid; }
+  .period td { background: #f1f5f9; font-weight: bold; font-size: 9pt; }
+  .deduction td { color: #b91c1c; }
+  .totals { width: 60%; margin-left: auto; }
+  .total td { border-top: 1px solid #1b2a6b; font-weight: bold; }
+  .money { text-align: right; white-space: nowrap; font-variant-numeric: tabular-nums; }
+  .actions { text-align: right; padding: 8px; }
+  @media print { .actions { display: none; } }
+`;
+
+/**
+ * Full HTML document with one statement per page.
+ * @param {RetroStatement[]} statements
+ * @param {{logo?: string, date?: string, source?: string, autoPrint?: boolean}} [options]
+ *   `logo` as a data URL keeps the document self-contained
+ * @returns {string}
+ */
+export const buildStatementHtml = (statements, options = {}) => {
+  const context = {
+    logo: options.logo,
+    date: options.date || new Date().toLocaleDateString('es-CO'),
+    source: options.source
+  };
+  const title = statements.length === 1
+    ? `${TITLE} - ${statements[0].review.NOMBRE}`
+    : TITLE;
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<div class="actions"><button onclick="window.print()">Imprimir / Guardar PDF</button></div>
+${statements.map(statement => renderStatement(statement, context)).join('')}
+${options.autoPrint ? '<script>window.addEventListener(\'load\', () => window.print());</script>' : ''}
+</body>
+</html>`;
+};
+
+/**
+ * Logo from public/ as a data URL; statements go without it if it cannot be read.
+ * @returns {Promise<string|undefined>}
+ */
+export const loadStatementLogo = async () => {
+  try {
+    const response = await fetch(STATEMENT_LOGO);
+    if (!response.ok) return undefined;
+    const blob = await response.blob();
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Opens all statements as one document and prints it. The window is opened
+ * before anything is awaited so the browser ties it to the click.
+ * @param {RetroStatement[]} statements
+ * @param {{source?: string}} [options]
+ */
+export const printStatements = async (statements, options = {}) => {
+  const win = window.open('', '_blank');
+  if (!win) throw new Error('El navegador bloqueó la ventana de impresión. Permite ventanas emergentes para este sitio.');
+  const logo = await loadStatementLogo();
+  win.document.open();
+  win.document.write(buildStatementHtml(statements, { ...options, logo, autoPrint: true }));
+  win.document.close();
+};
+
+/**
+ * Zips one HTML statement per employee, `soporte_retroactivo_<cédula>.html`.
+ * @param {RetroStatement[]} statements
+ * @param {{logo?: string, source?: string}} [options] As for buildStatementHtml
+ * @returns {Uint8Array}
+ */
+export const writeStatementsZip = (statements, options = {}) => {
+  const zip = XLSX.CFB.utils.cfb_new();
+  const encoder = new TextEncoder();
+  statements.forEach(statement => {
+    const cedula = String(statement.review.CEDULA).replace(/[\\/:*?"<>|]/g, '_');
+    XLSX.CFB.utils.cfb_add(
+      zip,
+      `soporte_retroactivo_${cedula}.html`,
+      encoder.encode(buildStatementHtml([statement], options))
+    );
+  });
+  return new Uint8Array(XLSX.CFB.write(zip, { fileType: 'zip', type: 'array', compression: true }));
+};
+
+/**
+ * Downloads every employee's statement as its own HTML file, bundled in a
+ * single zip so the browser doesn't block a burst of downloads.
+ * @param {RetroStatement[]} statements
+ * @param {{source?: string}} [options]
+ */
+export const downloadStatements = async (statements, options = {}) => {
+  const logo = await loadStatementLogo();
+  const blob = new Blob([writeStatementsZip(statements, { ...options, logo })], { type: 'application/zip' });
+  downloadBlob(blob, 'soportes_retroactivo.zip');
+};
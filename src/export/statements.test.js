@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import * as XLSX from 'xlsx';
+import { calculateRetroactive, buildEmployeeReview } from '../engine';
+import { buildStatementHtml, buildStatements, describeFormula, writeStatementsZip } from './statements';
+
+const statementsFor = (...employees) => {
+  const details = [];
+  const reviews = employees.map(employee => {
+    const result = calculateRetroactive({
+      SUELDO_ANTERIOR: 2000000,
+      SUELDO_NUEVO: 2100000,
+      FECHA_INICIO: '2025-01-01',
+      FECHA_FIN: '2025-01-31',
+      HORAS: { '2025-01-01': { HED_CANTIDAD: 10 } },
+      ...employee
+    }, 'mensual');
+    details.push(...result.details);
+    return buildEmployeeReview(employee, result.summaries, result.periodTotals, result.details);
+  });
+  return buildStatements(reviews, details);
+};
+
+describe('statements', () => {
+  it('shows each line with the inputs of its formula and escapes names', () => {
+    const html = buildStatementHtml(statementsFor({ CEDULA: 1, NOMBRE: 'Ana <Pérez>' }), { date: '19/10/2026' });
+    expect(html).toContain('Ana &lt;Pérez&gt;');
+    expect(html).toContain('$ 100.000 × 30 días / 30');
+    expect(html).toContain('× 1,25 × 10 horas');
+  });
+
+  it('takes the factor from the line when the period spans two rule versions', () => {
+    const det = { CONCEPTO: 'Retroactivo HE diurna', DETALLE: 'Periodo 01/07/2025 (4 horas, factor 1.25)' };
+    const period = { rule: 'v2025-07-01 + v2025-07-15', difference: 100000, hourlyDifference: 444.27, days: 15 };
+    expect(describeFormula(det, period)).toBe('$ 444,27 × factor 1.25 × 4 horas');
+  });
+
+  it('zips one file per employee', () => {
+    const bytes = writeStatementsZip(statementsFor({ CEDULA: 1, NOMBRE: 'Ana' }, { CEDULA: '2/3', NOMBRE: 'Beto' }));
+    const zip = XLSX.CFB.read(bytes, { type: 'array' });
+    const names = zip.FileIndex.map(entry => entry.name).filter(name => name.endsWith('.html'));
+    expect(names.sort()).toEqual(['soporte_retroactivo_1.html', 'soporte_retroactivo_2_3.html']);
+    const file = XLSX.CFB.find(zip, 'soporte_retroactivo_1.html');
+    expect(new TextDecoder().decode(file.content)).toContain('Soporte de liquidación de retroactivo');
+  });
+});
@@ -0,0 +1,302 @@
+/**
+ * Past runs saved in the browser's IndexedDB, so a calculation can be
+ * reopened and re-exported after a reload. Nothing leaves the browser.
+ *
+ * The list metadata (name, date, source, totals) is kept apart from the
+ * results so listing stays cheap. When the history is protected with a
+ * passphrase, results, parameters and the name, source and totals of each
+ * entry are encrypted with AES-GCM under a key derived from it (PBKDF2);
+ * the key only lives in memory while unlocked. Only the run date stays in
+ * clear, to sort the list.
+ */
+
+import { getPendingDeductions } from '../engine';
+
+const DB_NAME = 'retroactivos';
+const DB_VERSION = 1;
+const RUNS = 'runs';
+const PAYLOADS = 'payloads';
+const SETTINGS = 'settings';
+const PROTECTION_KEY = 'protection';
+const PBKDF2_ITERATIONS = 250000;
+const CHECK_TEXT = 'retroactivos';
+
+/**
+ * List entry of a saved run.
+ * @typedef {Object} RunEntry
+ * @property {number} id
+ * @property {string|null} name Editable label, the source file name by default
+ * @property {string} createdAt ISO timestamp of the run
+ * @property {string|null} source File name, 'Datos pegados' or 'Simulación individual'
+ * @property {{employees: number, lines: number, total: number, pendingDeductions?: number}|null} summary
+ *   pendingDeductions: reintegros the deduction cap left for later payments
+ * @property {boolean} encrypted name, source and summary are null while an
+ *   encrypted entry is locked
+ */
+
+/**
+ * Everything needed to show and export a run again.
+ * @typedef {Object} RunPayload
+ * @property {string} hash SHA-256 of the input file or data
+ * @property {Object} parameters payrollType, options and source, as for buildReportSheets
+ * @property {Object} results details, reviews, rejections, contributions, derivedSalaries and notes
+ */
+
+let unlockedKey = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDb = () => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    db.createObjectStore(RUNS, { keyPath: 'id', autoIncrement: true });
+    db.createObjectStore(PAYLOADS);
+    db.createObjectStore(SETTINGS);
+  };
+  return promisify(request);
+};
+
+// Runs fn with the stores of one transaction and resolves once it commits
+const withStores = async (names, mode, fn) => {
+  const db = await openDb();
+  try {
+    const tx = db.transaction(names, mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    const result = await fn(...names.map(name => tx.objectStore(name)));
+    await done;
+    return result;
+  } finally {
+    db.close();
+  }
+};
+
+/**
+ * SHA-256 of a file's bytes or a text, as hex.
+ * @param {ArrayBuffer|string} content
+ * @returns {Promise<string>}
+ */
+export const hashContent = async (content) => {
+  const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const deriveKey = async (passphrase, salt) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const encrypt = async (key, value) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+  return { iv, data };
+};
+
+const decrypt = async (key, { iv, data }) => {
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+  return JSON.parse(new TextDecoder().decode(plain));
+};
+
+// Entries of a protected history keep name, source and summary in `meta`
+const sealEntry = async (key, { name, source, summary, ...entry }) => ({
+  ...entry,
+  encrypted: true,
+  meta: await encrypt(key, { name, source, summary })
+});
+
+const openEntry = async (key, { meta, ...entry }) => ({ ...entry, ...(await decrypt(key, meta)) });
+
+// Entry as listed: metadata decrypted when unlocked, left out when locked
+const readEntry = (entry) => {
+  if (!entry.encrypted) return entry;
+  if (unlockedKey) return openEntry(unlockedKey, entry);
+  const { meta: _meta, ...rest } = entry;
+  return { ...rest, name: null, source: null, summary: null };
+};
+
+const getProtectionRecord = () => withStores([SETTINGS], 'readonly', settings => promisify(settings.get(PROTECTION_KEY)));
+
+/**
+ * @returns {Promise<{enabled: boolean, unlocked: boolean}>}
+ */
+export const getProtection = async () => {
+  const record = await getProtectionRecord();
+  return { enabled: Boolean(record), unlocked: !record || unlockedKey !== null };
+};
+
+/**
+ * Unlocks a protected history for this session.
+ * @param {string} passphrase
+ * @throws {Error} When the passphrase is wrong
+ */
+export const unlockHistory = async (passphrase) => {
+  const record = await getProtectionRecord();
+  if (!record) return;
+  const key = await deriveKey(passphrase, record.salt);
+  try {
+    if (await decrypt(key, record.check) !== CHECK_TEXT) throw new Error();
+  } catch {
+    throw new Error('Contraseña incorrecta.');
+  }
+  unlockedKey = key;
+};
+
+/** Forgets the key; saved runs can't be opened until unlocked again. */
+export const lockHistory = () => {
+  unlockedKey = null;
+};
+
+// Re-encodes every payload when protection is turned on or off, and
+// updates the protection setting in the same transaction as the writes
+const rewritePayloads = async (transform, updateSettings) => {
+  const [entries, stored] = await withStores([RUNS, PAYLOADS], 'readonly', async (runs, payloads) => {
+    const all = await promisify(runs.getAll());
+    return [all, await Promise.all(all.map(entry => promisify(payloads.get(entry.id))))];
+  });
+
+  // Crypto runs between transactions; awaiting it inside one would let it commit early
+  const rewritten = await Promise.all(entries.map((entry, i) => transform(entry, stored[i])));
+
+  await withStores([RUNS, PAYLOADS, SETTINGS], 'readwrite', (runs, payloads, settings) => {
+    rewritten.forEach(({ entry, payload }) => {
+      runs.put(entry);
+      payloads.put(payload, entry.id);
+    });
+    updateSettings(settings);
+  });
+};
+
+/**
+ * Protects the history with a passphrase, encrypting the runs saved so far.
+ * @param {string} passphrase
+ */
+export const enableProtection = async (passphrase) => {
+  if (await getProtectionRecord()) throw new Error('El historial ya está protegido.');
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt);
+  const check = await encrypt(key, CHECK_TEXT);
+
+  await rewritePayloads(
+    async (entry, payload) => ({
+      entry: entry.encrypted ? entry : await sealEntry(key, entry),
+      payload: entry.encrypted ? payload : await encrypt(key, payload)
+    }),
+    settings => settings.put({ salt, check }, PROTECTION_KEY)
+  );
+  unlockedKey = key;
+};
+
+/**
+ * Removes the passphrase and stores the runs in clear again. The history
+ * must be unlocked.
+ */
+export const disableProtection = async () => {
+  if (!unlockedKey) throw new Error('Desbloquee el historial primero.');
+  const key = unlockedKey;
+
+  await rewritePayloads(
+    async (entry, payload) => ({
+      entry: entry.encrypted ? { ...(await openEntry(key, entry)), encrypted: false } : entry,
+      payload: entry.encrypted ? await decrypt(key, payload) : payload
+    }),
+    settings => settings.delete(PROTECTION_KEY)
+  );
+  unlockedKey = null;
+};
+
+/**
+ * @returns {Promise<RunEntry[]>} Most recent first
+ */
+export const listRuns = async () => {
+  const entries = await withStores([RUNS], 'readonly', runs => promisify(runs.getAll()));
+  const listed = await Promise.all(entries.map(readEntry));
+  return listed.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Saves a finished run.
+ * @param {Object} run
+ * @param {string} run.source
+ * @param {RunPayload['hash']} run.hash
+ * @param {RunPayload['parameters']} run.parameters
+ * @param {RunPayload['results']} run.results
+ * @returns {Promise<number|null>} The new id, or null when the history is
+ *   protected and locked
+ */
+export const saveRun = async ({ source, hash, parameters, results }) => {
+  const { enabled, unlocked } = await getProtection();
+  if (!unlocked) return null;
+
+  const payload = { hash, parameters, results };
+  const storedPayload = enabled ? await encrypt(unlockedKey, payload) : payload;
+  const entry = {
+    name: source,
+    createdAt: new Date().toISOString(),
+    source,
+    summary: {
+      employees: results.reviews.length,
+      lines: results.details.length,
+      total: results.details.reduce((sum, det) => sum + det.VALOR_A_PAGAR, 0),
+      pendingDeductions: getPendingDeductions(results.reviews).reduce((sum, line) => sum + line.amount, 0)
+    },
+    encrypted: false
+  };
+  const stored = enabled ? await sealEntry(unlockedKey, entry) : entry;
+
+  return withStores([RUNS, PAYLOADS], 'readwrite', async (runs, payloads) => {
+    const id = await promisify(runs.add(stored));
+    payloads.put(storedPayload, id);
+    return id;
+  });
+};
+
+/**
+ * @param {number} id
+ * @returns {Promise<RunEntry & RunPayload>}
+ * @throws {Error} When the run is encrypted and the history is locked
+ */
+export const loadRun = async (id) => {
+  const [entry, payload] = await withStores([RUNS, PAYLOADS], 'readonly', (runs, payloads) =>
+    Promise.all([promisify(runs.get(id)), promisify(payloads.get(id))])
+  );
+  if (!entry.encrypted) return { ...entry, ...payload };
+  if (!unlockedKey) throw new Error('Desbloquee el historial para abrir esta ejecución.');
+  return { ...(await openEntry(unlockedKey, entry)), ...(await decrypt(unlockedKey, payload)) };
+};
+
+/**
+ * @param {number} id
+ * @param {string} name
+ * @throws {Error} When the run is encrypted and the history is locked
+ */
+export const renameRun = async (id, name) => {
+  const entry = await withStores([RUNS], 'readonly', runs => promisify(runs.get(id)));
+  if (entry.encrypted && !unlockedKey) throw new Error('Desbloquee el historial para renombrar esta ejecución.');
+  // Crypto runs between transactions; awaiting it inside one would let it commit early
+  const renamed = entry.encrypted
+    ? await sealEntry(unlockedKey, { ...(await openEntry(unlockedKey, entry)), name })
+    : { ...entry, name };
+  await withStores([RUNS], 'readwrite', runs => runs.put(renamed));
+};
+
+/**
+ * @param {number} id
+ */
+export const deleteRun = (id) => withStores([RUNS, PAYLOADS], 'readwrite', (runs, payloads) => {
+  runs.delete(id);
+  payloads.delete(id);
+});
@@ -0,0 +1,273 @@
+/**
+ * Header-name based column mapping for the "reporte de pagos" upload.
+ * Columns are matched by normalized header text, so reordered or added
+ * columns in the Buk export don't shift the values we read.
+ */
+
+/**
+ * Lowercases, strips accents and collapses whitespace so headers can be
+ * compared loosely. A "(1,25)"-style factor is kept, written as "(1.25)":
+ * Buk reports can carry the same column for two factors, e.g. "(2.00)"
+ * and "(2.05)".
+ * @param {unknown} header
+ * @returns {string}
+ */
+export const normalizeHeader = (header) => {
+  if (header === null || header === undefined) return '';
+  return String(header)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\(\s*(\d+)(?:[.,](\d+))?\s*\)/g, (match, int, dec) => (dec ? `(${int}.${dec})` : `(${int})`))
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Drops the factor of a normalized header.
+ * @param {string} header From normalizeHeader
+ * @returns {string}
+ */
+export const stripFactor = (header) => header.replace(/\s*\(\d+(\.\d+)?\)/g, '').trim();
+
+/**
+ * Finds the column whose normalized header is one of `names`: an exact
+ * match first, then ignoring factors, but only when that leaves a single
+ * column, so "(2.00)" and "(2.05)" versions are never mixed up.
+ * @param {string[]} headers Normalized headers
+ * @param {string[]} names Normalized header texts to look for
+ * @returns {{index: number, candidates: number[]}} index is -1 when there is no
+ *   single match; candidates lists every column matching without factors
+ */
+export const findHeader = (headers, names) => {
+  const exact = headers.findIndex(h => h && names.includes(h));
+  const loose = names.map(stripFactor);
+  const candidates = headers.flatMap((h, i) => (h && loose.includes(stripFactor(h)) ? [i] : []));
+  if (exact !== -1) return { index: exact, candidates };
+  return { index: candidates.length === 1 ? candidates[0] : -1, candidates };
+};
+
+/**
+ * Fields read from each upload row. `aliases` are compared after
+ * normalizeHeader, so they are written lowercase and without accents, and
+ * see findHeader for headers that carry a factor.
+ */
+export const UPLOAD_COLUMNS = [
+  {
+    field: 'PERIODO',
+    label: 'Período',
+    required: true,
+    aliases: ['comprobante - periodo', 'periodo', 'fecha periodo']
+  },
+  {
+    field: 'NOMBRE',
+    label: 'Nombre completo',
+    required: false,
+    aliases: ['colaborador - nombre completo', 'nombre completo', 'nombre']
+  },
+  {
+    field: 'CEDULA',
+    label: 'Número de documento',
+    required: true,
+    aliases: ['colaborador - numero de documento', 'numero de documento', 'cedula', 'documento']
+  },
+  {
+    field: 'CODIGO_FICHA_COLABORADOR',
+    label: 'Código de ficha',
+    required: false,
+    aliases: ['colaborador - codigo de ficha', 'codigo de ficha', 'ficha']
+  },
+  {
+    field: 'SUELDO_ANTERIOR',
+    label: 'Salario anterior',
+    required: true,
+    aliases: ['salario anterior', 'sueldo anterior']
+  },
+  {
+    field: 'SUELDO_NUEVO',
+    label: 'Salario nuevo',
+    required: true,
+    aliases: ['salario actual', 'salario nuevo', 'sueldo nuevo', 'sueldo actual']
+  },
+  {
+    field: 'FECHA_CAMBIO_SUELDO',
+    label: 'Fecha cambio salarial',
+    required: false,
+    aliases: ['fecha cambio salarial', 'fecha cambio sueldo', 'fecha cambio salario', 'vigente desde']
+  },
+  {
+    field: 'SUELDO_CAMBIO',
+    label: 'Salario desde el cambio',
+    required: false,
+    aliases: ['salario desde el cambio', 'sueldo desde el cambio', 'salario cambio', 'sueldo cambio']
+  },
+  {
+    field: 'AUXILIO_ANTERIOR',
+    label: 'Auxilio de transporte anterior',
+    required: false,
+    aliases: ['auxilio de transporte anterior', 'auxilio anterior', 'auxilio de transporte pagado']
+  },
+  {
+    field: 'INGRESO_MENSUAL',
+    label: 'Ingreso mensual habitual',
+    required: false,
+    aliases: ['ingreso mensual habitual', 'ingreso mensual', 'ingresos laborales del mes']
+  },
+  {
+    field: 'DEDUCCIONES_RETENCION',
+    label: 'Deducciones retención',
+    required: false,
+    aliases: ['deducciones retencion', 'deducciones retencion en la fuente', 'deducciones para retencion']
+  },
+  {
+    field: 'AUSENCIA_LNR',
+    label: 'Días licencia no remunerada',
+    required: false,
+    aliases: ['dias licencia no remunerada', 'licencia no remunerada', 'dias lnr']
+  },
+  {
+    field: 'AUSENCIA_SUS',
+    label: 'Días suspensión',
+    required: false,
+    aliases: ['dias suspension', 'suspension', 'dias de suspension']
+  },
+  {
+    field: 'AUSENCIA_AUS',
+    label: 'Días ausencia injustificada',
+    required: false,
+    aliases: ['dias ausencia injustificada', 'ausencia injustificada', 'dias ausencia']
+  },
+  {
+    field: 'AUSENCIA_INC',
+    label: 'Días incapacidad',
+    required: false,
+    aliases: ['dias incapacidad', 'incapacidad', 'dias incapacidad general', 'incapacidad general']
+  },
+  {
+    field: 'HEFD_CANTIDAD',
+    label: 'Horas HE festiva diurna',
+    required: false,
+    aliases: ['comprobante - hora extra diurna dominical y festivos']
+  },
+  {
+    field: 'HED_CANTIDAD',
+    label: 'Horas HE diurna',
+    required: false,
+    aliases: ['comprobante - hora extra diurna ordinaria']
+  },
+  {
+    field: 'HEN_CANTIDAD',
+    label: 'Horas HE nocturna',
+    required: false,
+    aliases: ['comprobante - hora extra nocturna']
+  },
+  {
+    field: 'HEFN_CANTIDAD',
+    label: 'Horas HE festiva nocturna',
+    required: false,
+    aliases: ['comprobante - hora extra nocturna dominical y festivos']
+  },
+  {
+    field: 'RDDFH_CANTIDAD',
+    label: 'Horas recargo diurno festivo',
+    required: false,
+    aliases: ['comprobante - hora recargo diurno dominical y festivos habitual']
+  },
+  {
+    field: 'RN_CANTIDAD',
+    label: 'Horas recargo nocturno',
+    required: false,
+    aliases: ['comprobante - hora recargo nocturno']
+  },
+  {
+    field: 'RNDF_CANTIDAD',
+    label: 'Horas recargo nocturno festivo',
+    required: false,
+    aliases: ['comprobante - hora recargo nocturno dominical y festivos']
+  }
+];
+
+const REQUIRED_FIELDS = UPLOAD_COLUMNS.filter(c => c.required).map(c => c.field);
+
+/**
+ * Matches a header row against the known aliases and, for fields still
+ * unresolved, against saved mappings (most recent first).
+ * @param {unknown[]} headers
+ * @param {Array<{columns: Object<string, string>}>} [savedMappings]
+ * @param {string[]} [optionalFields] Required fields that are not needed this time
+ * @returns {{columns: Object<string, number>, missing: string[], ambiguous: string[]}}
+ *   `columns` maps field → column index, `missing` lists unresolved required fields
+ *   and `ambiguous` the fields left unresolved because several columns differ only in
+ *   their factor
+ */
+export const resolveColumns = (headers, savedMappings = [], optionalFields = []) => {
+  const normalized = (headers || []).map(normalizeHeader);
+  const columns = {};
+  const ambiguous = new Set();
+
+  UPLOAD_COLUMNS.forEach(({ field, aliases }) => {
+    const { index, candidates } = findHeader(normalized, aliases);
+    if (index !== -1) columns[field] = index;
+    else if (candidates.length > 1) ambiguous.add(field);
+  });
+
+  savedMappings.forEach(mapping => {
+    Object.entries(mapping.columns).forEach(([field, header]) => {
+      if (columns[field] !== undefined) return;
+      const { index } = findHeader(normalized, [header]);
+      if (index === -1) return;
+      columns[field] = index;
+      ambiguous.delete(field);
+    });
+  });
+
+  const missing = REQUIRED_FIELDS.filter(field => !optionalFields.includes(field) && columns[field] === undefined);
+  return { columns, missing, ambiguous: [...ambiguous] };
+};
+
+/**
+ * Finds the header row anywhere in the sheet: the row matching the most
+ * fields wins, stopping early once a row resolves every required field.
+ * @param {unknown[][]} rows
+ * @param {Array<{columns: Object<string, string>}>} [savedMappings]
+ * @param {string[]} [optionalFields] Required fields that are not needed this time
+ * @returns {{headerRowIndex: number, columns: Object<string, number>, missing: string[], ambiguous: string[]}}
+ *   headerRowIndex is -1 when no row looks like a header; see resolveColumns
+ */
+export const detectColumns = (rows, savedMappings = [], optionalFields = []) => {
+  let best = {
+    headerRowIndex: -1,
+    columns: {},
+    missing: REQUIRED_FIELDS.filter(field => !optionalFields.includes(field)),
+    ambiguous: [],
+    score: 0
+  };
+
+  for (let i = 0; i < rows.length; i++) {
+    const resolved = resolveColumns(rows[i], savedMappings, optionalFields);
+    const score = Object.keys(resolved.columns).length;
+    if (score > best.score) {
+      best = { headerRowIndex: i, ...resolved, score };
+      if (resolved.missing.length === 0) break;
+    }
+  }
+
+  const { headerRowIndex, columns, missing, ambiguous } = best;
+  return { headerRowIndex, columns, missing, ambiguous };
+};
+
+/**
+ * Turns a field → index mapping into field → normalized header text, the
+ * shape stored for reuse on later uploads.
+ * @param {unknown[]} headers
+ * @param {Object<string, number>} columns
+ * @returns {Object<string, string>}
+ */
+export const toSavedColumns = (headers, columns) => {
+  const saved = {};
+  Object.entries(columns).forEach(([field, index]) => {
+    const header = normalizeHeader(headers[index]);
+    if (header) saved[field] = header;
+  });
+  return saved;
+};
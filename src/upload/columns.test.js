@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import { detectColumns, findHeader, normalizeHeader, resolveColumns, stripFactor } from './columns';
+
+const BASE = ['Comprobante - Período', 'Colaborador - Número de Documento', 'Salario anterior', 'Salario actual'];
+
+describe('normalizeHeader', () => {
+  it('ignores accents, case and spacing and keeps the factor', () => {
+    expect(normalizeHeader('  Comprobante -   PERÍODO ')).toBe('comprobante - periodo');
+    expect(normalizeHeader('Hora Extra Diurna Dominical y Festivos ( 2,05 )')).toBe('hora extra diurna dominical y festivos (2.05)');
+    expect(stripFactor('hora extra diurna dominical y festivos (2.05)')).toBe('hora extra diurna dominical y festivos');
+  });
+});
+
+describe('findHeader', () => {
+  const headers = ['a (2.00)', 'a (2.05)', 'b (1.25)'].map(normalizeHeader);
+
+  it('prefers an exact match', () => {
+    expect(findHeader(headers, ['a (2.05)']).index).toBe(1);
+  });
+
+  it('ignores the factor only when a single column is left', () => {
+    expect(findHeader(headers, ['b']).index).toBe(2);
+    expect(findHeader(headers, ['a'])).toEqual({ index: -1, candidates: [0, 1] });
+  });
+});
+
+describe('resolveColumns', () => {
+  it('maps columns by header wherever they are', () => {
+    const { columns, missing, ambiguous } = resolveColumns(['Nombre', ...BASE.reverse()]);
+    expect(columns).toMatchObject({ NOMBRE: 0, SUELDO_NUEVO: 1, SUELDO_ANTERIOR: 2, CEDULA: 3, PERIODO: 4 });
+    expect(missing).toEqual([]);
+    expect(ambiguous).toEqual([]);
+  });
+
+  it('reads an hours column with a factor when it is the only one', () => {
+    const { columns } = resolveColumns([...BASE, 'Comprobante - Hora Extra Diurna Dominical y Festivos (2.05)']);
+    expect(columns.HEFD_CANTIDAD).toBe(4);
+  });
+
+  it('does not pick between two factors of the same hours column', () => {
+    const { columns, ambiguous } = resolveColumns([
+      ...BASE,
+      'Comprobante - Hora Extra Diurna Dominical y Festivos (2.00)',
+      'Comprobante - Hora Extra Diurna Dominical y Festivos (2.05)'
+    ]);
+    expect(columns.HEFD_CANTIDAD).toBeUndefined();
+    expect(ambiguous).toEqual(['HEFD_CANTIDAD']);
+  });
+
+  it('resolves the ambiguity with a saved mapping of the exact header', () => {
+    const headers = [
+      ...BASE,
+      'Comprobante - Hora Extra Diurna Dominical y Festivos (2.00)',
+      'Comprobante - Hora Extra Diurna Dominical y Festivos (2.05)'
+    ];
+    const saved = [{ columns: { HEFD_CANTIDAD: 'comprobante - hora extra diurna dominical y festivos (2.05)' } }];
+    const { columns, ambiguous } = resolveColumns(headers, saved);
+    expect(columns.HEFD_CANTIDAD).toBe(5);
+    expect(ambiguous).toEqual([]);
+  });
+});
+
+describe('detectColumns', () => {
+  it('finds the header row below a title', () => {
+    const rows = [['Reporte de pagos'], [], BASE, ['01/01/2025', 1, 100, 110]];
+    expect(detectColumns(rows)).toMatchObject({ headerRowIndex: 2, missing: [], ambiguous: [] });
+  });
+
+  it('lists required columns it could not find', () => {
+    expect(detectColumns([['Comprobante - Período']]).missing).toEqual(['CEDULA', 'SUELDO_ANTERIOR', 'SUELDO_NUEVO']);
+  });
+});
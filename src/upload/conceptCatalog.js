@@ -0,0 +1,106 @@
+/**
+ * Buk item codes and centros de costo for each retro concept, saved in
+ * localStorage and shared between analysts as a JSON file.
+ */
+
+import { OT_CONCEPTS, toDeductionConcept } from '../engine';
+
+const STORAGE_KEY = 'retroactivos.conceptCatalog';
+
+/**
+ * @typedef {Object} CatalogEntry
+ * @property {string} concept Concept name as it appears in the detail (CONCEPTO)
+ * @property {string} code Buk item code for the importer's "Código*" column
+ * @property {string} costCenter Optional centro de costo
+ * @property {boolean} [custom] Added by the user rather than produced by the engine
+ */
+
+const PAYROLL_CONCEPTS = [
+  'Retroactivo sueldo',
+  ...OT_CONCEPTS.map(concept => concept.label),
+  'Retroactivo auxilio de transporte'
+];
+
+/** Concepts the calculation can produce, in the order they are listed. */
+export const RETRO_CONCEPTS = [
+  ...PAYROLL_CONCEPTS,
+  'Retroactivo prima de servicios',
+  'Retroactivo cesantías',
+  'Retroactivo intereses sobre cesantías',
+  'Retroactivo vacaciones',
+  ...PAYROLL_CONCEPTS.map(toDeductionConcept)
+];
+
+// Every known concept first, then the user's own ones, keeping saved codes
+const withDefaults = (entries) => {
+  const byConcept = new Map(entries.map(entry => [entry.concept, entry]));
+  const known = RETRO_CONCEPTS.map(concept => ({ concept, code: '', costCenter: '', ...byConcept.get(concept) }));
+  const custom = entries
+    .filter(entry => !RETRO_CONCEPTS.includes(entry.concept))
+    .map(entry => ({ ...entry, custom: true }));
+  return [...known, ...custom];
+};
+
+const sanitize = (entries) => entries
+  .filter(entry => entry && typeof entry.concept === 'string' && entry.concept.trim() !== '')
+  .map(entry => ({
+    concept: entry.concept.trim(),
+    code: String(entry.code ?? '').trim(),
+    costCenter: String(entry.costCenter ?? '').trim()
+  }));
+
+/**
+ * @returns {CatalogEntry[]} Known concepts plus the user's own, with saved codes
+ */
+export const loadConceptCatalog = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return withDefaults(Array.isArray(parsed) ? sanitize(parsed) : []);
+  } catch {
+    return withDefaults([]);
+  }
+};
+
+/**
+ * Saves the catalog; rows without a concept name are left out.
+ * @param {CatalogEntry[]} entries
+ */
+export const saveConceptCatalog = (entries) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(sanitize(entries)));
+};
+
+/**
+ * @param {CatalogEntry[]} entries
+ * @returns {string} Pretty-printed JSON for sharing
+ */
+export const exportConceptCatalog = (entries) =>
+  JSON.stringify({ version: 1, concepts: sanitize(entries) }, null, 2);
+
+/**
+ * Reads a catalog exported by exportConceptCatalog. A bare array of
+ * entries is accepted too.
+ * @param {string} text
+ * @returns {CatalogEntry[]}
+ * @throws {Error} When the file isn't a catalog
+ */
+export const parseConceptCatalog = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('El archivo no es un JSON válido.');
+  }
+  const entries = Array.isArray(parsed) ? parsed : parsed?.concepts;
+  if (!Array.isArray(entries)) {
+    throw new Error('El archivo no contiene un catálogo de conceptos.');
+  }
+  return withDefaults(sanitize(entries));
+};
+
+/**
+ * @param {CatalogEntry[]} catalog
+ * @param {string} concept
+ * @returns {CatalogEntry|undefined}
+ */
+export const findConcept = (catalog, concept) => catalog.find(entry => entry.concept === concept);
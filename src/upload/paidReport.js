@@ -0,0 +1,70 @@
+/**
+ * Reads a "pagado" report: the Buk reporte de pagos layout with the retro
+ * amounts already paid, one row per employee and period and one column per
+ * concept (see REPORT_CONCEPTS).
+ */
+
+import { REPORT_CONCEPTS, formatReportDate, getPeriodForDate, parseCellDate } from '../engine';
+import { detectColumns, findHeader, normalizeHeader } from './columns';
+
+/**
+ * Where the report keeps each value.
+ * @typedef {Object} PaidReportLayout
+ * @property {number} headerRowIndex
+ * @property {number} cedula Column index of the document number
+ * @property {number} periodo Column index of the period date
+ * @property {Array<{index: number, concept: string}>} concepts Value columns found; a
+ *   concept paid under two factors ("(2.00)" and "(2.05)") has one entry per column
+ */
+
+/**
+ * Finds the header row and the concept columns of a pagado report.
+ * @param {unknown[][]} rows
+ * @returns {PaidReportLayout}
+ * @throws {Error} When the period, document or every concept column is missing
+ */
+export const detectPaidReportLayout = (rows) => {
+  // Only the period and document are needed from the calculation columns
+  const { headerRowIndex, columns } = detectColumns(rows, [], ['SUELDO_ANTERIOR', 'SUELDO_NUEVO']);
+  if (headerRowIndex === -1 || columns.PERIODO === undefined || columns.CEDULA === undefined) {
+    throw new Error('El reporte pagado debe tener las columnas de período y número de documento.');
+  }
+
+  // Every column of a concept is read, whatever its factor: they are all
+  // amounts paid for it, and they add up by cédula, period and concept
+  const headers = rows[headerRowIndex].map(normalizeHeader);
+  const concepts = REPORT_CONCEPTS.flatMap(({ column, concept }) =>
+    findHeader(headers, [normalizeHeader(column)]).candidates.map(index => ({ index, concept })));
+  if (concepts.length === 0) {
+    throw new Error('El reporte pagado no tiene columnas de valores pagados (salario, horas extra o auxilio).');
+  }
+
+  return { headerRowIndex, cedula: columns.CEDULA, periodo: columns.PERIODO, concepts };
+};
+
+/**
+ * Turns the report rows into paid amounts by cédula, period and concept.
+ * Rows without a valid period or document and zero values are skipped.
+ * @param {unknown[][]} rows
+ * @param {PaidReportLayout} layout
+ * @param {import('../engine/types').PayrollType} payrollType
+ * @returns {import('../engine/reconcile').PaidRecord[]}
+ */
+export const toPaidRecords = (rows, layout, payrollType) => {
+  const records = [];
+
+  rows.slice(layout.headerRowIndex + 1).forEach(row => {
+    const cedula = row?.[layout.cedula];
+    const date = parseCellDate(row?.[layout.periodo]);
+    if (cedula === undefined || cedula === null || String(cedula).trim() === '' || !date) return;
+    const period = formatReportDate(getPeriodForDate(date, payrollType).start);
+
+    layout.concepts.forEach(({ index, concept }) => {
+      const value = Number(row[index]);
+      if (!value) return;
+      records.push({ CEDULA: cedula, PERIODO: period, CONCEPTO: concept, VALOR: value });
+    });
+  });
+
+  return records;
+};
@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { detectPaidReportLayout, toPaidRecords } from './paidReport';
+
+describe('paid report', () => {
+  const rows = [
+    [
+      'Comprobante - Período',
+      'Colaborador - Número de Documento',
+      'Devengos Prestacionales - Salario',
+      'Devengos Prestacionales - Hora Extra Diurna Dominical Y Festivos (2.00)',
+      'Devengos Prestacionales - Hora Extra Diurna Dominical Y Festivos (2.05)'
+    ],
+    ['01/06/2025', 1, 100000, 3000, 0],
+    ['01/07/2025', 1, 100000, 0, 4000]
+  ];
+
+  it('reads every factor column of a concept', () => {
+    const layout = detectPaidReportLayout(rows);
+    expect(layout.concepts.map(c => c.index)).toEqual([2, 3, 4]);
+    expect(toPaidRecords(rows, layout, 'mensual').filter(r => r.CONCEPTO === 'Retroactivo HE festiva diurna'))
+      .toEqual([
+        { CEDULA: 1, PERIODO: '01/06/2025', CONCEPTO: 'Retroactivo HE festiva diurna', VALOR: 3000 },
+        { CEDULA: 1, PERIODO: '01/07/2025', CONCEPTO: 'Retroactivo HE festiva diurna', VALOR: 4000 }
+      ]);
+  });
+
+  it('requires period and document columns', () => {
+    expect(() => detectPaidReportLayout([['Salario']])).toThrow('período y número de documento');
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Reads CSV/TSV files and pasted clipboard text into the same row arrays
+ * that XLSX.utils.sheet_to_json({ header: 1 }) returns for Excel files.
+ */
+
+const DELIMITERS = ['\t', ';', ',', '|'];
+const SAMPLE_LINES = 20;
+
+/**
+ * Splits delimited text into rows, honoring double-quoted fields that may
+ * hold delimiters, line breaks or escaped quotes ("").
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string[][]}
+ */
+export const parseDelimited = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Picks the delimiter that splits the first lines into the same, largest
+ * number of fields. Tabs win ties since clipboard content from
+ * spreadsheets is tab-separated.
+ * @param {string} text
+ * @returns {string}
+ */
+export const detectDelimiter = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, SAMPLE_LINES);
+  let best = { delimiter: ',', score: 0 };
+
+  DELIMITERS.forEach(delimiter => {
+    const counts = parseDelimited(lines.join('\n'), delimiter).map(row => row.length);
+    if (counts.length === 0) return;
+    const fields = Math.min(...counts);
+    const consistent = counts.filter(count => count === counts[0]).length / counts.length;
+    const score = fields > 1 ? fields * consistent : 0;
+    if (score > best.score) best = { delimiter, score };
+  });
+
+  return best.delimiter;
+};
+
+// Number shapes that only read one way: several thousands groups, or a
+// decimal part that isn't three digits long ("1.234" could be either)
+const COMMA_DECIMAL = [/^-?\d{1,3}(\.\d{3}){2,}(,\d+)?$/, /^-?\d{1,3}(\.\d{3})+,\d+$/, /^-?\d+,(\d{1,2}|\d{4,})$/];
+const DOT_DECIMAL = [/^-?\d{1,3}(,\d{3}){2,}(\.\d+)?$/, /^-?\d{1,3}(,\d{3})+\.\d+$/, /^-?\d+\.(\d{1,2}|\d{4,})$/];
+
+const cleanNumber = (cell) => cell.replace(/[$\s]/g, '');
+
+/**
+ * Decides whether "," or "." is the decimal separator by counting cells
+ * that only read one way. "1.234" alone is ambiguous and doesn't vote.
+ * @param {string[][]} rows
+ * @returns {','|'.'|null} null when no cell votes
+ */
+export const detectDecimalSeparator = (rows) => {
+  let comma = 0;
+  let dot = 0;
+
+  rows.forEach(row => row.forEach(cell => {
+    const value = cleanNumber(String(cell));
+    if (COMMA_DECIMAL.some(pattern => pattern.test(value))) comma++;
+    else if (DOT_DECIMAL.some(pattern => pattern.test(value))) dot++;
+  }));
+
+  if (comma === 0 && dot === 0) return null;
+  return comma > dot ? ',' : '.';
+};
+
+// With no decimal separator detected, only integers and thousands groups
+// ("1.300", "1,300") are left, so either separator groups thousands
+const GROUPED_INTEGER = /^-?(\d{1,3}(\.\d{3})+|\d{1,3}(,\d{3})+|\d+)$/;
+
+/**
+ * Converts a numeric-looking cell to a number using the detected decimal
+ * separator. Anything else (names, dates, blanks) is returned trimmed.
+ * @param {string} cell
+ * @param {','|'.'|null} decimal
+ * @returns {string|number}
+ */
+export const toCellValue = (cell, decimal) => {
+  const text = cell.trim();
+  const value = cleanNumber(text);
+  if (decimal === null) return GROUPED_INTEGER.test(value) ? Number(value.replace(/[.,]/g, '')) : text;
+
+  const thousands = decimal === ',' ? '.' : ',';
+  const pattern = decimal === ','
+    ? /^-?(\d{1,3}(\.\d{3})+|\d+)(,\d+)?$/
+    : /^-?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$/;
+
+  if (!pattern.test(value)) return text;
+  return Number(value.split(thousands).join('').replace(decimal, '.'));
+};
+
+/**
+ * Parses CSV/TSV text with delimiter and decimal separator detection.
+ * Blank lines are kept as rows, like Excel sheets, so row numbers in
+ * rejections match the line numbers of the file.
+ * @param {string} text
+ * @returns {{rows: Array<Array<string|number>>, delimiter: string, decimal: ','|'.'|null}}
+ */
+export const parseTextTable = (text) => {
+  const clean = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(clean);
+  const raw = parseDelimited(clean, delimiter);
+  const decimal = detectDecimalSeparator(raw);
+  const rows = raw.map(row => row.map(cell => toCellValue(cell, decimal)));
+  return { rows, delimiter, decimal };
+};
+
+/**
+ * Reads a text file as UTF-8, falling back to Windows-1252 (Excel's "CSV"
+ * export on Spanish Windows) when the bytes aren't valid UTF-8.
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+export const readTextFile = async (file) => {
+  const bytes = await file.arrayBuffer();
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+};
+
+/**
+ * @param {string} fileName
+ * @returns {boolean} The file is read as delimited text rather than a workbook
+ */
+export const isTextFile = (fileName) => /\.(csv|tsv|txt)$/i.test(fileName);
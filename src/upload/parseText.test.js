@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import { detectDecimalSeparator, parseTextTable, toCellValue } from './parseText';
+
+describe('parseTextTable', () => {
+  it('keeps blank lines so row numbers match the file', () => {
+    const { rows } = parseTextTable('CEDULA;SUELDO\n1;100\n\n2;200\n');
+    expect(rows).toEqual([['CEDULA', 'SUELDO'], [1, 100], [''], [2, 200]]);
+  });
+
+  it('reads the decimal separator from cells that only read one way', () => {
+    expect(parseTextTable('A;B\n1.300;2,5\n').rows[1]).toEqual([1300, 2.5]);
+    expect(parseTextTable('A,B\n"1,300",2.5\n').rows[1]).toEqual([1300, 2.5]);
+  });
+
+  it('reads a separator followed by three digits as thousands when nothing else tells', () => {
+    expect(parseTextTable('A;B\n1.300;2.000.000\n').rows[1]).toEqual([1300, 2000000]);
+    expect(parseTextTable('A\tB\n1,300\t2\n').rows[1]).toEqual([1300, 2]);
+  });
+});
+
+describe('detectDecimalSeparator', () => {
+  it('returns null when no cell votes', () => {
+    expect(detectDecimalSeparator([['1.300', '25']])).toBeNull();
+  });
+});
+
+describe('toCellValue', () => {
+  it('leaves text and mixed separators alone without a decimal separator', () => {
+    expect(toCellValue(' Ana ', null)).toBe('Ana');
+    expect(toCellValue('1.300,000', null)).toBe('1.300,000');
+  });
+});
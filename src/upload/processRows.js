@@ -0,0 +1,405 @@
+import {
+  ABSENCE_TYPES,
+  buildEmployeeReview,
+  calculateContributions,
+  calculateRetroactive,
+  deriveNewSalary,
+  estimateWithholding,
+  finishEmployeeLines,
+  formatReportDate,
+  getPeriodForDate,
+  isDeduction,
+  getLineRounding,
+  getNextPayment,
+  getTaxableRetro,
+  parseCellDate,
+  roundsPerEmployee,
+  settleDeductions,
+  toISODate
+} from '../engine';
+import { UPLOAD_COLUMNS } from './columns';
+import { findConcept } from './conceptCatalog';
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+const isNumeric = (value) => !isBlank(value) && !isNaN(Number(value));
+
+const PROGRESS_INTERVAL = 500;
+
+const OT_FIELDS = UPLOAD_COLUMNS.filter(c => c.field.endsWith('_CANTIDAD'));
+const ABSENCE_FIELDS = UPLOAD_COLUMNS.filter(c => c.field.startsWith('AUSENCIA_'));
+
+/**
+ * A sheet row that was skipped or processed with warnings.
+ * @typedef {Object} RowRejection
+ * @property {number} FILA 1-based row number as shown in Excel
+ * @property {'Omitida'|'Advertencia'} TIPO Omitida rows produced no values
+ * @property {string} MOTIVO One or more reasons joined by "; "
+ * @property {Object<string, unknown>} VALORES Raw cell values by field
+ */
+
+/**
+ * Checks a row's raw cells. Errors mean the row can't be calculated;
+ * warnings flag values that were read but look wrong.
+ * @param {Object<string, unknown>} cells
+ * @param {boolean} deriveSalary The new salary is derived, not read from the sheet
+ * @param {boolean} [deductions] A lower new salary is recorded as a reintegro
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+const validateRow = (cells, deriveSalary, deductions) => {
+  const errors = [];
+  const warnings = [];
+
+  if (isBlank(cells.CEDULA)) errors.push('Sin número de documento');
+  if (isBlank(cells.PERIODO)) errors.push('Período vacío');
+  else if (!parseCellDate(cells.PERIODO)) errors.push(`Período no reconocido: "${cells.PERIODO}"`);
+
+  if (!isNumeric(cells.SUELDO_ANTERIOR)) errors.push('Salario anterior vacío o no numérico');
+  if (!deriveSalary && !isNumeric(cells.SUELDO_NUEVO)) errors.push('Salario nuevo vacío o no numérico');
+  if (!deriveSalary && isNumeric(cells.SUELDO_ANTERIOR) && isNumeric(cells.SUELDO_NUEVO)) {
+    const [oldSalary, newSalary] = [Number(cells.SUELDO_ANTERIOR), Number(cells.SUELDO_NUEVO)];
+    if (deductions && newSalary < oldSalary) warnings.push('El salario nuevo es menor al anterior (se registra como reintegro)');
+    else if (newSalary <= oldSalary) warnings.push('El salario nuevo no es mayor al anterior');
+  }
+
+  const hasChangeDate = !isBlank(cells.FECHA_CAMBIO_SUELDO);
+  const hasChangeSalary = !isBlank(cells.SUELDO_CAMBIO);
+  if (hasChangeDate || hasChangeSalary) {
+    if (!hasChangeDate || !parseCellDate(cells.FECHA_CAMBIO_SUELDO)) {
+      warnings.push('Fecha de cambio salarial vacía o no reconocida (se ignora el cambio)');
+    } else if (!isNumeric(cells.SUELDO_CAMBIO)) {
+      warnings.push('Salario desde el cambio vacío o no numérico (se ignora el cambio)');
+    }
+  }
+
+  if (!isBlank(cells.AUXILIO_ANTERIOR) && !isNumeric(cells.AUXILIO_ANTERIOR)) {
+    warnings.push('Auxilio de transporte anterior no numérico (se toma como 0)');
+  }
+  if (!isBlank(cells.INGRESO_MENSUAL) && !isNumeric(cells.INGRESO_MENSUAL)) {
+    warnings.push('Ingreso mensual habitual no numérico (se toma el salario nuevo)');
+  }
+  if (!isBlank(cells.DEDUCCIONES_RETENCION) && !isNumeric(cells.DEDUCCIONES_RETENCION)) {
+    warnings.push('Deducciones de retención no numéricas (se toman como 0)');
+  }
+
+  OT_FIELDS.forEach(({ field, label }) => {
+    const value = cells[field];
+    if (isBlank(value)) return;
+    if (!isNumeric(value)) warnings.push(`${label} no numérico (se toma como 0)`);
+    else if (Number(value) < 0) warnings.push(`${label} negativo (se ignora)`);
+  });
+
+  ABSENCE_FIELDS.forEach(({ field, label }) => {
+    const value = cells[field];
+    if (isBlank(value)) return;
+    if (!isNumeric(value)) warnings.push(`${label} no numérico (se toma como 0)`);
+    else if (Number(value) < 0) warnings.push(`${label} negativo (se ignora)`);
+  });
+
+  return { errors, warnings };
+};
+
+/**
+ * Maps a detail line to the Importador Items format, taking the item code
+ * and centro de costo of its concept from the catalog. Reintegros go as
+ * positive values; their item code is the one that makes them a descuento.
+ * ['Código*', 'Número de Documento*', 'Código de Ficha Colaborador', 'Día de pago anticipo', 'Valor*', 'Detalle', 'Centro Costo']
+ * @param {import('../engine/types').RetroDetail & {CODIGO_FICHA_COLABORADOR?: string|number}} det
+ * @param {import('./conceptCatalog').CatalogEntry[]} [catalog]
+ * @returns {Object<string, string|number>}
+ */
+export const toImportItem = (det, catalog = []) => {
+  const entry = findConcept(catalog, det.CONCEPTO);
+  return {
+    'Código*': entry?.code || '',
+    'Número de Documento*': det.CEDULA,
+    'Código de Ficha Colaborador': det.CODIGO_FICHA_COLABORADOR ?? '',
+    'Día de pago anticipo': '',
+    'Valor*': Math.abs(det.VALOR_A_PAGAR),
+    'Detalle': `${det.CONCEPTO} (${det.DETALLE})`,
+    'Centro Costo': entry?.costCenter || ''
+  };
+};
+
+/**
+ * New salary derived from the old one for an across-the-board increase.
+ * @typedef {Object} DerivedSalary
+ * @property {string|number} CEDULA
+ * @property {string} NOMBRE
+ * @property {number} SUELDO_ANTERIOR
+ * @property {number} SUELDO_NUEVO
+ * @property {string} AUMENTO How the increase was applied
+ */
+
+/**
+ * Runs the calculation for every data row of an uploaded sheet. Each row
+ * describes one payroll period (month or quincena) of one employee.
+ * @param {unknown[][]} rows All sheet rows, header included
+ * @param {number} headerRowIndex
+ * @param {Object<string, number>} columns field → column index
+ * @param {import('../engine/types').PayrollType} payrollType
+ * @param {Object} [options]
+ * @param {boolean} [options.prestaciones] Add prestaciones differences per
+ *   employee, accrued over all of that employee's rows
+ * @param {boolean} [options.auxilio] Add the auxilio de transporte difference
+ * @param {boolean} [options.auxilioPreviousYear] The auxilio paid was the previous year's
+ * @param {boolean} [options.absences] Read absence days and deduct them
+ * @param {Object<string, number>} [options.absenceRates] Pay rate by absence type
+ * @param {{arlClass: string, exonerated: boolean}|false} [options.contributions]
+ *   Settings for the PILA correction rows; false to skip them
+ * @param {import('../engine/salaryIncrease').SalaryIncrease} [options.increase] Derive the
+ *   new salary from the old one instead of reading SUELDO_NUEVO
+ * @param {boolean} [options.deductions] Record negative differences as reintegros
+ * @param {number|string} [options.deductionCap] Most reintegros deducted per employee, as a
+ *   percentage of the next payment; empty for no cap
+ * @param {import('../engine/rounding').RoundingPolicy} [options.rounding] Nearest peso by default
+ * @param {import('../engine/withholding').WithholdingSettings|false} [options.withholding] Settings
+ *   for the retención en la fuente estimate; false to skip it. Regular income and deductions come
+ *   from the employee's last row that has them; the income defaults to the latest new salary.
+ * @param {(processed: number, total: number, details: Object[]) => void} [options.onProgress]
+ *   Called every PROGRESS_INTERVAL rows and once after the last one, with the detail
+ *   lines produced since the previous call. Prestaciones and reintegro lines, settled
+ *   per employee once every row is done, are only in the returned details; so is every
+ *   line when the rounding residual is settled per employee (see roundsPerEmployee).
+ * @returns {{details: Object[], rejections: RowRejection[], contributions: Object[], derivedSalaries: DerivedSalary[],
+ *   reviews: import('../engine/review').EmployeeReview[], withholding: import('../engine/withholding').WithholdingEstimate[]}} Details carry the row's
+ *   CODIGO_FICHA_COLABORADOR for toImportItem; reviews group them by employee
+ */
+export const processRows = (rows, headerRowIndex, columns, payrollType, options = {}) => {
+  const allDetails = [];
+  const rejections = [];
+  const contributions = [];
+  const withholding = [];
+  const derivedSalaries = new Map(); // CEDULA + old salary → DerivedSalary
+  const employees = new Map(); // CEDULA → { employee, summaries, periodTotals, details, held, reintegros, deductions, income, notes }
+  const deriveSalary = Boolean(options.increase) && options.increase.mode !== 'column';
+  const lineRounding = getLineRounding(options.rounding);
+  const holdLines = roundsPerEmployee(options.rounding);
+
+  // Data starts right below the header row
+  const firstRow = headerRowIndex + 1;
+  const totalRows = Math.max(rows.length - firstRow, 0);
+  let reported = 0; // Details already handed to onProgress
+  const report = (processed) => {
+    if (!options.onProgress) return;
+    options.onProgress(processed, totalRows, allDetails.slice(reported));
+    reported = allDetails.length;
+  };
+
+  for (let i = firstRow; i < rows.length; i++) {
+    if (i > firstRow && (i - firstRow) % PROGRESS_INTERVAL === 0) report(i - firstRow);
+    const row = rows[i];
+    if (!row || row.every(isBlank)) continue;
+
+    // Read every mapped field; unmapped optional columns stay undefined
+    const cells = {};
+    UPLOAD_COLUMNS.forEach(({ field }) => {
+      if (columns[field] !== undefined) cells[field] = row[columns[field]];
+    });
+
+    const reject = (tipo, reasons) => rejections.push({
+      FILA: i + 1,
+      TIPO: tipo,
+      MOTIVO: reasons.join('; '),
+      VALORES: cells
+    });
+
+    const { errors, warnings } = validateRow(cells, deriveSalary, options.deductions);
+    if (errors.length > 0) {
+      reject('Omitida', [...errors, ...warnings]);
+      continue;
+    }
+
+    // 1. Parse Period
+    const rowDate = parseCellDate(cells.PERIODO);
+
+    // 2. Define Calculation Scope for this Row (The specific month or quincena of the row)
+    const { start: periodStart, end: periodEnd, days: periodDays } = getPeriodForDate(rowDate, payrollType);
+
+    // Across-the-board increases replace the sheet's new salary
+    let newSalary = cells.SUELDO_NUEVO;
+    if (deriveSalary) {
+      const oldSalary = Number(cells.SUELDO_ANTERIOR);
+      const derived = deriveNewSalary(oldSalary, options.increase, rowDate.getFullYear());
+      newSalary = derived.salary;
+      const derivedKey = `${cells.CEDULA}|${oldSalary}`;
+      if (!derivedSalaries.has(derivedKey)) {
+        derivedSalaries.set(derivedKey, {
+          CEDULA: cells.CEDULA,
+          NOMBRE: cells.NOMBRE,
+          SUELDO_ANTERIOR: oldSalary,
+          SUELDO_NUEVO: derived.salary,
+          AUMENTO: derived.description
+        });
+      }
+    }
+
+    // A salary change inside the period splits it by days
+    const salaryChanges = [];
+    const changeDate = parseCellDate(cells.FECHA_CAMBIO_SUELDO);
+    if (changeDate && isNumeric(cells.SUELDO_CAMBIO)) {
+      const changeIso = toISODate(changeDate.getFullYear(), changeDate.getMonth(), changeDate.getDate());
+      if (changeIso < periodStart) {
+        warnings.push(`La fecha de cambio salarial ${formatReportDate(changeIso)} es anterior al período (aplica a todo el período)`);
+      } else if (changeIso > periodEnd) {
+        warnings.push(`La fecha de cambio salarial ${formatReportDate(changeIso)} es posterior al período (se ignora)`);
+      }
+      salaryChanges.push({ FECHA: changeIso, SUELDO: cells.SUELDO_CAMBIO });
+    }
+
+    // Hours and absence days of the row apply to its own period
+    const hours = {};
+    OT_FIELDS.forEach(({ field }) => {
+      hours[field] = cells[field];
+    });
+
+    const absences = {};
+    if (options.absences) {
+      ABSENCE_TYPES.forEach(({ key }) => {
+        absences[key] = cells[`AUSENCIA_${key}`];
+      });
+      const totalAbsent = Object.values(absences).reduce((sum, days) => sum + Math.max(parseFloat(days) || 0, 0), 0);
+      if (totalAbsent > periodDays) {
+        warnings.push(`Los días de ausencia (${totalAbsent}) superan los ${periodDays} días del período`);
+      }
+    }
+
+    // Map row to calculation input
+    const rowData = {
+      CEDULA: cells.CEDULA,
+      NOMBRE: cells.NOMBRE,
+      CODIGO_FICHA_COLABORADOR: cells.CODIGO_FICHA_COLABORADOR,
+      SUELDO_ANTERIOR: cells.SUELDO_ANTERIOR,
+      SUELDO_NUEVO: newSalary,
+      CAMBIOS_SALARIO: salaryChanges,
+      HORAS: { [periodStart]: hours },
+      AUXILIO_ANTERIOR: isBlank(cells.AUXILIO_ANTERIOR) ? undefined : cells.AUXILIO_ANTERIOR,
+      AUSENCIAS: { [periodStart]: absences },
+      FECHA_INICIO: periodStart,
+      FECHA_FIN: periodEnd
+    };
+
+    const { details, summaries, periodTotals, notes } = calculateRetroactive(rowData, payrollType, {
+      auxilio: options.auxilio,
+      auxilioPreviousYear: options.auxilioPreviousYear,
+      absenceRates: options.absenceRates,
+      deductions: options.deductions,
+      rounding: lineRounding
+    });
+
+    const key = String(rowData.CEDULA);
+    if (!employees.has(key)) employees.set(key, {
+      employee: rowData,
+      summaries: [],
+      periodTotals: [],
+      details: [],
+      held: [],
+      reintegros: [],
+      deductions: null,
+      income: {},
+      notes: new Set()
+    });
+    const employeeEntry = employees.get(key);
+    if (isNumeric(cells.INGRESO_MENSUAL)) employeeEntry.income.monthlyIncome = Number(cells.INGRESO_MENSUAL);
+    if (isNumeric(cells.DEDUCCIONES_RETENCION)) employeeEntry.income.deductions = Number(cells.DEDUCCIONES_RETENCION);
+
+    // Report each eligibility note once per employee, on the first row it shows up
+    notes.forEach(note => {
+      if (employeeEntry.notes.has(note)) return;
+      employeeEntry.notes.add(note);
+      warnings.push(note);
+    });
+
+    if (details.length === 0) {
+      reject('Omitida', warnings.length > 0 ? warnings : ['No se generó ningún valor a pagar']);
+      continue;
+    }
+    if (warnings.length > 0) reject('Advertencia', warnings);
+
+    // Reintegros wait until all of the employee's rows are in, for the cap,
+    // and so does everything else when the rounding residual is distributed
+    const rowDetails = details.map(det => ({ ...det, CODIGO_FICHA_COLABORADOR: rowData.CODIGO_FICHA_COLABORADOR }));
+    const payments = rowDetails.filter(det => !isDeduction(det));
+    if (holdLines) {
+      employeeEntry.held.push(...payments);
+    } else {
+      allDetails.push(...payments);
+      employeeEntry.details.push(...payments);
+    }
+    employeeEntry.reintegros.push(...rowDetails.filter(isDeduction));
+    employeeEntry.summaries.push(...summaries);
+    employeeEntry.periodTotals.push(...periodTotals);
+  }
+  report(totalRows);
+
+  // Per employee once all of its rows are in: reintegros within the cap,
+  // prestaciones accrued across semesters/years, and the rounding residual
+  employees.forEach((entry) => {
+    const { employee } = entry;
+    const settled = settleDeductions(entry.reintegros, entry.periodTotals, payrollType, options.deductionCap);
+    entry.deductions = settled.deductions;
+
+    const finished = finishEmployeeLines(
+      employee,
+      [...entry.held, ...settled.details],
+      entry.summaries,
+      entry.periodTotals,
+      options.rounding,
+      { prestaciones: options.prestaciones }
+    );
+    entry.summaries = finished.summaries;
+    entry.periodTotals = finished.periodTotals;
+
+    const lines = [
+      ...finished.details,
+      ...finished.prestaciones.map(det => ({ ...det, CODIGO_FICHA_COLABORADOR: employee.CODIGO_FICHA_COLABORADOR }))
+    ];
+    allDetails.push(...lines);
+    entry.details.push(...lines);
+  });
+
+  if (options.contributions) {
+    employees.forEach(({ employee, periodTotals }) => {
+      contributions.push(...calculateContributions(employee, periodTotals, options.contributions));
+    });
+  }
+
+  if (options.withholding) {
+    employees.forEach(({ employee, periodTotals, details, income }) => {
+      if (details.length === 0) return;
+      withholding.push(estimateWithholding(
+        employee,
+        getTaxableRetro(details, periodTotals),
+        { monthlyIncome: income.monthlyIncome ?? getNextPayment(periodTotals, 'mensual'), deductions: income.deductions },
+        options.withholding
+      ));
+    });
+  }
+
+  const reviews = [...employees.values()]
+    .filter(({ details }) => details.length > 0)
+    .map(({ employee, summaries, periodTotals, details, deductions }) =>
+      buildEmployeeReview(employee, summaries, periodTotals, details, { deductions }));
+
+  return {
+    details: allDetails,
+    rejections,
+    contributions,
+    derivedSalaries: [...derivedSalaries.values()],
+    reviews,
+    withholding
+  };
+};
+
+/**
+ * Flattens rejections into rows for the "Errores" export sheet, one column
+ * per upload field with the raw value as read.
+ * @param {RowRejection[]} rejections
+ * @returns {Object[]}
+ */
+export const toRejectionSheetRows = (rejections) => rejections.map(r => {
+  const sheetRow = { 'Fila': r.FILA, 'Tipo': r.TIPO, 'Motivo': r.MOTIVO };
+  UPLOAD_COLUMNS.forEach(({ field, label }) => {
+    sheetRow[label] = r.VALORES[field] ?? '';
+  });
+  return sheetRow;
+});
@@ -0,0 +1,49 @@
+/**
+ * Column mappings saved in localStorage so a layout mapped once by hand is
+ * recognized automatically on later uploads. Nothing leaves the browser.
+ */
+
+const STORAGE_KEY = 'retroactivos.columnMappings';
+
+/**
+ * @typedef {Object} SavedMapping
+ * @property {string} name
+ * @property {string} savedAt ISO timestamp
+ * @property {Object<string, string>} columns field → normalized header text
+ */
+
+/**
+ * @returns {SavedMapping[]} Most recent first
+ */
+export const loadSavedMappings = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+const persist = (mappings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(mappings));
+  return mappings;
+};
+
+/**
+ * Saves a mapping, replacing any previous one with the same name.
+ * @param {string} name
+ * @param {Object<string, string>} columns
+ * @returns {SavedMapping[]} The updated list
+ */
+export const saveMapping = (name, columns) => {
+  const others = loadSavedMappings().filter(m => m.name !== name);
+  return persist([{ name, savedAt: new Date().toISOString(), columns }, ...others]);
+};
+
+/**
+ * @param {string} name
+ * @returns {SavedMapping[]} The updated list
+ */
+export const deleteMapping = (name) =>
+  persist(loadSavedMappings().filter(m => m.name !== name));
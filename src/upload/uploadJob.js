@@ -0,0 +1,67 @@
+/**
+ * Main-thread side of uploadWorker. Each upload gets its own worker, so
+ * cancelling is just terminating it.
+ */
+
+/**
+ * @typedef {Object} UploadJob
+ * @property {(source: {file?: File, text?: string}) => Promise<{rows: unknown[][], hash: string}>} parse
+ *   Reads a file or pasted text into sheet rows, with the SHA-256 of the input
+ * @property {(params: Object) => Promise<Object>} calculate Runs processRows on the
+ *   parsed rows; resolves with its full result, including the details already
+ *   streamed to onProgress
+ * @property {() => void} cancel Stops the worker; a pending request rejects
+ *   with an AbortError
+ * @property {() => void} dispose Stops the worker once the job is done
+ */
+
+/**
+ * @param {Object} handlers
+ * @param {(progress: {processed: number, total: number, details: Object[]}) => void} handlers.onProgress
+ * @returns {UploadJob}
+ */
+export const createUploadJob = ({ onProgress }) => {
+  const worker = new Worker(new URL('./uploadWorker.js', import.meta.url), { type: 'module' });
+  let pending = null;
+  let streamed = []; // Details received with progress during the current calculation
+
+  const settle = (outcome, value) => {
+    const request = pending;
+    pending = null;
+    request?.[outcome](value);
+  };
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'progress') {
+      streamed.push(...data.details);
+      onProgress(data);
+    }
+    else if (data.type === 'error') settle('reject', new Error(data.message));
+    else settle('resolve', data);
+  };
+  worker.onerror = (event) => {
+    event.preventDefault();
+    settle('reject', new Error(event.message || 'Error al procesar el archivo.'));
+  };
+
+  const request = (message) => new Promise((resolve, reject) => {
+    pending = { resolve, reject };
+    worker.postMessage(message);
+  });
+
+  return {
+    parse: (source) => request({ type: 'parse', ...source }).then(({ rows, hash }) => ({ rows, hash })),
+    calculate: (params) => {
+      streamed = [];
+      return request({ type: 'calculate', ...params }).then(({ result }) => ({
+        ...result,
+        details: [...streamed, ...result.details]
+      }));
+    },
+    cancel: () => {
+      worker.terminate();
+      settle('reject', new DOMException('Proceso cancelado.', 'AbortError'));
+    },
+    dispose: () => worker.terminate()
+  };
+};
@@ -0,0 +1,55 @@
+/**
+ * Web Worker that reads uploads and runs the mass calculation off the main
+ * thread. It keeps the rows of the last parsed file, so after column
+ * detection (and manual mapping, if needed) only the mapping is sent back.
+ *
+ * Messages in:  { type: 'parse', file } | { type: 'parse', text }
+ *               { type: 'calculate', headerRowIndex, columns, payrollType, options }
+ * Messages out: { type: 'parsed', rows, hash } with the SHA-256 of the input
+ *               { type: 'progress', processed, total, details }
+ *               { type: 'done', result } where result.details only holds the
+ *                 lines not already sent with progress
+ *               { type: 'error', message }
+ */
+
+import * as XLSX from 'xlsx';
+import { processRows } from './processRows';
+import { isTextFile, parseTextTable, readTextFile } from './parseText';
+import { hashContent } from '../history/runHistory';
+
+let rows = [];
+
+const readRows = async ({ file, text }) => {
+  if (text !== undefined) return parseTextTable(text).rows;
+  if (isTextFile(file.name)) return parseTextTable(await readTextFile(file)).rows;
+
+  const workbook = XLSX.read(await file.arrayBuffer());
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  return XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+};
+
+const calculate = ({ headerRowIndex, columns, payrollType, options }) => {
+  let sent = 0;
+  const result = processRows(rows, headerRowIndex, columns, payrollType, {
+    ...options,
+    onProgress: (processed, total, details) => {
+      sent += details.length;
+      self.postMessage({ type: 'progress', processed, total, details });
+    }
+  });
+  return { ...result, details: result.details.slice(sent) };
+};
+
+self.onmessage = async ({ data }) => {
+  try {
+    if (data.type === 'parse') {
+      rows = await readRows(data);
+      const hash = await hashContent(data.text ?? await data.file.arrayBuffer());
+      self.postMessage({ type: 'parsed', rows, hash });
+    } else if (data.type === 'calculate') {
+      self.postMessage({ type: 'done', result: calculate(data) });
+    }
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message || 'Error al procesar el archivo.' });
+  }
+};
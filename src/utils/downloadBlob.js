@@ -0,0 +1,16 @@
+// Browsers start a download asynchronously; revoking its URL on the spot can cancel it
+const REVOKE_DELAY_MS = 10000;
+
+/**
+ * Hands a blob to the browser as a file download.
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+};
@@ -0,0 +1,2 @@
+// Case and accent insensitive text for searching
+export const fold = (value) => String(value ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();